@@ -0,0 +1,20 @@
+// Hiring pipeline: the stages a client moves pending applications through before hiring.
+//
+// Stages are the client's own bookkeeping and are never shown to the applicant, like the
+// tags and notes kept with them (Application.pipeline). Accepting or rejecting an
+// application still goes through its status.
+
+const PIPELINE_STAGES = ['new', 'shortlisted', 'interview', 'offered'];
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES = 50;
+const MAX_BULK_MOVE = 100;
+
+module.exports = {
+  PIPELINE_STAGES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_NOTES,
+  MAX_BULK_MOVE
+};
@@ -0,0 +1,54 @@
+// Job lifecycle: the status changes a job can go through and who may make them.
+//
+// Every status change goes through services/jobLifecycleService.js, which checks it against
+// this table and records it in the job's status history. Actors are worked out per job:
+// `client` is the job owner, `worker` the assigned worker, `staff` anyone with the
+// jobs:moderate or jobs:manage permission. The `system` actor (background tasks, account
+// deletion) may make any listed change.
+
+const JOB_STATUSES = ['open', 'paused', 'in-progress', 'disputed', 'completed', 'cancelled', 'expired'];
+
+const JOB_ACTORS = ['client', 'worker', 'staff', 'system'];
+
+// Days an open or paused job stays listed without a hire before it expires
+const JOB_EXPIRY_DAYS = parseInt(process.env.JOB_EXPIRY_DAYS, 10) || 30;
+
+const JOB_TRANSITIONS = [
+  { action: 'pause', from: 'open', to: 'paused', actors: ['client', 'staff'] },
+  { action: 'resume', from: 'paused', to: 'open', actors: ['client', 'staff'] },
+  { action: 'assign', from: 'open', to: 'in-progress', actors: ['client', 'staff'] },
+  { action: 'complete', from: 'in-progress', to: 'completed', actors: ['client', 'worker', 'staff'] },
+  { action: 'dispute', from: 'in-progress', to: 'disputed', actors: ['client', 'worker'], requiresReason: true },
+  // Disputes are settled by staff: work continues, is accepted as done, or is called off
+  { action: 'resume', from: 'disputed', to: 'in-progress', actors: ['staff'], requiresReason: true },
+  { action: 'complete', from: 'disputed', to: 'completed', actors: ['staff'], requiresReason: true },
+  { action: 'cancel', from: 'disputed', to: 'cancelled', actors: ['staff'], requiresReason: true },
+  { action: 'cancel', from: 'open', to: 'cancelled', actors: ['client', 'staff'] },
+  { action: 'cancel', from: 'paused', to: 'cancelled', actors: ['client', 'staff'] },
+  { action: 'cancel', from: 'in-progress', to: 'cancelled', actors: ['client', 'staff'], requiresReason: true },
+  { action: 'reopen', from: 'cancelled', to: 'open', actors: ['client', 'staff'] },
+  { action: 'expire', from: 'open', to: 'expired', actors: ['system'] },
+  { action: 'expire', from: 'paused', to: 'expired', actors: ['system'] },
+  { action: 'reopen', from: 'expired', to: 'open', actors: ['client', 'staff'] }
+];
+
+// The transition from one status to another, if there is one
+const findTransition = (from, to) =>
+  JOB_TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null;
+
+// The transition an action (pause, resume, ...) makes from the given status, if any
+const findTransitionByAction = (from, action) =>
+  JOB_TRANSITIONS.find(transition => transition.from === from && transition.action === action) || null;
+
+// Transitions available from a status
+const getTransitionsFrom = (from) => JOB_TRANSITIONS.filter(transition => transition.from === from);
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_ACTORS,
+  JOB_EXPIRY_DAYS,
+  JOB_TRANSITIONS,
+  findTransition,
+  findTransitionByAction,
+  getTransitionsFrom
+};
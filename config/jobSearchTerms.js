@@ -0,0 +1,35 @@
+// Local words for common kinds of work, mapped to the English terms jobs are usually posted with.
+// Entries can be in Sinhala or Tamil script or typed in Latin letters ("Singlish"/"Tanglish");
+// spellings are compared with romanKey(), so long vowels and doubled letters don't matter.
+const JOB_SEARCH_TERMS = {
+  carpentry: ['වඩු', 'වඩුවා', 'වඩු වැඩ', 'waduwa', 'wadu', 'தச்சர்', 'தச்சு', 'thachchar', 'thachchu'],
+  carpenter: ['වඩුවා', 'waduwa', 'தச்சர்', 'thachchar'],
+  mason: ['මේසන්', 'බාස්', 'mesan', 'meson', 'baas', 'கொத்தனார்', 'kothanar', 'kothanaar'],
+  painting: ['පින්තාරු', 'තීන්ත', 'pintharu', 'theentha', 'peint', 'வர்ணம்', 'varnam', 'பெயிண்ட்'],
+  painter: ['පින්තාරුකරු', 'pintharukaru', 'peinter'],
+  electrical: ['විදුලි', 'වයරින්', 'widuli', 'wayarin', 'wiring', 'மின்சாரம்', 'மின்', 'minsaram'],
+  electrician: ['විදුලි කාර්මික', 'widuli karmika', 'மின்சார தொழிலாளி'],
+  plumbing: ['ජලනල', 'බට', 'jalanala', 'pipe', 'பிளம்பிங்', 'குழாய்', 'kuzhai', 'kulai'],
+  plumber: ['ජලනල කාර්මික', 'jalanala karmika'],
+  cleaning: ['පිරිසිදු', 'සුද්ද', 'pirisidu', 'sudda', 'suddha', 'சுத்தம்', 'suththam', 'sutham'],
+  gardening: ['වත්ත', 'උයන', 'වගා', 'waththa', 'watta', 'wagawa', 'தோட்டம்', 'thottam'],
+  cooking: ['උයන්න', 'කෑම', 'uyanna', 'kaema', 'சமையல்', 'samayal', 'samaiyal'],
+  cook: ['කෝකියා', 'kokiya', 'சமையல்காரர்', 'samayalkarar'],
+  delivery: ['බෙදාහැරීම', 'bedaharima', 'டெலிவரி', 'vitharanam'],
+  driver: ['රියදුරු', 'ඩ්‍රයිවර්', 'riyaduru', 'draiwar', 'ஓட்டுநர்', 'ottunar', 'drivar'],
+  tutoring: ['ඉගැන්වීම', 'උපකාරක', 'iganweema', 'igenwima', 'upakaraka', 'tuition', 'டியூஷன்', 'கற்பித்தல்', 'karpiththal'],
+  teacher: ['ගුරු', 'guru', 'ஆசிரியர்', 'asiriyar'],
+  'pet-care': ['සුරතල්', 'බල්ලා', 'පූසා', 'surathal', 'balla', 'pusa', 'செல்லப்பிராணி', 'நாய்', 'nai'],
+  'elderly-care': ['වැඩිහිටි', 'රැකබලා', 'wadihiti', 'rakabala', 'முதியோர்', 'muthiyor'],
+  photography: ['ඡායාරූප', 'ෆොටෝ', 'chayarupa', 'foto', 'புகைப்படம்', 'pugaippadam'],
+  'event-planning': ['උත්සව', 'මගුල', 'uthsawa', 'magula', 'wedding', 'விழா', 'vizha', 'கல்யாணம்', 'kalyanam'],
+  'repair-services': ['අලුත්වැඩියා', 'රිපෙයාර්', 'aluthwadiya', 'ripeyar', 'பழுது', 'palu', 'pazhuthu'],
+  moving: ['බඩු ගෙනයාම', 'ලොරි', 'badu', 'lori', 'lorry'],
+  labourer: ['කම්කරු', 'kamkaru', 'kuli', 'කුලී', 'கூலி', 'தொழிலாளி', 'thozhilali'],
+  security: ['ආරක්ෂක', 'arakshaka', 'காவலாளி', 'kavalali'],
+  housemaid: ['මේඩ්', 'ගෙදර වැඩ', 'meid', 'gedara wada', 'வீட்டு வேலை', 'veettu velai'],
+  roofing: ['උළු', 'වහල', 'ulu', 'wahala', 'கூரை', 'koorai'],
+  tiling: ['ටයිල්', 'tile', 'டைல்ஸ்', 'tiles']
+};
+
+module.exports = { JOB_SEARCH_TERMS };
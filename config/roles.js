@@ -0,0 +1,88 @@
+// Roles and the permissions they grant.
+//
+// An account can hold both marketplace roles (worker and client); `userType` is the one
+// currently active, and only the active one grants its permissions. Staff roles are
+// assigned by a super-admin through the admin API. All roles are stored in `User.roles`.
+// Legacy `userType: 'admin'` accounts are treated as super-admins until their roles are
+// set through the admin API, which turns them into ordinary accounts with those roles.
+
+const PERMISSIONS = {
+  // Marketplace
+  JOBS_CREATE: 'jobs:create',
+  JOBS_MODERATE: 'jobs:moderate', // Edit or remove any job
+  JOBS_MANAGE: 'jobs:manage', // Assign or complete jobs on a client's behalf
+  APPLICATIONS_CREATE: 'applications:create',
+  APPLICATIONS_READ: 'applications:read', // View any application
+  REVIEWS_READ: 'reviews:read', // View reviews for any job
+  REVIEWS_HIDE: 'reviews:hide',
+  POSTS_MODERATE: 'posts:moderate',
+
+  // Administration
+  ADMIN_ACCESS: 'admin:access',
+  ADMIN_DASHBOARD: 'admin:dashboard',
+  REPORTS_READ: 'reports:read',
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_ACTIVATE: 'users:activate',
+  USERS_DELETE: 'users:delete',
+  ROLES_ASSIGN: 'roles:assign',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  AUDIT_READ: 'audit:read',
+  TASKS_MANAGE: 'tasks:manage' // View, run and pause background tasks
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  worker: [
+    P.APPLICATIONS_CREATE
+  ],
+  client: [
+    P.JOBS_CREATE
+  ],
+  moderator: [
+    P.ADMIN_ACCESS,
+    P.JOBS_MODERATE,
+    P.APPLICATIONS_READ,
+    P.REVIEWS_READ,
+    P.REVIEWS_HIDE,
+    P.POSTS_MODERATE,
+    P.USERS_READ
+  ],
+  support: [
+    P.ADMIN_ACCESS,
+    P.ADMIN_DASHBOARD,
+    P.APPLICATIONS_READ,
+    P.REVIEWS_READ,
+    P.USERS_READ,
+    P.USERS_ACTIVATE,
+    P.NOTIFICATIONS_SEND
+  ],
+  'super-admin': Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles users pick for themselves and switch between
+const ACCOUNT_ROLES = ['worker', 'client'];
+
+// Roles that can only be granted through the admin API
+const STAFF_ROLES = ['moderator', 'support', 'super-admin'];
+
+// Get the permissions granted by a list of roles
+const getPermissionsForRoles = (roles) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  });
+  return permissions;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  ACCOUNT_ROLES,
+  STAFF_ROLES,
+  getPermissionsForRoles
+};
@@ -30,38 +30,25 @@ const trackActivity = async (req, res, next) => {
 /**
  * Function to mark users as offline based on inactivity
  * Users are considered offline if their last activity was more than 5 minutes ago
+ * Run every 2 minutes by the task scheduler (see services/scheduledTasks.js)
  */
 const markInactiveUsersOffline = async () => {
-  try {
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    
-    await User.updateMany(
-      {
-        lastActivity: { $lt: fiveMinutesAgo },
-        isOnline: true
-      },
-      {
-        isOnline: false
-      }
-    );
-    
-    console.log('Updated offline status for inactive users');
-  } catch (error) {
-    console.error('Error updating offline users:', error.message);
-  }
-};
+  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
 
-/**
- * Start the background job to periodically mark inactive users as offline
- * Runs every 2 minutes
- */
-const startOfflineStatusUpdater = () => {
-  setInterval(markInactiveUsersOffline, 2 * 60 * 1000); // Every 2 minutes
-  console.log('Activity tracker: Offline status updater started');
+  const result = await User.updateMany(
+    {
+      lastActivity: { $lt: fiveMinutesAgo },
+      isOnline: true
+    },
+    {
+      isOnline: false
+    }
+  );
+
+  return { markedOffline: result.modifiedCount };
 };
 
 module.exports = {
   trackActivity,
-  markInactiveUsersOffline,
-  startOfflineStatusUpdater
+  markInactiveUsersOffline
 };
\ No newline at end of file
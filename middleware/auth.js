@@ -1,6 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { getActiveSession } = require('../utils/authTokens');
+const BruteForceService = require('../services/bruteForceService');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/roles');
+
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
 
 const auth = async (req, res, next) => {
   try {
@@ -20,6 +25,22 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = await getActiveSession(decoded.sid);
+    if (!session || session.user.toString() !== decoded.id) {
+      logger.warn('Authentication failed: Session revoked or expired', {
+        tokenId: decoded.id,
+        sessionId: decoded.sid,
+        ip: req.ip || req.connection.remoteAddress,
+        requestId: req.requestId
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -48,6 +69,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     logger.error('Authentication error', {
@@ -78,7 +100,7 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Middleware to check user roles
+// Middleware to check user roles (userType or any assigned role)
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -94,7 +116,8 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.userType)) {
+    const userRoles = [req.user.userType, ...req.user.getRoles()];
+    if (!userRoles.some(role => roles.includes(role))) {
       logger.warn('Authorization failed: Insufficient permissions', {
         userId: req.user._id,
         userType: req.user.userType,
@@ -113,6 +136,55 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to check that the user has every listed permission (see config/roles.js)
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !KNOWN_PERMISSIONS.has(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      logger.warn('Authorization failed: Missing permissions', {
+        userId: req.user._id,
+        roles: req.user.getRoles(),
+        missingPermissions: missing,
+        url: req.url,
+        method: req.method,
+        requestId: req.requestId
+      });
+
+      // The user holds a worker/client role that would allow this, but it is not the active one
+      const inactiveRole = req.user.getAccountRoles().find(role =>
+        role !== req.user.userType && missing.every(permission => ROLE_PERMISSIONS[role].includes(permission))
+      );
+      if (inactiveRole) {
+        return res.status(403).json({
+          success: false,
+          code: 'ROLE_SWITCH_REQUIRED',
+          requiredRole: inactiveRole,
+          message: `Switch to your ${inactiveRole} account to do this.`
+        });
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware to check if user owns the resource
 const checkOwnership = (Model, paramName = 'id', userField = 'user') => {
   return async (req, res, next) => {
@@ -133,8 +205,8 @@ const checkOwnership = (Model, paramName = 'id', userField = 'user') => {
         });
       }
 
-      // Check if user owns the resource or is admin
-      if (resource[userField].toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+      // Check if user owns the resource or is a super-admin
+      if (resource[userField].toString() !== req.user._id.toString() && !req.user.getRoles().includes('super-admin')) {
         logger.warn('Ownership check failed: Access denied', {
           resourceId,
           resourceOwner: resource[userField],
@@ -168,7 +240,7 @@ const checkOwnership = (Model, paramName = 'id', userField = 'user') => {
   };
 };
 
-// Middleware to require admin access
+// Middleware to require access to the admin area (super-admins and staff roles)
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -177,7 +249,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.userType !== 'admin') {
+  if (!req.user.hasPermission('admin:access')) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Admin privileges required.'
@@ -187,4 +259,100 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, authorize, checkOwnership, requireAdmin };
+// Middleware to require a recent second factor (step-up) for sensitive actions.
+// A session counts as fresh for `maxAgeMinutes` after a TOTP or recovery code was confirmed;
+// clients can also send the code inline in the X-2FA-Code header.
+// With `required: true` users who have not enrolled in 2FA are rejected as well.
+const requireSecondFactor = ({ maxAgeMinutes = 10, required = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.authSession) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+
+      if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+        if (!required) return next();
+
+        logger.warn('Step-up failed: Two-factor authentication not enabled', {
+          userId: req.user._id,
+          url: req.url,
+          requestId: req.requestId
+        });
+        return res.status(403).json({
+          success: false,
+          code: 'SECOND_FACTOR_ENROLLMENT_REQUIRED',
+          message: 'Two-factor authentication must be enabled to access this resource.'
+        });
+      }
+
+      const verifiedAt = req.authSession.secondFactorVerifiedAt;
+      if (verifiedAt && Date.now() - verifiedAt.getTime() < maxAgeMinutes * 60 * 1000) {
+        return next();
+      }
+
+      const inlineCode = req.header('X-2FA-Code');
+      if (inlineCode) {
+        const attemptKeys = BruteForceService.keysFor('2fa', req.user._id, req.user._id);
+        const lock = await BruteForceService.getLock(attemptKeys);
+        if (lock) {
+          return BruteForceService.sendLocked(res, lock);
+        }
+
+        const user = await User.findById(req.user._id)
+          .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+        if (user && user.verifySecondFactor({ code: inlineCode })) {
+          await user.save();
+          await BruteForceService.reset(attemptKeys);
+          req.authSession.secondFactorVerifiedAt = new Date();
+          await req.authSession.save();
+          return next();
+        }
+
+        logger.warn('Step-up failed: Invalid two-factor code', {
+          userId: req.user._id,
+          url: req.url,
+          requestId: req.requestId
+        });
+
+        const result = await BruteForceService.registerFailure(attemptKeys, {
+          action: '2fa-step-up',
+          user: req.user._id,
+          req
+        });
+        if (result.lock) {
+          return BruteForceService.sendLocked(res, result.lock);
+        }
+
+        return res.status(401).json({
+          success: false,
+          code: 'SECOND_FACTOR_INVALID',
+          message: 'Invalid two-factor authentication code.',
+          attemptsRemaining: result.attemptsRemaining
+        });
+      }
+
+      return res.status(403).json({
+        success: false,
+        code: 'SECOND_FACTOR_REQUIRED',
+        message: 'Please confirm your two-factor authentication code to continue.'
+      });
+    } catch (error) {
+      logger.error('Step-up verification error', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user ? req.user._id : undefined,
+        requestId: req.requestId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying second factor.'
+      });
+    }
+  };
+};
+
+module.exports = { auth, authorize, requirePermission, checkOwnership, requireAdmin, requireSecondFactor };
@@ -0,0 +1,55 @@
+const rateLimit = require('express-rate-limit');
+const { normalizePhone } = require('../utils/phone');
+
+// Limits on outgoing SMS codes, per phone number and per IP.
+// Every message costs money and can be used to spam a number, so these are much stricter
+// than the global API limiter in server.js.
+const smsLimitMessage = {
+  success: false,
+  message: 'Too many codes requested. Please wait before requesting another one.',
+  retryAfter: '15 minutes'
+};
+
+const smsPerPhoneLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.SMS_MAX_PER_PHONE, 10) || 3,
+  message: smsLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Same number in any format counts once; invalid numbers fall back to the IP
+  keyGenerator: (req) => {
+    const phone = normalizePhone(req.body && req.body.phone) || (req.user && req.user.phone);
+    return phone ? `phone:${phone}` : `ip:${req.ip}`;
+  }
+});
+
+const smsPerIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.SMS_MAX_PER_IP, 10) || 10,
+  message: smsLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const smsSendLimiter = [smsPerIpLimiter, smsPerPhoneLimiter];
+
+// Data exports read every collection for the user, so they are limited per account
+const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: {
+    success: false,
+    message: 'Too many export requests. Please try again later.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`)
+});
+
+module.exports = {
+  smsPerPhoneLimiter,
+  smsPerIpLimiter,
+  smsSendLimiter,
+  dataExportLimiter
+};
@@ -1,4 +1,17 @@
 const { body, validationResult } = require('express-validator');
+const { normalizePhone } = require('../utils/phone');
+const { parseRRule } = require('../utils/rrule');
+const { PIPELINE_STAGES, MAX_TAGS, MAX_TAG_LENGTH, MAX_BULK_MOVE } = require('../config/hiringPipeline');
+const { checkQuestions, MAX_SCREENING_QUESTIONS } = require('../utils/screening');
+
+const PHONE_FORMAT_MESSAGE = 'Please provide a valid phone number (e.g., +94771234567, 0771234567, or 771234567)';
+
+const JOB_CATEGORIES = [
+  'cleaning', 'gardening', 'plumbing', 'electrical', 'carpentry',
+  'painting', 'delivery', 'tutoring', 'pet-care', 'elderly-care',
+  'cooking', 'photography', 'event-planning', 'repair-services',
+  'moving', 'other'
+];
 
 // Helper function to handle validation results
 const handleValidationErrors = (req, res, next) => {
@@ -49,19 +62,46 @@ const validateRegister = [
     .optional()
     .custom((value) => {
       if (!value) return true; // Allow empty/undefined
-      // Remove spaces and validate phone formats
-      const cleanPhone = value.replace(/\s+/g, '');
-      // Allow: +94771234567 (12 digits), 0771234567 (10 digits), 771234567 (9 digits)
-      const phoneRegex = /^(\+94[0-9]{9}|0[0-9]{9}|[0-9]{9})$/;
-      if (!phoneRegex.test(cleanPhone)) {
-        throw new Error('Please provide a valid phone number (e.g., +94771234567, 0771234567, or 771234567)');
+      // Allow: +94771234567, 0771234567, 771234567 (spaces are ignored)
+      if (!normalizePhone(value)) {
+        throw new Error(PHONE_FORMAT_MESSAGE);
       }
       return true;
-    }),
+    })
+    // Store every number as +94XXXXXXXXX
+    .customSanitizer(value => (value ? normalizePhone(value) : value)),
   
   handleValidationErrors
 ];
 
+// Phone number for SMS codes
+const validatePhone = [
+  body('phone')
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .custom((value) => {
+      if (!normalizePhone(value)) {
+        throw new Error(PHONE_FORMAT_MESSAGE);
+      }
+      return true;
+    })
+    .customSanitizer(normalizePhone),
+
+  handleValidationErrors
+];
+
+// Phone number and SMS code for phone login
+const validatePhoneLogin = [
+  ...validatePhone.slice(0, -1),
+
+  body('code')
+    .trim()
+    .matches(/^[0-9]{5}$/)
+    .withMessage('Please provide the 5-digit code'),
+
+  handleValidationErrors
+];
+
 // User login validation
 const validateLogin = [
   body('email')
@@ -95,12 +135,7 @@ const validateJob = [
   body('category')
     .notEmpty()
     .withMessage('Job category is required')
-    .isIn([
-      'cleaning', 'gardening', 'plumbing', 'electrical', 'carpentry',
-      'painting', 'delivery', 'tutoring', 'pet-care', 'elderly-care',
-      'cooking', 'photography', 'event-planning', 'repair-services',
-      'moving', 'other'
-    ])
+    .isIn(JOB_CATEGORIES)
     .withMessage('Invalid job category'),
   
   body('budget.amount')
@@ -124,11 +159,50 @@ const validateJob = [
     .notEmpty()
     .withMessage('City is required'),
   
+  body('location.coordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Coordinates must be [longitude, latitude]'),
+  
+  body('location.coordinates.0')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('location.coordinates.1')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
   body('urgency')
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
     .withMessage('Invalid urgency level'),
   
+  body('workersNeeded')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Workers needed must be between 1 and 50'),
+
+  body('screeningQuestions')
+    .optional()
+    .custom(value => {
+      checkQuestions(value);
+      return true;
+    }),
+
+  body('recurrence.rule')
+    .optional({ nullable: true })
+    .custom(value => {
+      parseRRule(value);
+      return true;
+    }),
+
+  body('recurrence.startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence start must be a valid date'),
+
   handleValidationErrors
 ];
 
@@ -151,10 +225,248 @@ const validateApplication = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Estimated duration cannot exceed 100 characters'),
+
+  // Checked against the job's questions when applying
+  body('screeningAnswers')
+    .optional()
+    .isArray({ max: MAX_SCREENING_QUESTIONS })
+    .withMessage(`Screening answers must be a list of up to ${MAX_SCREENING_QUESTIONS}`),
+
+  body('screeningAnswers.*.question')
+    .isMongoId()
+    .withMessage('Each screening answer needs a valid question id'),
   
   handleValidationErrors
 ];
 
+// Offer or counter-offer on an application
+const validateOffer = [
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Offer amount must be a positive number'),
+
+  body('duration')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Duration cannot exceed 100 characters'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Offer expiry must be a valid date'),
+
+  handleValidationErrors
+];
+
+// Hiring pipeline: moving applicants between stages, notes and tags
+const validatePipelineStage = [
+  body('stage')
+    .isIn(PIPELINE_STAGES)
+    .withMessage(`Stage must be one of ${PIPELINE_STAGES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateBulkStage = [
+  body('applicationIds')
+    .isArray({ min: 1, max: MAX_BULK_MOVE })
+    .withMessage(`Provide between 1 and ${MAX_BULK_MOVE} application ids`),
+
+  body('applicationIds.*')
+    .isMongoId()
+    .withMessage('Invalid application id'),
+
+  ...validatePipelineStage
+];
+
+const validatePipelineNote = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Note must be between 1 and 1000 characters'),
+
+  handleValidationErrors
+];
+
+const validatePipelineTags = [
+  body('tags')
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be a list of up to ${MAX_TAGS}`),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+
+  handleValidationErrors
+];
+
+// Job invitation validation
+const validateInvitation = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Interview or site visit proposed to an applicant
+const validateAppointment = [
+  body('application')
+    .isMongoId()
+    .withMessage('Valid application id is required'),
+
+  body('type')
+    .isIn(['interview', 'site-visit'])
+    .withMessage('Type must be interview or site-visit'),
+
+  body('slots')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Propose between 1 and 5 times'),
+
+  body('slots.*')
+    .isISO8601()
+    .withMessage('Each proposed time must be a valid date'),
+
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Location cannot exceed 300 characters'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateAppointmentConfirm = [
+  body('slotId')
+    .isMongoId()
+    .withMessage('Pick one of the proposed times (slotId)'),
+
+  handleValidationErrors
+];
+
+// Declining or cancelling an appointment
+const validateAppointmentReason = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Job status change validation (pause, resume, cancel, reopen, dispute)
+const validateJobTransition = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Skipping or rescheduling one occurrence of a recurring job
+const validateOccurrenceChange = [
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('New start must be a valid date'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Adding a milestone to a job
+const validateMilestone = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Milestone title is required and cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Milestone description cannot exceed 1000 characters'),
+
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Milestone amount must be a positive number'),
+
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  handleValidationErrors
+];
+
+// Editing a milestone: the same checks, every field optional
+const validateMilestoneUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Milestone title cannot be empty or exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Milestone description cannot exceed 1000 characters'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Milestone amount must be a positive number'),
+
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  handleValidationErrors
+];
+
+// Submission note from the worker, or requested changes from the client
+const validateMilestoneNote = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
 // Review validation
 const validateReview = [
   body('rating')
@@ -185,6 +497,11 @@ const validateReview = [
     .optional()
     .isInt({ min: 1, max: 5 })
     .withMessage('Professionalism rating must be between 1 and 5'),
+
+  body('occurrence')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid occurrence ID'),
   
   handleValidationErrors
 ];
@@ -215,12 +532,99 @@ const validateProfile = [
   handleValidationErrors
 ];
 
+// Saved job search validation
+const validateSavedSearch = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Search name is required')
+    .isLength({ max: 60 })
+    .withMessage('Search name cannot exceed 60 characters'),
+
+  body('filters')
+    .isObject()
+    .withMessage('Filters are required')
+    .custom((filters) => {
+      const { category, city, minBudget, maxBudget, urgency, lat, lng } = filters;
+      if (!category && !city && minBudget === undefined && maxBudget === undefined && !urgency && lat === undefined) {
+        throw new Error('Choose at least one filter');
+      }
+      if ((lat === undefined) !== (lng === undefined)) {
+        throw new Error('Both lat and lng are required for a radius search');
+      }
+      if (minBudget !== undefined && maxBudget !== undefined && Number(minBudget) > Number(maxBudget)) {
+        throw new Error('Minimum budget cannot be higher than maximum budget');
+      }
+      return true;
+    }),
+
+  body('filters.category')
+    .optional()
+    .isIn(JOB_CATEGORIES)
+    .withMessage('Invalid job category'),
+
+  body('filters.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+
+  body(['filters.minBudget', 'filters.maxBudget'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a positive number'),
+
+  body('filters.urgency')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid urgency level'),
+
+  body('filters.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('filters.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('filters.radiusKm')
+    .optional()
+    .isFloat({ min: 0.1, max: 200 })
+    .withMessage('Radius must be between 0.1 and 200 km'),
+
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'daily', 'weekly'])
+    .withMessage('Frequency must be instant, daily or weekly'),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validatePhone,
+  validatePhoneLogin,
   validateJob,
   validateApplication,
+  validateOffer,
+  validatePipelineStage,
+  validateBulkStage,
+  validatePipelineNote,
+  validatePipelineTags,
+  validateInvitation,
+  validateAppointment,
+  validateAppointmentConfirm,
+  validateAppointmentReason,
+  validateJobTransition,
+  validateOccurrenceChange,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateMilestoneNote,
   validateReview,
   validateProfile,
+  validateSavedSearch,
   handleValidationErrors
 };
@@ -1,4 +1,103 @@
 const mongoose = require('mongoose');
+const { PIPELINE_STAGES, MAX_TAG_LENGTH } = require('../config/hiringPipeline');
+
+const OFFER_TTL_DAYS = 3;
+
+// One offer in the price negotiation on an application (see services/offerService.js)
+const offerSchema = new mongoose.Schema({
+  // Who made it: the job owner or the applicant
+  by: {
+    type: String,
+    enum: ['client', 'worker'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [0, 'Offer amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  duration: {
+    type: String, // e.g., "2 days"
+    maxlength: [100, 'Duration cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // open -> accepted, declined, countered (a newer offer replaced it), withdrawn or expired
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OFFER_TTL_DAYS * 24 * 60 * 60 * 1000)
+  },
+  respondedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+offerSchema.virtual('isExpired').get(function() {
+  return this.status === 'open' && this.expiresAt && this.expiresAt < new Date();
+});
+
+// An answer to one of the job's screening questions (see utils/screening.js)
+const screeningAnswerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // 'yes' or 'no', the chosen option, a number or text
+  answer: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A private note the client keeps on an applicant
+const pipelineNoteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Where the client has got to with an applicant (see config/hiringPipeline.js)
+const pipelineSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: PIPELINE_STAGES,
+    default: 'new'
+  },
+  movedAt: Date,
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [MAX_TAG_LENGTH, `Tags cannot exceed ${MAX_TAG_LENGTH} characters`]
+  }],
+  notes: [pipelineNoteSchema]
+}, { _id: false });
 
 const applicationSchema = new mongoose.Schema({
   job: {
@@ -28,6 +127,25 @@ const applicationSchema = new mongoose.Schema({
   estimatedDuration: {
     type: String // e.g., "2 hours", "3 days"
   },
+  screeningAnswers: [screeningAnswerSchema],
+  // Applications with a knock-out answer are rejected as soon as they are made
+  screening: {
+    knockedOut: {
+      type: Boolean,
+      default: false
+    },
+    knockedOutBy: [mongoose.Schema.Types.ObjectId]
+  },
+  // Counter-offers on the price, oldest first
+  offers: [offerSchema],
+  // Set when either side accepts an offer; used when the worker is hired and paid
+  agreedPrice: {
+    amount: Number,
+    currency: String,
+    duration: String,
+    offer: mongoose.Schema.Types.ObjectId,
+    agreedAt: Date
+  },
   status: {
     type: String,
     enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
@@ -59,9 +177,22 @@ const applicationSchema = new mongoose.Schema({
   notes: {
     worker: String,
     client: String
+  },
+  // The client's hiring pipeline: private to the client, never selected for the applicant
+  pipeline: {
+    type: pipelineSchema,
+    select: false,
+    default: () => ({})
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// The offer waiting for an answer, if any
+applicationSchema.virtual('openOffer').get(function() {
+  return (this.offers || []).find(offer => offer.status === 'open' && !offer.isExpired) || null;
 });
 
 // Compound index to prevent duplicate applications
@@ -70,6 +201,8 @@ applicationSchema.index({ job: 1, worker: 1 }, { unique: true });
 // Indexes for queries
 applicationSchema.index({ worker: 1, status: 1 });
 applicationSchema.index({ job: 1, status: 1 });
+applicationSchema.index({ job: 1, 'pipeline.stage': 1 });
+applicationSchema.index({ job: 1, 'pipeline.tags': 1 });
 applicationSchema.index({ createdAt: -1 });
 
 // Pre-save middleware
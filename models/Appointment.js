@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// A time the client offers; the worker confirms one of them
+const slotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// An interview or site visit between a client and an applicant (see services/appointmentService.js)
+const appointmentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['interview', 'site-visit'],
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    min: [15, 'Appointments last at least 15 minutes'],
+    max: [480, 'Appointments cannot last more than 8 hours'],
+    default: 60
+  },
+  // Address, meeting link or phone number
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Location cannot exceed 300 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  slots: [slotSchema],
+  // proposed -> confirmed (the worker picked a slot) or declined (none suits them);
+  // proposed or confirmed -> cancelled by either side
+  status: {
+    type: String,
+    enum: ['proposed', 'confirmed', 'declined', 'cancelled'],
+    default: 'proposed'
+  },
+  // The confirmed time
+  startsAt: Date,
+  endsAt: Date,
+  confirmedAt: Date,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  respondedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reminders sent to both sides before a confirmed appointment
+  reminders: {
+    dayBeforeSentAt: Date,
+    hourBeforeSentAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+appointmentSchema.index({ application: 1, status: 1 });
+appointmentSchema.index({ worker: 1, status: 1, startsAt: 1 });
+appointmentSchema.index({ client: 1, status: 1, startsAt: 1 });
+appointmentSchema.index({ status: 1, startsAt: 1 });
+
+// How the appointment is named in notifications and calendars
+appointmentSchema.virtual('title').get(function() {
+  return this.type === 'site-visit' ? 'Site visit' : 'Interview';
+});
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const attemptCounterSchema = new mongoose.Schema({
+  // e.g. "login:jane@example.com", "verify-otp:jane@example.com", "account:<userId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Number of lockouts so far; each one doubles the next lockout duration
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  lastFailureAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+attemptCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+module.exports = mongoose.model('AttemptCounter', attemptCounterSchema);
@@ -1,4 +1,126 @@
 const mongoose = require('mongoose');
+const { buildSearchKeywords } = require('../utils/searchKeywords');
+const { JOB_STATUSES, JOB_ACTORS, JOB_EXPIRY_DAYS } = require('../config/jobLifecycle');
+const { SCREENING_QUESTION_TYPES, MAX_SCREENING_QUESTIONS } = require('../utils/screening');
+
+// A stage of a larger job, paid and approved on its own (see services/milestoneService.js)
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true,
+    maxlength: [100, 'Milestone title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Milestone description cannot exceed 1000 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Milestone amount is required'],
+    min: [0, 'Milestone amount must be positive']
+  },
+  dueDate: Date,
+  // pending -> submitted (worker) -> approved or changes-requested (client) -> submitted ...
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'changes-requested', 'approved'],
+    default: 'pending'
+  },
+  // Worker's note with the latest submission, client's note with the latest change request
+  submissionNote: {
+    type: String,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  feedback: {
+    type: String,
+    maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+  },
+  submittedAt: Date,
+  // Team member who submitted the milestone, credited when it is approved
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  revisionCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+milestoneSchema.virtual('isOverdue').get(function() {
+  return !!(this.dueDate && this.status !== 'approved' && this.dueDate < new Date());
+});
+
+// Answers that rule an applicant out; never shown to workers (see utils/screening.js)
+const knockoutSchema = new mongoose.Schema({
+  // yes-no and multiple-choice questions
+  answers: [String],
+  // number questions: answers below min or above max
+  min: Number,
+  max: Number
+}, { _id: false });
+
+// A question everyone who applies must answer (see utils/screening.js)
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    required: true
+  },
+  // multiple-choice questions only
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Option cannot exceed 100 characters']
+  }],
+  required: {
+    type: Boolean,
+    default: true
+  },
+  knockout: {
+    type: knockoutSchema,
+    select: false
+  }
+});
+
+// A worker hired for the job (see services/assignmentService.js)
+const teamMemberSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Price agreed on the application, paid when the worker's part is completed
+  agreedPrice: Number,
+  // Each worker's part is completed on its own; the job completes with the last one
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  completedAt: Date
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -62,8 +184,12 @@ const jobSchema = new mongoose.Schema({
     state: String,
     coordinates: {
       type: [Number], // [longitude, latitude]
-      index: '2dsphere'
-    }
+      index: '2dsphere',
+      // No empty array for jobs without coordinates: the 2dsphere index rejects it
+      default: undefined
+    },
+    // Where the coordinates came from: 'client', or the geocoder that resolved the address
+    geocodedBy: String
   },
   client: {
     type: mongoose.Schema.Types.ObjectId,
@@ -89,9 +215,38 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'completed', 'cancelled', 'paused'],
+    enum: JOB_STATUSES,
     default: 'open'
   },
+  // Every status change, oldest first. Written by services/jobLifecycleService.js only.
+  statusHistory: {
+    type: [{
+      from: String,
+      to: {
+        type: String,
+        enum: JOB_STATUSES,
+        required: true
+      },
+      action: String,
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+      },
+      actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actorRole: {
+        type: String,
+        enum: JOB_ACTORS
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   urgency: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -120,11 +275,48 @@ const jobSchema = new mongoose.Schema({
     enum: ['beginner', 'intermediate', 'expert', 'any'],
     default: 'any'
   },
+  // How many workers the job needs; it starts once that many are hired
+  workersNeeded: {
+    type: Number,
+    default: 1,
+    min: [1, 'A job needs at least one worker'],
+    max: [50, 'A job cannot need more than 50 workers']
+  },
+  // The first worker hired. Jobs for one worker only use this field.
   assignedWorker: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignedWorkers: [teamMemberSchema],
+  milestones: [milestoneSchema],
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    validate: {
+      validator: questions => questions.length <= MAX_SCREENING_QUESTIONS,
+      message: `A job can have up to ${MAX_SCREENING_QUESTIONS} screening questions`
+    }
+  },
+  // Repeating jobs: occurrences are created from the rule once a worker is assigned
+  // (see services/jobOccurrenceService.js)
+  recurrence: {
+    rule: String, // RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TH (see utils/rrule.js)
+    startsAt: Date, // Date and time of the first occurrence
+    summary: String, // e.g. "Every week on Monday and Thursday"
+    generatedUntil: Date // Occurrences exist up to this time
+  },
   completedAt: Date,
+  // Open jobs expire at this time if nobody was hired (see JobLifecycleService.expireStaleJobs)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + JOB_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  },
+  // Set once the client was reminded to review the worker of a completed job
+  reviewReminderSentAt: Date,
+  // Transliterated and translated words for search (see utils/searchKeywords.js)
+  searchKeywords: {
+    type: [String],
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -141,6 +333,20 @@ jobSchema.index({ 'location.city': 1, status: 1 });
 jobSchema.index({ client: 1, status: 1 });
 jobSchema.index({ createdAt: -1 });
 jobSchema.index({ 'budget.amount': 1 });
+jobSchema.index({ 'assignedWorkers.worker': 1, status: 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+jobSchema.index({ status: 1, completedAt: 1 });
+jobSchema.index({ status: 1, 'recurrence.generatedUntil': 1 });
+jobSchema.index(
+  { title: 'text', skills: 'text', searchKeywords: 'text', category: 'text', description: 'text' },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, skills: 6, searchKeywords: 4, category: 3, description: 1 },
+    default_language: 'english',
+    // Jobs have no per-document language field; don't let a "language" key change stemming
+    language_override: 'searchLanguage'
+  }
+);
 
 // Virtual for applications
 jobSchema.virtual('applications', {
@@ -149,10 +355,50 @@ jobSchema.virtual('applications', {
   foreignField: 'job'
 });
 
-// Pre-save middleware to update applications count
-jobSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('status')) {
-    // Additional logic can be added here
+// Slots still to fill before the job can start
+jobSchema.virtual('openSlots').get(function() {
+  const hired = this.assignedWorkers && this.assignedWorkers.length
+    ? this.assignedWorkers.length
+    : (this.assignedWorker ? 1 : 0);
+  return Math.max((this.workersNeeded || 1) - hired, 0);
+});
+
+// Milestone totals; a job with milestones is complete once every milestone is approved
+jobSchema.virtual('milestoneProgress').get(function() {
+  const milestones = this.milestones || [];
+  if (milestones.length === 0) return null;
+
+  const approved = milestones.filter(milestone => milestone.status === 'approved');
+  const totalAmount = milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+  const approvedAmount = approved.reduce((sum, milestone) => sum + milestone.amount, 0);
+
+  return {
+    total: milestones.length,
+    approved: approved.length,
+    totalAmount,
+    approvedAmount,
+    percent: Math.round(approved.length / milestones.length * 100)
+  };
+});
+
+// Start the status history with the job being posted
+jobSchema.pre('save', function(next) {
+  if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+    this.statusHistory = [{
+      from: null,
+      to: this.status,
+      action: 'post',
+      actor: this.client,
+      actorRole: 'client'
+    }];
+  }
+  next();
+});
+
+// Keep search keywords in step with the searchable text
+jobSchema.pre('save', function(next) {
+  if (this.isNew || ['title', 'description', 'skills', 'requirements'].some(path => this.isModified(path))) {
+    this.searchKeywords = buildSearchKeywords(this);
   }
   next();
 });
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const INVITATION_TTL_DAYS = 14;
+
+const jobInvitationSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  // Application created when the worker accepted
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  respondedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One invitation per worker per job
+jobInvitationSchema.index({ job: 1, worker: 1 }, { unique: true });
+jobInvitationSchema.index({ worker: 1, status: 1, createdAt: -1 });
+
+jobInvitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt && this.expiresAt < new Date();
+});
+
+module.exports = mongoose.model('JobInvitation', jobInvitationSchema);
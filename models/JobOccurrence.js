@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One visit of a recurring job (see Job.recurrence and services/jobOccurrenceService.js)
+const jobOccurrenceSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The job's assigned worker, carried over to every occurrence
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the recurrence rule placed this occurrence; identifies it within the job
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  // When it actually takes place (differs from scheduledFor once rescheduled)
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'skipped', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  rescheduledAt: Date,
+  rescheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reviews left for this visit
+  clientReview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+  workerReview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Regenerating occurrences never duplicates one
+jobOccurrenceSchema.index({ job: 1, scheduledFor: 1 }, { unique: true });
+jobOccurrenceSchema.index({ job: 1, startsAt: 1 });
+jobOccurrenceSchema.index({ worker: 1, status: 1, startsAt: 1 });
+jobOccurrenceSchema.index({ client: 1, status: 1, startsAt: 1 });
+
+jobOccurrenceSchema.virtual('isRescheduled').get(function() {
+  return !!(this.startsAt && this.scheduledFor && this.startsAt.getTime() !== this.scheduledFor.getTime());
+});
+
+module.exports = mongoose.model('JobOccurrence', jobOccurrenceSchema);
@@ -27,7 +27,13 @@ const notificationSchema = new mongoose.Schema({
       'comment',
       'connection_request',
       'post_like',
-      'post_comment'
+      'post_comment',
+      'job_alert',
+      'job_invitation',
+      'job_status_changed',
+      'milestone_update',
+      'application_offer',
+      'appointment_update'
     ],
     required: true
   },
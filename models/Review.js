@@ -48,6 +48,11 @@ const reviewSchema = new mongoose.Schema({
       max: 5
     }
   },
+  // Set for reviews of one occurrence of a recurring job
+  occurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobOccurrence'
+  },
   reviewType: {
     type: String,
     enum: ['client-to-worker', 'worker-to-client'],
@@ -73,8 +78,9 @@ const reviewSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to prevent duplicate reviews for the same job
-reviewSchema.index({ job: 1, reviewer: 1, reviewType: 1 }, { unique: true });
+// Compound index to prevent duplicate reviews for the same job (or occurrence of a recurring job).
+// The reviewee is part of it because a client reviews every worker on a team.
+reviewSchema.index({ job: 1, occurrence: 1, reviewer: 1, reviewee: 1, reviewType: 1 }, { unique: true });
 
 // Indexes for queries
 reviewSchema.index({ reviewee: 1, isVisible: 1 });
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Job = require('./Job');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [60, 'Search name cannot exceed 60 characters']
+  },
+  filters: {
+    category: {
+      type: String,
+      enum: Job.schema.path('category').enumValues
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    minBudget: {
+      type: Number,
+      min: [0, 'Minimum budget must be positive']
+    },
+    maxBudget: {
+      type: Number,
+      min: [0, 'Maximum budget must be positive']
+    },
+    urgency: {
+      type: String,
+      enum: Job.schema.path('urgency').enumValues
+    },
+    // Centre of a radius search, [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    radiusKm: Number
+  },
+  // instant: a notification (and socket event) per matching job;
+  // daily/weekly: matches are collected and sent as one email digest
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'instant'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Matches waiting for the next digest
+  pendingMatches: [{
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, 'filters.category': 1 });
+savedSearchSchema.index({ frequency: 1, 'pendingMatches.0': 1 });
+
+// Query string for GET /api/jobs that runs this search
+savedSearchSchema.methods.toJobQuery = function() {
+  const { category, city, minBudget, maxBudget, urgency, coordinates, radiusKm } = this.filters || {};
+  const params = new URLSearchParams();
+
+  if (category) params.set('category', category);
+  if (city) params.set('city', city);
+  if (minBudget !== undefined && minBudget !== null) params.set('minBudget', minBudget);
+  if (maxBudget !== undefined && maxBudget !== null) params.set('maxBudget', maxBudget);
+  if (urgency) params.set('urgency', urgency);
+  if (coordinates && coordinates.length === 2) {
+    params.set('lng', coordinates[0]);
+    params.set('lat', coordinates[1]);
+    if (radiusKm) params.set('radiusKm', radiusKm);
+  }
+
+  return params.toString();
+};
+
+// Return the pending digest size instead of the queued jobs
+savedSearchSchema.methods.toJSON = function() {
+  const searchObject = this.toObject();
+  searchObject.jobQuery = this.toJobQuery();
+  searchObject.pendingCount = (searchObject.pendingMatches || []).length;
+  delete searchObject.pendingMatches;
+  return searchObject;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Run state of a background task (see services/scheduler.js). One document per task,
+// shared by all server instances: the lock fields make sure only one instance runs it at a time.
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  intervalMs: {
+    type: Number,
+    required: true
+  },
+  // Disabled tasks are skipped until enabled again from the admin API
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Instance currently running the task, and when its claim runs out
+  lockedBy: String,
+  lockedUntil: Date,
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  lastDurationMs: Number,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+scheduledTaskSchema.index({ isEnabled: 1, nextRunAt: 1 });
+
+scheduledTaskSchema.virtual('isRunning').get(function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+scheduledTaskSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
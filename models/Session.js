@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the current refresh token (the raw token is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousRefreshTokenHash: String,
+  device: {
+    deviceId: String,
+    name: String,
+    userAgent: String,
+    ip: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last time a second factor was confirmed on this session (for step-up checks)
+  secondFactorVerifiedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'user-revoked', 'password-changed', 'password-reset', 'token-reuse', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ user: 1, 'device.deviceId': 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = async function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Remove token hashes from JSON output
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject({ virtuals: true });
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousRefreshTokenHash;
+  delete sessionObject.id;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode, hashRecoveryCode } = require('../utils/totp');
+const { OTP_EXPIRY_MS, generateOtp, hashOtp, verifyOtp } = require('../utils/otp');
+const { ROLES, ACCOUNT_ROLES, STAFF_ROLES, getPermissionsForRoles } = require('../config/roles');
+
+// One-time codes sent to the user, and the fields that hold them.
+// Codes are stored as salted hashes and cleared as soon as they are used.
+const ONE_TIME_CODES = {
+  emailVerification: {
+    code: 'emailVerificationCode',
+    expires: 'emailVerificationExpires'
+  },
+  passwordReset: {
+    code: 'passwordResetPin',
+    expires: 'passwordResetPinExpires'
+  },
+  phone: {
+    code: 'phoneOtpCode',
+    expires: 'phoneOtpExpires',
+    related: ['phoneOtpPurpose', 'phoneOtpTarget']
+  }
+};
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -31,11 +53,21 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
+  // Active context: which of the account's worker/client roles the user is acting as
   userType: {
     type: String,
     enum: ['worker', 'client', 'admin'],
     required: false
   },
+  // Worker/client roles the account holds, plus staff roles granted by a super-admin
+  // (see config/roles.js)
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: []
+  },
   profilePicture: {
     type: String,
     default: ''
@@ -77,6 +109,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Self-service deletion: the account is deleted once the grace period ends
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
   dateOfBirth: {
     type: Date
   },
@@ -91,6 +134,39 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Google account subject id ("sub" claim). Kept for accounts linked before linkedAccounts existed
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  isGoogleUser: {
+    type: Boolean,
+    default: false
+  },
+  // External sign-in providers linked to this account
+  linkedAccounts: [{
+    provider: {
+      type: String,
+      enum: ['google', 'facebook', 'apple'],
+      required: true
+    },
+    providerUserId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
+  // False for accounts created through a sign-in provider until the user sets a password
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   passwordResetPin: String,
@@ -101,6 +177,46 @@ const userSchema = new mongoose.Schema({
   isEmailVerified: {
     type: Boolean,
     default: false
+  },
+  // Code sent by SMS for phone login or phone verification, and the number it was sent to
+  phoneOtpCode: String,
+  phoneOtpExpires: Date,
+  phoneOtpPurpose: {
+    type: String,
+    enum: ['login', 'verify']
+  },
+  phoneOtpTarget: String,
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true,
@@ -108,6 +224,18 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Each provider identity can belong to only one user
+userSchema.index(
+  { 'linkedAccounts.provider': 1, 'linkedAccounts.providerUserId': 1 },
+  { unique: true, partialFilterExpression: { 'linkedAccounts.providerUserId': { $exists: true } } }
+);
+
+// Phone login looks users up by number
+userSchema.index({ phone: 1 });
+
+// Deletion processor looks for accounts whose grace period has ended
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -126,11 +254,179 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Keep the active worker/client context in the roles list (backfills older accounts)
+userSchema.pre('save', function(next) {
+  if (ACCOUNT_ROLES.includes(this.userType) && !this.roles.includes(this.userType)) {
+    this.roles.push(this.userType);
+  }
+  next();
+});
+
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to create a one-time code. Returns the plain code to send; the caller must save.
+userSchema.methods.setOneTimeCode = function(kind) {
+  const fields = ONE_TIME_CODES[kind];
+  const code = generateOtp();
+
+  this[fields.code] = hashOtp(code);
+  this[fields.expires] = Date.now() + OTP_EXPIRY_MS;
+  return code;
+};
+
+// Instance method to check for an unexpired one-time code
+userSchema.methods.hasActiveOneTimeCode = function(kind) {
+  const fields = ONE_TIME_CODES[kind];
+  return !!this[fields.code] && !!this[fields.expires] && this[fields.expires] > Date.now();
+};
+
+// Instance method to clear a one-time code; the caller must save
+userSchema.methods.clearOneTimeCode = function(kind) {
+  const fields = ONE_TIME_CODES[kind];
+  [fields.code, fields.expires, ...(fields.related || [])].forEach(field => {
+    this[field] = undefined;
+  });
+};
+
+// Instance method to check and use up a one-time code.
+// The stored hash is removed atomically, so two requests racing with the same code
+// cannot both succeed.
+userSchema.methods.consumeOneTimeCode = async function(kind, code) {
+  const fields = ONE_TIME_CODES[kind];
+  const storedHash = this[fields.code];
+
+  if (!this.hasActiveOneTimeCode(kind) || !verifyOtp(code, storedHash)) {
+    return false;
+  }
+
+  const unset = { [fields.code]: 1, [fields.expires]: 1 };
+  (fields.related || []).forEach(field => {
+    unset[field] = 1;
+  });
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, [fields.code]: storedHash },
+    { $unset: unset }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  this.clearOneTimeCode(kind);
+  return true;
+};
+
+// Instance method to get the worker/client roles the account holds
+userSchema.methods.getAccountRoles = function() {
+  return ACCOUNT_ROLES.filter(role => this.hasRole(role));
+};
+
+// Instance method to check whether the account holds a role (active or not)
+userSchema.methods.hasRole = function(role) {
+  return (this.roles || []).includes(role) || this.userType === role ||
+    (role === 'super-admin' && this.userType === 'admin');
+};
+
+// Instance method to add a worker/client role; the caller must save
+userSchema.methods.addAccountRole = function(role) {
+  if (ACCOUNT_ROLES.includes(role) && !this.roles.includes(role)) {
+    this.roles.push(role);
+  }
+};
+
+// Instance method to get the roles that grant permissions right now:
+// staff roles plus the active worker/client context
+userSchema.methods.getRoles = function() {
+  const roles = new Set((this.roles || []).filter(role => STAFF_ROLES.includes(role)));
+
+  if (this.userType === 'admin') {
+    roles.add('super-admin');
+  } else if (this.userType) {
+    roles.add(this.userType);
+  }
+  return Array.from(roles);
+};
+
+// Instance method to check whether the account holds a staff role
+userSchema.methods.isStaff = function() {
+  return this.getRoles().some(role => STAFF_ROLES.includes(role));
+};
+
+// Instance method to list the user's permissions
+userSchema.methods.getPermissions = function() {
+  return Array.from(getPermissionsForRoles(this.getRoles()));
+};
+
+// Instance method to check a permission
+userSchema.methods.hasPermission = function(permission) {
+  return getPermissionsForRoles(this.getRoles()).has(permission);
+};
+
+// Static method to find the user linked to a provider identity
+userSchema.statics.findByLinkedAccount = function(provider, providerUserId) {
+  const query = { linkedAccounts: { $elemMatch: { provider, providerUserId } } };
+
+  if (provider === 'google') {
+    return this.findOne({ $or: [query, { googleId: providerUserId }] });
+  }
+  return this.findOne(query);
+};
+
+// Instance method to link (or refresh) a normalised provider identity; the caller must save
+userSchema.methods.linkAccount = function(identity) {
+  const existing = this.linkedAccounts.find(account =>
+    account.provider === identity.provider && account.providerUserId === identity.providerUserId
+  );
+
+  if (existing) {
+    existing.lastUsedAt = new Date();
+  } else {
+    this.linkedAccounts.push({
+      provider: identity.provider,
+      providerUserId: identity.providerUserId,
+      email: identity.email,
+      lastUsedAt: new Date()
+    });
+  }
+
+  if (identity.provider === 'google') {
+    this.googleId = identity.providerUserId;
+    this.isGoogleUser = true;
+  }
+};
+
+// Instance method to check a TOTP or recovery code.
+// Requires the twoFactor secret fields to be selected; the caller must save the user afterwards.
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode } = {}) {
+  if (!this.twoFactor || !this.twoFactor.enabled || !this.twoFactor.secret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code, { lastUsedStep: this.twoFactor.lastUsedStep });
+    if (step === null) return null;
+
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const candidate = Buffer.from(hashRecoveryCode(recoveryCode));
+    const match = (this.twoFactor.recoveryCodes || []).find(entry =>
+      !entry.usedAt && crypto.timingSafeEqual(Buffer.from(entry.hash), candidate)
+    );
+    if (!match) return null;
+
+    match.usedAt = new Date();
+    return 'recovery-code';
+  }
+
+  return null;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
@@ -142,6 +438,16 @@ userSchema.methods.toJSON = function() {
   delete userObject.emailVerificationToken;
   delete userObject.emailVerificationExpires;
   delete userObject.emailVerificationCode;
+  delete userObject.phoneOtpCode;
+  delete userObject.phoneOtpExpires;
+  delete userObject.phoneOtpPurpose;
+  delete userObject.phoneOtpTarget;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
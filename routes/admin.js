@@ -4,18 +4,24 @@ const Job = require('../models/Job');
 const Application = require('../models/Application');
 const Review = require('../models/Review');
 const Notification = require('../models/Notification');
-const { auth, requireAdmin } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireAdmin, requirePermission, requireSecondFactor } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const Scheduler = require('../services/scheduler');
+const { ROLE_PERMISSIONS, STAFF_ROLES, ACCOUNT_ROLES } = require('../config/roles');
 
 const router = express.Router();
 
-// Middleware to require admin access for all admin routes
+// Middleware to require admin access for all admin routes.
+// Staff roles only reach the routes their permissions allow.
 router.use(auth);
 router.use(requireAdmin);
+router.use(requireSecondFactor({ required: true }));
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Admin only
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('admin:dashboard'), async (req, res) => {
   try {
     const [
       totalUsers,
@@ -76,13 +82,14 @@ router.get('/dashboard', async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination and filtering
 // @access  Admin only
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     const search = req.query.search || '';
     const userType = req.query.userType || '';
+    const role = req.query.role || '';
 
     // Build query
     let query = {};
@@ -96,6 +103,9 @@ router.get('/users', async (req, res) => {
     if (userType && userType !== 'all') {
       query.userType = userType;
     }
+    if (role && role !== 'all') {
+      query.roles = role;
+    }
 
     const [users, total] = await Promise.all([
       User.find(query)
@@ -130,8 +140,16 @@ router.get('/users', async (req, res) => {
 // @route   PATCH /api/admin/users/:id/activate
 // @desc    Activate/deactivate user
 // @access  Admin only
-router.patch('/users/:id/activate', async (req, res) => {
+router.patch('/users/:id/activate', requirePermission('users:activate'), async (req, res) => {
   try {
+    // Stops an admin from locking themselves out by mistake
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
@@ -140,9 +158,31 @@ router.patch('/users/:id/activate', async (req, res) => {
       });
     }
 
+    // Support agents manage marketplace accounts; staff accounts are left to super-admins
+    if (user.isStaff() && !req.user.hasRole('super-admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can activate or deactivate staff accounts'
+      });
+    }
+
+    // Deleted accounts are anonymised and cannot be restored
+    if (user.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has been deleted'
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    await AuditService.record(user.isActive ? 'admin.user-activated' : 'admin.user-deactivated', {
+      user: user._id,
+      actor: req.user._id,
+      req
+    });
+
     res.json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -158,10 +198,246 @@ router.patch('/users/:id/activate', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    Get the roles and the permissions they grant
+// @access  Admin only
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLE_PERMISSIONS,
+      assignableRoles: STAFF_ROLES
+    }
+  });
+});
+
+// @route   PUT /api/admin/users/:id/roles
+// @desc    Set a user's staff roles (moderator, support, super-admin)
+// @access  Admin only (roles:assign)
+router.put('/users/:id/roles', requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Roles must be an array'
+      });
+    }
+
+    const invalidRoles = roles.filter(role => !STAFF_ROLES.includes(role));
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid roles: ${invalidRoles.join(', ')}. Assignable roles: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    // Stops an admin from locking themselves out by mistake
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own roles'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only staff roles are replaced; the user's own worker/client roles are kept
+    const previousRoles = user.getRoles().filter(role => STAFF_ROLES.includes(role));
+    const newRoles = Array.from(new Set(roles));
+    user.roles = [...user.roles.filter(role => !STAFF_ROLES.includes(role)), ...newRoles];
+
+    // Legacy `userType: 'admin'` accounts are super-admins through their userType; they become
+    // client accounts (or workers, if that is the role they hold) so the roles set here are all they have
+    if (user.userType === 'admin') {
+      user.userType = user.roles.find(role => ACCOUNT_ROLES.includes(role)) || 'client';
+    }
+    await user.save();
+
+    await AuditService.record('admin.roles-changed', {
+      user: user._id,
+      actor: req.user._id,
+      req,
+      details: { from: previousRoles, to: newRoles }
+    });
+
+    res.json({
+      success: true,
+      message: 'Roles updated successfully',
+      data: {
+        user,
+        roles: user.getRoles(),
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (error) {
+    console.error('Admin roles update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, optionally filtered by action or user
+// @access  Admin only (audit:read)
+router.get('/audit-logs', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+    if (req.query.user) {
+      query.user = req.query.user;
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('user', 'firstName lastName email')
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/tasks
+// @desc    Get background tasks with their schedule and last run
+// @access  Admin only (tasks:manage)
+router.get('/tasks', requirePermission('tasks:manage'), async (req, res) => {
+  try {
+    const tasks = await Scheduler.getStatus();
+
+    res.json({
+      success: true,
+      data: {
+        tasks,
+        instance: Scheduler.getInstanceId()
+      }
+    });
+  } catch (error) {
+    console.error('Admin tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/tasks/:name/run
+// @desc    Run a background task now
+// @access  Admin only (tasks:manage)
+router.post('/tasks/:name/run', requirePermission('tasks:manage'), async (req, res) => {
+  try {
+    const task = await Scheduler.runNow(req.params.name);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    await AuditService.record('admin.task-run', {
+      actor: req.user._id,
+      req,
+      details: { task: task.name }
+    });
+
+    res.json({
+      success: true,
+      message: task.isEnabled
+        ? 'Task will run within a minute'
+        : 'Task is disabled; it will run once enabled',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Admin task run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/tasks/:name
+// @desc    Enable or disable a background task
+// @access  Admin only (tasks:manage)
+router.patch('/tasks/:name', requirePermission('tasks:manage'), async (req, res) => {
+  try {
+    if (typeof req.body.isEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isEnabled must be true or false'
+      });
+    }
+
+    const task = await Scheduler.setEnabled(req.params.name, req.body.isEnabled);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    await AuditService.record(task.isEnabled ? 'admin.task-enabled' : 'admin.task-disabled', {
+      actor: req.user._id,
+      req,
+      details: { task: task.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Task ${task.isEnabled ? 'enabled' : 'disabled'} successfully`,
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Admin task update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/jobs
 // @desc    Get all jobs with pagination and filtering
 // @access  Admin only
-router.get('/jobs', async (req, res) => {
+router.get('/jobs', requirePermission('jobs:moderate'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -215,7 +491,7 @@ router.get('/jobs', async (req, res) => {
 // @route   GET /api/admin/applications
 // @desc    Get all applications with pagination and filtering
 // @access  Admin only
-router.get('/applications', async (req, res) => {
+router.get('/applications', requirePermission('applications:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -263,7 +539,7 @@ router.get('/applications', async (req, res) => {
 // @route   GET /api/admin/reviews
 // @desc    Get all reviews with pagination and filtering
 // @access  Admin only
-router.get('/reviews', async (req, res) => {
+router.get('/reviews', requirePermission('reviews:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -311,7 +587,7 @@ router.get('/reviews', async (req, res) => {
 // @route   GET /api/admin/reports
 // @desc    Get admin reports and analytics
 // @access  Admin only
-router.get('/reports/:type', async (req, res) => {
+router.get('/reports/:type', requirePermission('reports:read'), async (req, res) => {
   try {
     const { type } = req.params;
     const days = parseInt(req.query.days) || 30;
@@ -381,7 +657,7 @@ router.get('/reports/:type', async (req, res) => {
 // @route   POST /api/admin/notifications
 // @desc    Create and send admin notification
 // @access  Admin only
-router.post('/notifications', async (req, res) => {
+router.post('/notifications', requirePermission('notifications:send'), async (req, res) => {
   try {
     const { title, message, type, targetAudience } = req.body;
 
@@ -433,7 +709,7 @@ router.post('/notifications', async (req, res) => {
 // @route   GET /api/admin/notifications
 // @desc    Get admin sent notifications
 // @access  Admin only
-router.get('/notifications', async (req, res) => {
+router.get('/notifications', requirePermission('notifications:send'), async (req, res) => {
   try {
     // Mock data for admin notifications
     const notifications = [
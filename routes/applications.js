@@ -1,88 +1,69 @@
 const express = require('express');
 const Application = require('../models/Application');
 const Job = require('../models/Job');
-const { auth, authorize } = require('../middleware/auth');
-const { validateApplication } = require('../middleware/validation');
+const JobInvitation = require('../models/JobInvitation');
+const ApplicationService = require('../services/applicationService');
+const AssignmentService = require('../services/assignmentService');
+const OfferService = require('../services/offerService');
+const ApplicantPipelineService = require('../services/applicantPipelineService');
+const { ApplicationError, JobTransitionError, AssignmentError } = require('../utils/errors');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  validateApplication,
+  validateOffer,
+  validatePipelineStage,
+  validateBulkStage,
+  validatePipelineNote,
+  validatePipelineTags
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // @route   POST /api/applications
 // @desc    Create a new job application
-// @access  Private (Workers only)
-router.post('/', auth, authorize('worker'), validateApplication, async (req, res) => {
+// @access  Private (Workers only, in worker context)
+router.post('/', auth, requirePermission('applications:create'), validateApplication, async (req, res) => {
   try {
-    const { job: jobId, coverLetter, proposedPrice, estimatedDuration, availability, portfolio } = req.body;
-
-    // Check if job exists and is open
-    const job = await Job.findById(jobId);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    if (job.status !== 'open') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job is no longer open for applications'
-      });
-    }
-
-    // Check if worker has already applied
-    const existingApplication = await Application.findOne({
-      job: jobId,
-      worker: req.user._id,
-      isActive: true
-    });
-
-    if (existingApplication) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already applied for this job'
-      });
-    }
-
-    // Check if applications limit reached
-    const applicationsCount = await Application.countDocuments({
-      job: jobId,
-      isActive: true
-    });
-
-    if (applicationsCount >= job.maxApplicants) {
-      return res.status(400).json({
-        success: false,
-        message: 'This job has reached the maximum number of applications'
-      });
-    }
-
-    // Create application
-    const application = await Application.create({
+    const {
       job: jobId,
-      worker: req.user._id,
       coverLetter,
       proposedPrice,
       estimatedDuration,
       availability,
-      portfolio
-    });
+      portfolio,
+      screeningAnswers
+    } = req.body;
 
-    // Update job applications count
-    await Job.findByIdAndUpdate(jobId, {
-      $inc: { applicationsCount: 1 }
+    const application = await ApplicationService.apply(jobId, req.user._id, {
+      coverLetter,
+      proposedPrice,
+      estimatedDuration,
+      availability,
+      portfolio,
+      screeningAnswers
     });
 
-    await application.populate([
-      { path: 'worker', select: 'firstName lastName profilePicture' },
-      { path: 'job', select: 'title category budget' }
-    ]);
+    // An invitation to this job counts as answered
+    await JobInvitation.updateOne(
+      { job: jobId, worker: req.user._id, status: 'pending' },
+      { $set: { status: 'accepted', application: application._id, respondedAt: new Date() } }
+    );
 
     res.status(201).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: application.screening.knockedOut
+        ? "Application submitted, but your answers do not meet this job's requirements"
+        : 'Application submitted successfully',
       data: application
     });
   } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -167,7 +148,8 @@ router.get('/:id', auth, async (req, res) => {
           select: 'bio skills ratings completedJobs'
         }
       })
-      .populate('job', 'title category budget location client');
+      .populate('job', 'title category budget location client')
+      .select('+pipeline');
 
     if (!application) {
       return res.status(404).json({
@@ -179,18 +161,22 @@ router.get('/:id', auth, async (req, res) => {
     // Check access permissions
     const isWorker = application.worker._id.toString() === req.user._id.toString();
     const isJobOwner = application.job.client.toString() === req.user._id.toString();
-    const isAdmin = req.user.userType === 'admin';
+    const canReadAll = req.user.hasPermission('applications:read');
 
-    if (!isWorker && !isJobOwner && !isAdmin) {
+    if (!isWorker && !isJobOwner && !canReadAll) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // The hiring pipeline is the job owner's own
+    const data = application.toObject();
+    if (!isJobOwner) delete data.pipeline;
+
     res.status(200).json({
       success: true,
-      data: application
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -310,32 +296,24 @@ router.post('/:id/accept', auth, async (req, res) => {
       });
     }
 
-    // Accept the application
-    application.status = 'accepted';
-    await application.save();
-
-    // Update job status and assign worker
-    await Job.findByIdAndUpdate(application.job._id, {
-      status: 'in-progress',
-      assignedWorker: application.worker
-    });
-
-    // Reject other pending applications for this job
-    await Application.updateMany(
-      {
-        job: application.job._id,
-        _id: { $ne: application._id },
-        status: 'pending'
-      },
-      { status: 'rejected' }
-    );
+    // Hire the worker; the job starts, and other applications are rejected, once every place is filled
+    const { job, started } = await AssignmentService.hire(application.job, application, { actor: req.user });
 
     res.status(200).json({
       success: true,
-      message: 'Application accepted successfully',
+      message: started
+        ? 'Application accepted successfully'
+        : `Application accepted. ${job.openSlots} more to hire before the job starts.`,
       data: application
     });
   } catch (error) {
+    if (error instanceof AssignmentError || error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -428,19 +406,63 @@ router.post('/:id/withdraw', auth, async (req, res) => {
       });
     }
 
-    // Withdraw the application
-    application.status = 'withdrawn';
-    application.isActive = false;
-    await application.save();
+    // Withdraw the application and update the job's applications count together
+    await ApplicationService.withdraw(application);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully'
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    // Update job applications count
-    await Job.findByIdAndUpdate(application.job, {
-      $inc: { applicationsCount: -1 }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
     });
+  }
+});
+
+// @route   GET /api/applications/:id/offers
+// @desc    Price negotiation on an application: proposed price, offers and the agreed price
+// @access  Private (Applicant or job owner)
+router.get('/:id/offers', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate('job', 'title client budget status');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!OfferService.getParty(application, application.job, req.user) && !req.user.hasPermission('applications:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Application withdrawn successfully'
+      data: {
+        budget: application.job.budget,
+        proposedPrice: application.proposedPrice,
+        estimatedDuration: application.estimatedDuration,
+        offers: application.offers,
+        openOffer: application.openOffer,
+        agreedPrice: application.agreedPrice && application.agreedPrice.amount !== undefined
+          ? application.agreedPrice
+          : null
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -451,6 +473,184 @@ router.post('/:id/withdraw', auth, async (req, res) => {
   }
 });
 
+// Handler for the offer actions below: loads the application and its job and applies the change
+const negotiate = (apply, successMessage, statusCode = 200) => async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.job).select('title client budget status');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const { application: updated, offer } = await apply(application, job, req);
+
+    res.status(statusCode).json({
+      success: true,
+      message: successMessage,
+      data: {
+        offer,
+        agreedPrice: updated.agreedPrice && updated.agreedPrice.amount !== undefined ? updated.agreedPrice : null
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/applications/:id/offers
+// @desc    Make an offer (amount, duration, message, expiresAt), or counter the other side's open offer
+// @access  Private (Applicant or job owner)
+router.post('/:id/offers', auth, validateOffer, negotiate(
+  (application, job, req) => OfferService.makeOffer(application, job, {
+    actor: req.user,
+    amount: req.body.amount,
+    duration: req.body.duration,
+    message: req.body.message,
+    expiresAt: req.body.expiresAt
+  }),
+  'Offer sent',
+  201
+));
+
+// @route   POST /api/applications/:id/offers/:offerId/accept
+// @desc    Accept the other side's offer; its amount becomes the agreed price
+// @access  Private (Applicant or job owner)
+router.post('/:id/offers/:offerId/accept', auth, negotiate(
+  (application, job, req) => OfferService.respond(application, job, req.params.offerId, {
+    actor: req.user,
+    decision: 'accepted'
+  }),
+  'Offer accepted'
+));
+
+// @route   POST /api/applications/:id/offers/:offerId/decline
+// @desc    Decline the other side's offer
+// @access  Private (Applicant or job owner)
+router.post('/:id/offers/:offerId/decline', auth, negotiate(
+  (application, job, req) => OfferService.respond(application, job, req.params.offerId, {
+    actor: req.user,
+    decision: 'declined'
+  }),
+  'Offer declined'
+));
+
+// @route   POST /api/applications/:id/offers/:offerId/withdraw
+// @desc    Withdraw your own open offer
+// @access  Private (Whoever made the offer)
+router.post('/:id/offers/:offerId/withdraw', auth, negotiate(
+  (application, job, req) => OfferService.withdraw(application, job, req.params.offerId, { actor: req.user }),
+  'Offer withdrawn'
+));
+
+// Handler for the pipeline actions below: loads the application for the job owner and applies the change
+const managePipeline = (apply, successMessage) => async (req, res) => {
+  try {
+    const application = await ApplicantPipelineService.getForClient(req.params.id, req.user);
+    const data = await apply(application, req);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/applications/bulk-stage
+// @desc    Move several pending applicants of your jobs to one pipeline stage
+// @access  Private (Job owner)
+router.post('/bulk-stage', auth, validateBulkStage, async (req, res) => {
+  try {
+    const result = await ApplicantPipelineService.moveStages(req.body.applicationIds, req.body.stage, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.moved} application(s) moved to ${req.body.stage}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/applications/:id/stage
+// @desc    Move a pending applicant to a pipeline stage (new, shortlisted, interview, offered)
+// @access  Private (Job owner)
+router.put('/:id/stage', auth, validatePipelineStage, managePipeline(
+  async (application, req) => (await ApplicantPipelineService.moveStage(application, req.body.stage)).pipeline,
+  'Applicant moved'
+));
+
+// @route   POST /api/applications/:id/notes
+// @desc    Add a private note on an applicant
+// @access  Private (Job owner)
+router.post('/:id/notes', auth, validatePipelineNote, managePipeline(
+  (application, req) => ApplicantPipelineService.addNote(application, req.body.text, req.user),
+  'Note added'
+));
+
+// @route   DELETE /api/applications/:id/notes/:noteId
+// @desc    Delete a private note on an applicant
+// @access  Private (Job owner)
+router.delete('/:id/notes/:noteId', auth, managePipeline(
+  async (application, req) => (await ApplicantPipelineService.removeNote(application, req.params.noteId)).pipeline,
+  'Note deleted'
+));
+
+// @route   PUT /api/applications/:id/tags
+// @desc    Replace the tags on an applicant
+// @access  Private (Job owner)
+router.put('/:id/tags', auth, validatePipelineTags, managePipeline(
+  async (application, req) => (await ApplicantPipelineService.setTags(application, req.body.tags)).pipeline,
+  'Tags updated'
+));
+
 // @route   GET /api/applications/stats/overview
 // @desc    Get application statistics for current user
 // @access  Private
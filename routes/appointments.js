@@ -0,0 +1,311 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const AppointmentService = require('../services/appointmentService');
+const { auth } = require('../middleware/auth');
+const {
+  validateAppointment,
+  validateAppointmentConfirm,
+  validateAppointmentReason
+} = require('../middleware/validation');
+const { AppointmentError } = require('../utils/errors');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Confirmed appointments that ended longer ago than this are left out of the calendar export
+const CALENDAR_PAST_DAYS = 30;
+
+const PARTY_FIELDS = 'firstName lastName profilePicture';
+
+// @route   POST /api/appointments
+// @desc    Propose an interview or site visit to an applicant (application, type, slots, durationMinutes, location, message)
+// @access  Private (Job owner)
+router.post('/', auth, validateAppointment, async (req, res) => {
+  try {
+    const application = await Application.findById(req.body.application);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.job).select('title client status');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const appointment = await AppointmentService.propose(application, job, {
+      actor: req.user,
+      type: req.body.type,
+      slots: req.body.slots,
+      durationMinutes: req.body.durationMinutes,
+      location: req.body.location,
+      message: req.body.message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment proposed',
+      data: {
+        appointment,
+        slots: await AppointmentService.checkSlots(appointment)
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/appointments
+// @desc    Current user's appointments as client or applicant (status, type, from, to)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, type, from, to, page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { $or: [{ client: req.user._id }, { worker: req.user._id }] };
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.startsAt = {};
+      if (from) filter.startsAt.$gte = new Date(from);
+      if (to) filter.startsAt.$lte = new Date(to);
+    }
+
+    const appointments = await Appointment.find(filter)
+      .populate('job', 'title category location')
+      .populate('client', PARTY_FIELDS)
+      .populate('worker', PARTY_FIELDS)
+      .sort({ startsAt: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Appointment.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointments,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/appointments/calendar.ics
+// @desc    Current user's confirmed appointments as an iCalendar file
+// @access  Private
+router.get('/calendar.ics', auth, async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      $or: [{ client: req.user._id }, { worker: req.user._id }],
+      status: 'confirmed',
+      endsAt: { $gte: new Date(Date.now() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .populate('job', 'title')
+      .populate('client', PARTY_FIELDS)
+      .populate('worker', PARTY_FIELDS)
+      .sort({ startsAt: 1 });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="workie-appointments.ics"');
+    res.status(200).send(buildCalendar(
+      appointments.map(appointment => AppointmentService.toCalendarEvent(appointment)),
+      { name: 'Workie.lk appointments' }
+    ));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Load an appointment for one of its two sides
+const loadAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.id)
+    .populate('job', 'title category location client')
+    .populate('client', PARTY_FIELDS)
+    .populate('worker', PARTY_FIELDS);
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  if (!AppointmentService.getParty(appointment, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+// @route   GET /api/appointments/:id
+// @desc    Get an appointment; proposed times list the applicant's clashes (client: only whether they are busy)
+// @access  Private (Client or applicant)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    let slots = null;
+    if (appointment.status === 'proposed') {
+      slots = await AppointmentService.checkSlots(appointment);
+
+      // The client only learns whether the applicant is busy, not with what
+      if (AppointmentService.getParty(appointment, req.user) === 'client') {
+        slots = slots.map(({ clashes, ...slot }) => ({ ...slot, workerBusy: clashes.length > 0 }));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointment,
+        slots
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/appointments/:id/ics
+// @desc    A confirmed or cancelled appointment as an iCalendar file
+// @access  Private (Client or applicant)
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    if (!appointment.startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only appointments with a confirmed time can be exported'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="appointment-${appointment._id}.ics"`);
+    res.status(200).send(buildCalendar([AppointmentService.toCalendarEvent(appointment)]));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Handler for the appointment actions below: loads the appointment and its job and applies the change
+const respond = (apply, successMessage) => async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const job = await Job.findById(appointment.job).select('title client');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const updated = await apply(appointment, job, req);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/appointments/:id/confirm
+// @desc    Pick one of the proposed times (slotId); clashes with your other commitments answer 409
+// @access  Private (Applicant)
+router.post('/:id/confirm', auth, validateAppointmentConfirm, respond(
+  (appointment, job, req) => AppointmentService.confirm(appointment, job, req.body.slotId, { actor: req.user }),
+  'Appointment confirmed'
+));
+
+// @route   POST /api/appointments/:id/decline
+// @desc    Decline all proposed times, with an optional reason
+// @access  Private (Applicant)
+router.post('/:id/decline', auth, validateAppointmentReason, respond(
+  (appointment, job, req) => AppointmentService.decline(appointment, job, { actor: req.user, reason: req.body.reason }),
+  'Appointment declined'
+));
+
+// @route   POST /api/appointments/:id/cancel
+// @desc    Cancel a proposed or confirmed appointment, with an optional reason
+// @access  Private (Client or applicant)
+router.post('/:id/cancel', auth, validateAppointmentReason, respond(
+  (appointment, job, req) => AppointmentService.cancel(appointment, job, { actor: req.user, reason: req.body.reason }),
+  'Appointment cancelled'
+));
+
+module.exports = router;
@@ -5,12 +5,25 @@ const multer = require('multer');
 const path = require('path');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
-const { auth } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
+const Session = require('../models/Session');
+const { auth, requireSecondFactor } = require('../middleware/auth');
+const { validateRegister, validateLogin, validatePhone, validatePhoneLogin } = require('../middleware/validation');
+const { smsSendLimiter } = require('../middleware/rateLimiter');
 const { sendEmailVerificationCode, sendPasswordResetPin, sendOtpEmail } = require('../utils/emailService');
-const { OAuth2Client } = require('google-auth-library');
-const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID; // Set this in your .env file
-const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getActiveSession,
+  revokeUserSessions
+} = require('../utils/authTokens');
+const { generateSecret, verifyCode, buildProvisioningUri, generateRecoveryCodes, hashRecoveryCode } = require('../utils/totp');
+const BruteForceService = require('../services/bruteForceService');
+const AuditService = require('../services/auditService');
+const { getProvider, listProviders, OAuthError } = require('../services/oauth');
+const { sendSms } = require('../services/sms');
+const { normalizePhone, getPhoneVariants, maskPhone } = require('../utils/phone');
 
 const router = express.Router();
 
@@ -45,10 +58,69 @@ const upload = multer({
   }
 });
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+// Display names for sign-in providers
+const PROVIDER_LABELS = { google: 'Google', facebook: 'Facebook', apple: 'Apple' };
+
+// Issue a short-lived token that lets the owner of a password account link a provider login
+const generateOAuthLinkToken = (identity) => {
+  return jwt.sign(
+    {
+      purpose: 'oauth-link',
+      provider: identity.provider,
+      providerUserId: identity.providerUserId,
+      email: identity.email,
+      picture: identity.picture
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+};
+
+// Finish a successful first-factor login: ask for 2FA when enabled, otherwise issue tokens
+const sendLoginResponse = async (req, res, user, message) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    await user.save();
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }
+    });
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens
+  const tokens = await issueAuthTokens(user, req);
+
+  // Remove password from response
+  user.password = undefined;
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user,
+      ...tokens
+    }
+  });
+};
+
+// Count a failed attempt and send either the lockout response or the given error
+const rejectAttempt = async (req, res, keys, { action, user, status, message }) => {
+  const result = await BruteForceService.registerFailure(keys, { action, user, req });
+  if (result.lock) {
+    return BruteForceService.sendLocked(res, result.lock);
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    attemptsRemaining: result.attemptsRemaining
   });
 };
 
@@ -68,6 +140,15 @@ router.post('/validate-token', async (req, res) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Make sure the session behind the token has not been revoked
+    const session = await getActiveSession(decoded.sid);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked'
+      });
+    }
     
     // Find user and populate profile
     const user = await User.findById(decoded.id);
@@ -149,14 +230,13 @@ router.post('/register', validateRegister, async (req, res) => {
     // Create empty profile for the user
     await Profile.create({ user: user._id });
 
-    // Generate 5-digit OTP
-    const otp = Math.floor(10000 + Math.random() * 90000).toString();
-
-    // Store OTP and expiry in user
-    user.emailVerificationCode = otp;
-    user.emailVerificationExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+    // Generate 5-digit OTP (stored hashed, expires in 10 minutes)
+    const otp = user.setOneTimeCode('emailVerification');
     await user.save();
 
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req);
+
     // Send OTP email - handle errors properly
     try {
       await sendOtpEmail(user.email, otp, user.firstName);
@@ -168,21 +248,18 @@ router.post('/register', validateRegister, async (req, res) => {
         emailSent: false,
         data: {
           user,
-          token: generateToken(user._id)
+          ...tokens
         }
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
     res.status(201).json({
       success: true,
       message: 'User registered successfully. OTP sent to email for verification.',
       emailSent: true,
       data: {
         user,
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -203,9 +280,18 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Check if user exists and include password for comparison
     const user = await User.findOne({ email }).select('+password');
+
+    // Refuse attempts while the email or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('login', email, user && user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
     if (!user) {
-      return res.status(401).json({
-        success: false,
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'login',
+        status: 401,
         message: 'Invalid email or password'
       });
     }
@@ -221,30 +307,17 @@ router.post('/login', validateLogin, async (req, res) => {
     // Validate password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'login',
+        user: user._id,
+        status: 401,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
+    await BruteForceService.reset(attemptKeys);
 
-    // Remove password from response
-    user.password = undefined;
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user,
-        token
-      }
-    });
+    await sendLoginResponse(req, res, user, 'Login successful');
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -266,7 +339,10 @@ router.get('/me', auth, async (req, res) => {
       success: true,
       data: {
         user,
-        profile
+        profile,
+        roles: user.getRoles(),
+        accountRoles: user.getAccountRoles(),
+        permissions: user.getPermissions()
       }
     });
   } catch (error) {
@@ -278,14 +354,188 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { session, tokens } = await rotateRefreshToken(refreshToken, req);
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('admin');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user (log out everywhere)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, 'logout-all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/device/:deviceId
+// @desc    Revoke all sessions of the current user on a device
+// @access  Private
+router.delete('/sessions/device/:deviceId', auth, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      {
+        user: req.user._id,
+        'device.deviceId': req.params.deviceId,
+        revokedAt: { $exists: false }
+      },
+      {
+        revokedAt: new Date(),
+        revokedReason: 'user-revoked'
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active sessions found for this device'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out successfully',
+      data: { revokedCount: result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a single session of the current user
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user-revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
 });
 
 // @route   POST /api/auth/forgot-password
@@ -318,10 +568,7 @@ router.post('/forgot-password', async (req, res) => {
     console.log(`✅ User found: ${user.firstName} ${user.lastName}`)
 
     // Check if there is already a valid PIN
-    const now = Date.now();
-    const hasValidPin = user.passwordResetPin && 
-                       user.passwordResetPinExpires && 
-                       user.passwordResetPinExpires > now;
+    const hasValidPin = user.hasActiveOneTimeCode('passwordReset');
     
     if (hasValidPin) {
       // If valid PIN exists, inform user without sending another email
@@ -332,12 +579,8 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Generate new 5-digit PIN
-    const resetPin = Math.floor(10000 + Math.random() * 90000).toString();
-    
-    // Save PIN to database first
-    user.passwordResetPin = resetPin;
-    user.passwordResetPinExpires = now + 10 * 60 * 1000; // 10 minutes
+    // Generate new 5-digit PIN and save its hash first (expires in 10 minutes)
+    const resetPin = user.setOneTimeCode('passwordReset');
     await user.save();
     
     // Send PIN via email
@@ -347,8 +590,7 @@ router.post('/forgot-password', async (req, res) => {
     } catch (emailError) {
       console.error('Failed to send password reset PIN:', emailError);
       // Clear the PIN from database if email failed
-      user.passwordResetPin = undefined;
-      user.passwordResetPinExpires = undefined;
+      user.clearOneTimeCode('passwordReset');
       await user.save();
       
       return res.status(500).json({
@@ -399,13 +641,8 @@ router.post('/resend-reset-pin', async (req, res) => {
       });
     }
 
-    // Generate new PIN (always generate a new one for resend)
-    const resetPin = Math.floor(10000 + Math.random() * 90000).toString();
-    const now = Date.now();
-    
-    // Save new PIN to database
-    user.passwordResetPin = resetPin;
-    user.passwordResetPinExpires = now + 10 * 60 * 1000; // 10 minutes
+    // Generate new PIN (always generate a new one for resend) and save its hash
+    const resetPin = user.setOneTimeCode('passwordReset');
     await user.save();
     
     // Send PIN via email
@@ -422,8 +659,7 @@ router.post('/resend-reset-pin', async (req, res) => {
       console.error('❌ Failed to resend password reset PIN:', emailError);
       
       // Clear the PIN from database if email failed
-      user.passwordResetPin = undefined;
-      user.passwordResetPinExpires = undefined;
+      user.clearOneTimeCode('passwordReset');
       await user.save();
       
       return res.status(500).json({
@@ -457,19 +693,29 @@ router.post('/verify-reset-pin', async (req, res) => {
       });
     }
 
-    const user = await User.findOne({
-      email,
-      passwordResetPin: pin,
-      passwordResetPinExpires: { $gt: Date.now() }
-    });
+    const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
+    // Refuse attempts while the email or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('verify-reset-pin', email, user && user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    // Checking the PIN also clears it, so it can only be used once
+    const isPinValid = user && await user.consumeOneTimeCode('passwordReset', pin);
+
+    if (!isPinValid) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'verify-reset-pin',
+        user: user ? user._id : undefined,
+        status: 400,
         message: 'Invalid or expired PIN'
       });
     }
 
+    await BruteForceService.reset(attemptKeys);
+
     // Generate a temporary token for password reset
     const resetToken = crypto.randomBytes(32).toString('hex');
     user.passwordResetToken = crypto
@@ -477,11 +723,6 @@ router.post('/verify-reset-pin', async (req, res) => {
       .update(resetToken)
       .digest('hex');
     user.passwordResetExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
-    
-    // Clear the PIN since it's now verified
-    user.passwordResetPin = undefined;
-    user.passwordResetPinExpires = undefined;
-    
     await user.save();
 
     res.status(200).json({
@@ -511,10 +752,14 @@ router.put('/reset-password/:token', async (req, res) => {
       .update(req.params.token)
       .digest('hex');
 
-    const user = await User.findOne({
-      passwordResetToken,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    // Clear the token in the same query that finds it, so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken,
+        passwordResetExpires: { $gt: Date.now() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
 
     if (!user) {
       return res.status(400).json({
@@ -525,21 +770,16 @@ router.put('/reset-password/:token', async (req, res) => {
 
     // Set new password
     user.password = password;
+    user.hasPassword = true;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
 
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
-
-    res.status(200).json({
-      success: true,
-      message: 'Password reset successful',
-      data: {
-        token
-      }
-    });
+    // Sign out every existing session, then start a fresh one; accounts with 2FA still
+    // need their second factor, since the reset link only proves access to the mailbox
+    await revokeUserSessions(user._id, 'password-reset');
+    await sendLoginResponse(req, res, user, 'Password reset successful');
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -552,7 +792,7 @@ router.put('/reset-password/:token', async (req, res) => {
 // @route   PUT /api/auth/change-password
 // @desc    Change password for logged in user
 // @access  Private
-router.put('/change-password', auth, async (req, res) => {
+router.put('/change-password', auth, requireSecondFactor(), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -572,6 +812,9 @@ router.put('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out all other devices
+    await revokeUserSessions(user._id, 'password-changed', req.authSession._id);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -599,24 +842,31 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    // Find user with matching email and OTP
-    const user = await User.findOne({ 
-      email, 
-      emailVerificationCode: otp,
-      emailVerificationExpires: { $gt: Date.now() }
-    });
+    const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
+    // Refuse attempts while the email or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('verify-otp', email, user && user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    // Check the OTP and its expiry; a valid OTP is cleared so it can only be used once
+    const isOtpValid = user && await user.consumeOneTimeCode('emailVerification', otp);
+
+    if (!isOtpValid) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'verify-otp',
+        user: user ? user._id : undefined,
+        status: 400,
         message: 'Invalid or expired OTP'
       });
     }
 
+    await BruteForceService.reset(attemptKeys);
+
     // Mark email as verified
     user.isEmailVerified = true;
-    user.emailVerificationCode = undefined;
-    user.emailVerificationExpires = undefined;
     await user.save();
 
     res.status(200).json({
@@ -663,12 +913,8 @@ router.post('/resend-otp', async (req, res) => {
       });
     }
 
-    // Generate new 5-digit OTP
-    const otp = Math.floor(10000 + Math.random() * 90000).toString();
-
-    // Update user with new OTP
-    user.emailVerificationCode = otp;
-    user.emailVerificationExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+    // Generate new 5-digit OTP and store its hash
+    const otp = user.setOneTimeCode('emailVerification');
     await user.save();
 
     // Send OTP email
@@ -697,105 +943,99 @@ router.post('/resend-otp', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/google-signin
-// @desc    Google Sign-In authentication
+// Find the account that has verified a phone number, for signing in with it. An account that
+// only typed the number in is never matched, or whoever owns the number could take it over;
+// it verifies the number through /phone/send-verification first.
+const findUserByPhone = async (phone) => {
+  return User.findOne({ phone: { $in: getPhoneVariants(phone) }, isPhoneVerified: true });
+};
+
+// Generate a phone code, store it on the user and send it by SMS
+const sendPhoneCode = async (user, phone, purpose) => {
+  // Generate 5-digit OTP (stored hashed, expires in 10 minutes)
+  const otp = user.setOneTimeCode('phone');
+  user.phoneOtpPurpose = purpose;
+  user.phoneOtpTarget = phone;
+  await user.save();
+
+  const action = purpose === 'login' ? 'login' : 'verification';
+  await sendSms(phone, `Your Workie.lk ${action} code is ${otp}. It expires in 10 minutes. Do not share it with anyone.`);
+};
+
+// Check and use up a phone code for the given purpose and number
+const consumePhoneCode = async (user, phone, purpose, code) => {
+  return !!user &&
+    user.phoneOtpPurpose === purpose &&
+    user.phoneOtpTarget === phone &&
+    await user.consumeOneTimeCode('phone', code);
+};
+
+// @route   POST /api/auth/phone/request-otp
+// @desc    Send a login code to a phone number
 // @access  Public
-router.post('/google-signin', async (req, res) => {
+router.post('/phone/request-otp', smsSendLimiter, validatePhone, async (req, res) => {
   try {
-    const { accessToken, userInfo } = req.body;
-        
-    if (!accessToken && !userInfo) {
-      return res.status(400).json({
+    const { phone } = req.body;
+
+    // Same answer whether or not the number is registered, so numbers cannot be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account uses this phone number, a login code has been sent',
+      data: { phone: maskPhone(phone) }
+    };
+
+    const user = await findUserByPhone(phone);
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    try {
+      await sendPhoneCode(user, phone, 'login');
+      res.status(200).json(genericResponse);
+    } catch (smsError) {
+      console.error('Failed to send login SMS:', smsError.message);
+      res.status(200).json({
         success: false,
-        message: 'No access token or user info provided'
+        message: 'Failed to send the code. Please try again later.',
+        smsSent: false,
+        error: 'sms_failed'
       });
     }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
 
-    let payload;
+// @route   POST /api/auth/phone/verify-login
+// @desc    Log in with a phone number and SMS code
+// @access  Public
+router.post('/phone/verify-login', validatePhoneLogin, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
 
-    // Try to verify accessToken first
-    if (accessToken) {
-      try {
-        // Verify accessToken by making a request to Google's userinfo endpoint
-        const response = await fetch(`https://www.googleapis.com/oauth2/v2/userinfo?access_token=${accessToken}`);
-        if (response.ok) {
-          const userProfile = await response.json();
-          payload = {
-            sub: userProfile.id,
-            email: userProfile.email,
-            given_name: userProfile.given_name,
-            family_name: userProfile.family_name,
-            picture: userProfile.picture,
-            email_verified: userProfile.verified_email
-          };
-        }
-      } catch (error) {
-        // Access token verification failed, will use userInfo fallback
-      }
-    }
+    const user = await findUserByPhone(phone);
 
-    // If accessToken verification failed, use userInfo as fallback
-    if (!payload && userInfo && userInfo.email) {
-      payload = {
-        sub: userInfo.id,
-        email: userInfo.email,
-        given_name: userInfo.displayName ? userInfo.displayName.split(' ')[0] : '',
-        family_name: userInfo.displayName ? userInfo.displayName.split(' ').slice(1).join(' ') : '',
-        picture: userInfo.photoUrl,
-        email_verified: true // Assume verified from Google
-      };
+    // Refuse attempts while the number or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('phone-login', phone, user && user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
     }
 
-    if (!payload || !payload.email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Unable to verify Google authentication. Please try again.'
+    if (!await consumePhoneCode(user, phone, 'login', code)) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'phone-login',
+        user: user ? user._id : undefined,
+        status: 400,
+        message: 'Invalid or expired code'
       });
     }
 
-    // Find or create user
-    let user = await User.findOne({ email: payload.email });
-    
-    if (!user) {
-      // Create new user
-      user = await User.create({
-        firstName: payload.given_name || '',
-        lastName: payload.family_name || '',
-        email: payload.email,
-        password: crypto.randomBytes(16).toString('hex'), // Generate a random password
-        googleId: payload.sub, // Store Google ID
-        isGoogleUser: true, // Flag for Google users
-        phone: '', // Phone not available from Google
-        emailVerificationCode: undefined, // No need for verification code
-        emailVerificationExpires: undefined,
-        isEmailVerified: payload.email_verified || true,
-        userType: undefined, // Default user type - will be set during role selection
-        isVerified: true,
-        isActive: true,
-        profilePicture: payload.picture || '',
-      });
-      
-      // Create empty profile for the user
-      await Profile.create({ user: user._id });
-    } else {
-      // Update existing user with Google info if needed
-      let updateFields = {};
-      if (!user.googleId && payload.sub) {
-        updateFields.googleId = payload.sub;
-        updateFields.isGoogleUser = true;
-      }
-      if (!user.profilePicture && payload.picture) {
-        updateFields.profilePicture = payload.picture;
-      }
-      if (!user.isEmailVerified && payload.email_verified) {
-        updateFields.isEmailVerified = true;
-      }
-      
-      if (Object.keys(updateFields).length > 0) {
-        await User.findByIdAndUpdate(user._id, updateFields);
-        user = await User.findById(user._id); // Refresh user data
-      }
-    }
+    await BruteForceService.reset(attemptKeys);
 
     // Check if user is active
     if (!user.isActive) {
@@ -805,33 +1045,474 @@ router.post('/google-signin', async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Stored in the same format as the number the code went to
+    user.phone = phone;
 
-    // Remove password from response
-    user.password = undefined;
+    await sendLoginResponse(req, res, user, 'Login successful');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/send-verification
+// @desc    Send a verification code to the user's phone (or a new number in `phone`)
+// @access  Private
+router.post('/phone/send-verification', auth, smsSendLimiter, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone || req.user.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number (e.g., +94771234567, 0771234567, or 771234567)'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.isPhoneVerified && normalizePhone(user.phone) === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    // A number can only be verified on one account
+    const owner = await User.findOne({
+      _id: { $ne: user._id },
+      phone: { $in: getPhoneVariants(phone) },
+      isPhoneVerified: true
+    });
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    try {
+      await sendPhoneCode(user, phone, 'verify');
+      res.status(200).json({
+        success: true,
+        message: 'Verification code sent',
+        data: { phone: maskPhone(phone) }
+      });
+    } catch (smsError) {
+      console.error('Failed to send verification SMS:', smsError.message);
+      res.status(200).json({
+        success: false,
+        message: 'Failed to send the code. Please try again later.',
+        smsSent: false,
+        error: 'sms_failed'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Verify the user's phone number with the SMS code
+// @access  Private
+router.post('/phone/verify', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const phone = user.phoneOtpTarget;
+
+    // Refuse attempts while the number or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('phone-verify', phone || user.phone, user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    if (!await consumePhoneCode(user, phone, 'verify', code)) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'phone-verify',
+        user: user._id,
+        status: 400,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    await BruteForceService.reset(attemptKeys);
+
+    // The number may have been verified elsewhere since the code was sent
+    const owner = await User.findOne({
+      _id: { $ne: user._id },
+      phone: { $in: getPhoneVariants(phone) },
+      isPhoneVerified: true
+    });
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    user.phone = phone;
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    await AuditService.record('auth.phone-verified', {
+      user: user._id,
+      req,
+      details: { phone: maskPhone(phone) }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Google sign-in successful',
-      data: {
-        user,
-        token,
-      },
+      message: 'Phone number verified successfully',
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Sign in (or sign up) with a provider identity
+const handleOAuthSignIn = async (req, res, providerName) => {
+  try {
+    const provider = getProvider(providerName);
+    const identity = await provider.verify(req.body);
+    const label = PROVIDER_LABELS[identity.provider];
+
+    // Accounts are matched by the provider's stable user id, never by email alone
+    let user = await User.findByLinkedAccount(identity.provider, identity.providerUserId);
+
+    if (!user) {
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: `Your ${label} account has no verified email address. Please sign up with email instead.`
+        });
+      }
+
+      const existingUser = await User.findOne({ email: identity.email });
+
+      if (existingUser) {
+        if (existingUser.linkedAccounts.some(account => account.provider === identity.provider)) {
+          return res.status(409).json({
+            success: false,
+            message: `This email is already linked to a different ${label} account`
+          });
+        }
+
+        // The account owner has to prove they own it before the provider is linked
+        return res.status(409).json({
+          success: false,
+          code: 'ACCOUNT_LINK_REQUIRED',
+          message: `An account with this email already exists. Enter your password to link your ${label} account.`,
+          data: {
+            provider: identity.provider,
+            email: existingUser.email,
+            linkToken: generateOAuthLinkToken(identity)
+          }
+        });
+      }
+
+      // Create new user
+      user = new User({
+        firstName: identity.firstName || label,
+        lastName: identity.lastName || 'User',
+        email: identity.email,
+        password: crypto.randomBytes(16).toString('hex'), // Generate a random password
+        hasPassword: false,
+        isEmailVerified: true, // Verified by the provider (checked above)
+        userType: undefined, // Default user type - will be set during role selection
+        isVerified: true,
+        isActive: true,
+        profilePicture: identity.picture || ''
+      });
+      user.linkAccount(identity);
+      await user.save();
+
+      // Create empty profile for the user
+      await Profile.create({ user: user._id });
+    } else {
+      user.linkAccount(identity);
+      if (!user.profilePicture && identity.picture) {
+        user.profilePicture = identity.picture;
+      }
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    await sendLoginResponse(req, res, user, `${label} sign-in successful`);
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Sign-in failed',
+      error: error.message
+    });
+  }
+};
+
+// Link a provider to an existing password account using a link token, then sign in
+const handleOAuthLinkWithPassword = async (req, res) => {
+  try {
+    const { linkToken, password } = req.body;
+
+    if (!linkToken || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link token and password are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(linkToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'oauth-link') {
+      return res.status(401).json({
+        success: false,
+        message: 'Link request is invalid or has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findOne({ email: decoded.email }).select('+password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or deactivated'
+      });
+    }
+
+    // Refuse attempts while the email or the account is locked out
+    const attemptKeys = BruteForceService.keysFor('login', user.email, user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: 'oauth-link',
+        user: user._id,
+        status: 401,
+        message: 'Invalid password'
+      });
+    }
+
+    await BruteForceService.reset(attemptKeys);
+
+    const owner = await User.findByLinkedAccount(decoded.provider, decoded.providerUserId);
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account is already linked to another user'
+      });
+    }
+
+    user.linkAccount(decoded);
+    if (!user.profilePicture && decoded.picture) {
+      user.profilePicture = decoded.picture;
+    }
+
+    await AuditService.record('auth.provider-linked', {
+      user: user._id,
+      req,
+      details: { provider: decoded.provider }
+    });
+
+    await sendLoginResponse(req, res, user, `${PROVIDER_LABELS[decoded.provider]} account linked successfully`);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking account',
+      error: error.message
+    });
+  }
+};
+
+// Link a provider identity to the logged in user
+const handleOAuthLinkForUser = async (req, res, providerName) => {
+  try {
+    const provider = getProvider(providerName);
+    const identity = await provider.verify(req.body);
+
+    const owner = await User.findByLinkedAccount(identity.provider, identity.providerUserId);
+    if (owner && owner._id.toString() !== req.user._id.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account is already linked to another user'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const linkedToOther = user.linkedAccounts.some(account =>
+      account.provider === identity.provider && account.providerUserId !== identity.providerUserId
+    );
+    if (linkedToOther) {
+      return res.status(409).json({
+        success: false,
+        message: `A different ${PROVIDER_LABELS[identity.provider]} account is already linked`
+      });
+    }
+
+    user.linkAccount(identity);
+    await user.save();
+
+    await AuditService.record('auth.provider-linked', {
+      user: user._id,
+      req,
+      details: { provider: identity.provider }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${PROVIDER_LABELS[identity.provider]} account linked successfully`,
+      data: { user }
+    });
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking account',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    Get the sign-in providers that are enabled
+// @access  Public
+router.get('/oauth/providers', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listProviders()
+  });
+});
+
+// @route   POST /api/auth/oauth/link
+// @desc    Link a provider to an existing password account (linkToken + password) and sign in
+// @access  Public
+router.post('/oauth/link', handleOAuthLinkWithPassword);
+
+// @route   POST /api/auth/oauth/:provider
+// @desc    Sign in with Google (idToken), Facebook (accessToken) or Apple (idToken)
+// @access  Public
+router.post('/oauth/:provider', (req, res) => handleOAuthSignIn(req, res, req.params.provider));
+
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Link a provider account to the logged in user
+// @access  Private
+router.post('/oauth/:provider/link', auth, (req, res) => handleOAuthLinkForUser(req, res, req.params.provider));
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Unlink a provider account from the logged in user
+// @access  Private
+router.delete('/oauth/:provider', auth, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.user.id);
+
+    const remaining = user.linkedAccounts.filter(account => account.provider !== provider);
+    const isLinked = remaining.length !== user.linkedAccounts.length ||
+      (provider === 'google' && user.googleId);
+
+    if (!isLinked) {
+      return res.status(404).json({
+        success: false,
+        message: 'This provider is not linked to your account'
+      });
+    }
+
+    // Keep at least one way to sign in
+    if (!user.hasPassword && remaining.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before removing your last sign-in method'
+      });
+    }
+
+    user.linkedAccounts = remaining;
+    if (provider === 'google') {
+      user.googleId = undefined;
+      user.isGoogleUser = false;
+    }
+    await user.save();
+
+    await AuditService.record('auth.provider-unlinked', {
+      user: user._id,
+      req,
+      details: { provider }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlinked successfully',
+      data: { user }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Google sign-in failed',
-      error: error.message,
+      message: 'Server error',
+      error: error.message
     });
   }
 });
 
+// @route   POST /api/auth/google-signin
+// @desc    Google Sign-In authentication with a Google ID token (alias of /oauth/google)
+// @access  Public
+router.post('/google-signin', (req, res) => handleOAuthSignIn(req, res, 'google'));
+
+// @route   POST /api/auth/google-signin/link
+// @desc    Link Google to an existing password account and sign in (alias of /oauth/link)
+// @access  Public
+router.post('/google-signin/link', handleOAuthLinkWithPassword);
+
+// @route   POST /api/auth/google/link
+// @desc    Link a Google account to the logged in user (alias of /oauth/google/link)
+// @access  Private
+router.post('/google/link', auth, (req, res) => handleOAuthLinkForUser(req, res, 'google'));
+
 // @route   POST /api/auth/worker-verification
 // @desc    Submit worker verification data
 // @access  Private
@@ -1001,7 +1682,9 @@ router.post('/worker-verification', auth, async (req, res) => {
       });
     }
     
+    // Add the worker role (keeping any client role) and act as a worker
     if (user.userType !== 'worker') {
+      user.addAccountRole('worker');
       user.userType = 'worker';
       
       try {
@@ -1060,9 +1743,9 @@ router.post('/worker-verification', auth, async (req, res) => {
 });
 
 // @route   PUT /api/auth/update-role
-// @desc    Update user role (for role selection)
+// @desc    Add a worker or client role to the account and make it the active one
 // @access  Private
-router.put('/update-role', auth, async (req, res) => {
+router.put('/update-role', auth, requireSecondFactor(), async (req, res) => {
   try {
     const { userType } = req.body;
 
@@ -1084,16 +1767,11 @@ router.put('/update-role', auth, async (req, res) => {
       });
     }
 
-    // Allow updating userType if it's currently null/undefined or if user is updating to same type
-    if (user.userType && user.userType !== userType) {
-      return res.status(400).json({
-        success: false,
-        message: 'User role has already been set and cannot be changed'
-      });
+    // Staff accounts keep userType 'admin'; the role is still added so it can be switched to
+    user.addAccountRole(userType);
+    if (user.userType !== 'admin') {
+      user.userType = userType;
     }
-
-    // Update user role
-    user.userType = userType;
     await user.save();
 
     // Create a profile if it doesn't exist
@@ -1117,6 +1795,7 @@ router.put('/update-role', auth, async (req, res) => {
           ...user.toJSON(),
           userType: user.userType
         },
+        roles: user.getAccountRoles(),
         profile
       }
     });
@@ -1129,6 +1808,419 @@ router.put('/update-role', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/switch-role
+// @desc    Switch the active context between the worker and client roles the account holds
+// @access  Private
+router.put('/switch-role', auth, async (req, res) => {
+  try {
+    const { userType } = req.body;
+
+    if (!userType || !['worker', 'client'].includes(userType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userType is required (worker or client)'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user.hasRole(userType)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ROLE_NOT_HELD',
+        message: `Add the ${userType} role to your account first`
+      });
+    }
+
+    if (user.userType === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts cannot switch context'
+      });
+    }
+
+    user.userType = userType;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Switched to ${userType} account`,
+      data: {
+        user,
+        roles: user.getAccountRoles(),
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/login
+// @desc    Complete a login that requires two-factor authentication
+// @access  Public
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a verification code or recovery code are required'
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Refuse attempts while the account is locked out
+    const attemptKeys = BruteForceService.keysFor('2fa', user._id, user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    const method = user.verifySecondFactor({ code, recoveryCode });
+    if (!method) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: '2fa-login',
+        user: user._id,
+        status: 401,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await BruteForceService.reset(attemptKeys);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req, { secondFactorVerified: true });
+
+    const remainingRecoveryCodes = user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length;
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        ...tokens,
+        ...(method === 'recovery-code' && { remainingRecoveryCodes })
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor login',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa/status', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+    const recoveryCodes = (user.twoFactor && user.twoFactor.recoveryCodes) || [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!(user.twoFactor && user.twoFactor.enabled),
+        enabledAt: user.twoFactor ? user.twoFactor.enabledAt : undefined,
+        remainingRecoveryCodes: recoveryCodes.filter(entry => !entry.usedAt).length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and get the authenticator provisioning URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildProvisioningUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrollment with a code and get recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+    await user.save();
+
+    req.authSession.secondFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm the second factor for the current session (step-up)
+// @access  Private
+router.post('/2fa/verify', auth, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code or recovery code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Refuse attempts while the account is locked out
+    const attemptKeys = BruteForceService.keysFor('2fa', user._id, user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    const method = user.verifySecondFactor({ code, recoveryCode });
+    if (!method) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: '2fa-verify',
+        user: user._id,
+        status: 401,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await BruteForceService.reset(attemptKeys);
+    await user.save();
+
+    req.authSession.secondFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Second factor verified',
+      data: {
+        verifiedAt: req.authSession.secondFactorVerifiedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, requireSecondFactor(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and a verification code or recovery code are required'
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Refuse attempts while the account is locked out
+    const attemptKeys = BruteForceService.keysFor('2fa', user._id, user._id);
+    const lock = await BruteForceService.getLock(attemptKeys);
+    if (lock) {
+      return BruteForceService.sendLocked(res, lock);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifySecondFactor({ code, recoveryCode })) {
+      return rejectAttempt(req, res, attemptKeys, {
+        action: '2fa-disable',
+        user: user._id,
+        status: 401,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    await BruteForceService.reset(attemptKeys);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // Test endpoint to verify routes are working
 router.get('/test', (req, res) => {
   res.json({ message: 'Auth routes are working!' });
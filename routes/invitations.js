@@ -0,0 +1,128 @@
+const express = require('express');
+const JobInvitation = require('../models/JobInvitation');
+const ApplicationService = require('../services/applicationService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateApplication } = require('../middleware/validation');
+const { ApplicationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /api/invitations
+// @desc    Get current user's job invitations
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { worker: req.user._id };
+    if (status) filter.status = status;
+
+    const invitations = await JobInvitation.find(filter)
+      .populate({
+        path: 'job',
+        select: 'title category budget location status urgency client',
+        populate: {
+          path: 'client',
+          select: 'firstName lastName profilePicture'
+        }
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await JobInvitation.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept an invitation and apply for the job in one step
+// @access  Private (Invited worker, in worker context)
+router.post('/:id/accept', auth, requirePermission('applications:create'), validateApplication, async (req, res) => {
+  try {
+    const { coverLetter, proposedPrice, estimatedDuration, availability, portfolio, screeningAnswers } = req.body;
+
+    const { invitation, application } = await ApplicationService.acceptInvitation(req.params.id, req.user._id, {
+      coverLetter,
+      proposedPrice,
+      estimatedDuration,
+      availability,
+      portfolio,
+      screeningAnswers
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted and application submitted',
+      data: {
+        invitation,
+        application
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline an invitation
+// @access  Private (Invited worker)
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const invitation = await ApplicationService.declineInvitation(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+      data: invitation
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,148 @@
 const express = require('express');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
-const { auth, authorize } = require('../middleware/auth');
-const { validateJob } = require('../middleware/validation');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  validateJob,
+  validateInvitation,
+  validateJobTransition,
+  validateOccurrenceChange,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateMilestoneNote
+} = require('../middleware/validation');
 const cloudinaryConfig = require('../config/cloudinary');
+const { geocodeLocation } = require('../services/geocoding');
+const JobSearchService = require('../services/jobSearchService');
+const SavedSearchService = require('../services/savedSearchService');
+const RecommendationService = require('../services/recommendationService');
+const WorkerSuggestionService = require('../services/workerSuggestionService');
+const ApplicationService = require('../services/applicationService');
+const JobLifecycleService = require('../services/jobLifecycleService');
+const JobOccurrenceService = require('../services/jobOccurrenceService');
+const MilestoneService = require('../services/milestoneService');
+const AssignmentService = require('../services/assignmentService');
+const ApplicantPipelineService = require('../services/applicantPipelineService');
+const JobInvitation = require('../models/JobInvitation');
+const JobOccurrence = require('../models/JobOccurrence');
+const { findTransition, findTransitionByAction, getTransitionsFrom } = require('../config/jobLifecycle');
+const {
+  ApplicationError,
+  JobTransitionError,
+  OccurrenceError,
+  MilestoneError,
+  AssignmentError
+} = require('../utils/errors');
+const { escapeRegex } = require('../utils/searchText');
+const { buildSearchKeywords } = require('../utils/searchKeywords');
+const { checkQuestions, buildAnswerFilter } = require('../utils/screening');
+const { withTransaction } = require('../utils/transaction');
 
 const router = express.Router();
 
+// Fields a client sets when posting a job and can change with PUT /api/jobs/:id
+const EDITABLE_FIELDS = [
+  'title', 'description', 'category', 'budget', 'location', 'requirements', 'skills', 'duration',
+  'urgency', 'maxApplicants', 'isRemote', 'experienceLevel', 'workersNeeded', 'screeningQuestions', 'recurrence'
+];
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 200;
+
+const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+// Parse the location part of a job search: a radius around lat/lng, or a bounding box.
+// Returns { error } for invalid input, null when no location search was asked for.
+const parseGeoQuery = ({ lat, lng, radiusKm, bbox }) => {
+  const hasPoint = lat !== undefined || lng !== undefined;
+
+  if (hasPoint && bbox) {
+    return { error: 'Use either lat/lng or bbox, not both' };
+  }
+
+  if (hasPoint) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : parseFloat(radiusKm);
+
+    if (!inRange(latitude, -90, 90) || !inRange(longitude, -180, 180)) {
+      return { error: 'lat must be between -90 and 90 and lng between -180 and 180' };
+    }
+    if (!inRange(radius, 0.1, MAX_RADIUS_KM)) {
+      return { error: `radiusKm must be between 0.1 and ${MAX_RADIUS_KM}` };
+    }
+
+    return { near: [longitude, latitude], radiusKm: radius };
+  }
+
+  if (bbox) {
+    const values = String(bbox).split(',').map(parseFloat);
+    const [minLng, minLat, maxLng, maxLat] = values;
+
+    if (values.length !== 4 ||
+      !inRange(minLng, -180, 180) || !inRange(maxLng, -180, 180) ||
+      !inRange(minLat, -90, 90) || !inRange(maxLat, -90, 90) ||
+      minLng >= maxLng || minLat >= maxLat) {
+      return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+    }
+
+    return {
+      within: {
+        type: 'Polygon',
+        coordinates: [[
+          [minLng, minLat],
+          [maxLng, minLat],
+          [maxLng, maxLat],
+          [minLng, maxLat],
+          [minLng, minLat]
+        ]]
+      }
+    };
+  }
+
+  return null;
+};
+
+// Run a radius search sorted by distance (or by sortOptions when given) and add distanceKm to each job
+const findJobsNear = async ({ near, radiusKm }, filter, { sortOptions, skip, limit }) => {
+  const [result] = await Job.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: near },
+        key: 'location.coordinates',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filter
+      }
+    },
+    ...(sortOptions ? [{ $sort: { ...sortOptions, distance: 1 } }] : []),
+    { $unset: 'searchKeywords' },
+    {
+      $facet: {
+        jobs: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const jobs = result.jobs.map(doc => Job.hydrate(doc));
+  await Job.populate(jobs, { path: 'client', select: 'firstName lastName profilePicture' });
+
+  return {
+    jobs: jobs.map((job, index) => ({
+      ...job.toJSON(),
+      distanceKm: Math.round(result.jobs[index].distance / 10) / 100
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
 // @route   GET /api/jobs
-// @desc    Get all jobs with filtering, sorting, and pagination
+// @desc    Get all jobs with filtering, sorting, and pagination.
+//          search= runs a ranked full-text search with typo correction and highlights;
+//          lat/lng/radiusKm finds jobs near a point (nearest first, with distanceKm);
+//          bbox=minLng,minLat,maxLng,maxLat finds jobs inside a map area
 // @access  Public
 router.get('/', async (req, res) => {
   try {
@@ -26,12 +160,20 @@ router.get('/', async (req, res) => {
       search
     } = req.query;
 
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({
+        success: false,
+        message: geo.error
+      });
+    }
+
     // Build filter object
     const filter = { isActive: true };
     
     if (status) filter.status = status;
     if (category) filter.category = category;
-    if (city) filter['location.city'] = new RegExp(city, 'i');
+    if (city) filter['location.city'] = new RegExp(escapeRegex(city), 'i');
     if (urgency) filter.urgency = urgency;
     
     // Budget range filter
@@ -41,13 +183,12 @@ router.get('/', async (req, res) => {
       if (maxBudget) filter['budget.amount'].$lte = parseFloat(maxBudget);
     }
 
-    // Search in title and description
-    if (search) {
-      filter.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { skills: { $in: [new RegExp(search, 'i')] } }
-      ];
+    // Full-text search; $geoNear cannot be combined with $text, so radius searches use escaped regexes
+    const textSearch = search ? await JobSearchService.parseQuery(search) : null;
+    if (textSearch && textSearch.terms.length > 0) {
+      Object.assign(filter, geo && geo.near
+        ? JobSearchService.regexCondition(textSearch.terms)
+        : JobSearchService.textCondition(textSearch.terms));
     }
 
     // Pagination
@@ -59,15 +200,54 @@ router.get('/', async (req, res) => {
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    // Execute query
-    const jobs = await Job.find(filter)
-      .populate('client', 'firstName lastName profilePicture')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum);
+    if (geo && geo.within) {
+      filter['location.coordinates'] = { $geoWithin: { $geometry: geo.within } };
+    }
 
-    // Get total count for pagination
-    const total = await Job.countDocuments(filter);
+    let jobs;
+    let total;
+
+    if (geo && geo.near) {
+      // Radius searches are sorted nearest first unless a sort was asked for
+      ({ jobs, total } = await findJobsNear(geo, filter, {
+        sortOptions: req.query.sortBy ? sortOptions : null,
+        skip,
+        limit: limitNum
+      }));
+    } else {
+      let query = Job.find(filter).populate('client', 'firstName lastName profilePicture');
+
+      // Text searches are sorted by relevance unless a sort was asked for
+      if (filter.$text) {
+        query = query.select({ score: { $meta: 'textScore' } });
+        query = query.sort(req.query.sortBy ? sortOptions : { score: { $meta: 'textScore' }, createdAt: -1 });
+      } else {
+        query = query.sort(sortOptions);
+      }
+
+      jobs = await query.skip(skip).limit(limitNum);
+
+      // Get total count for pagination
+      total = await Job.countDocuments(filter);
+    }
+
+    if (textSearch) {
+      jobs = jobs.map(job => {
+        const data = typeof job.toJSON === 'function' ? job.toJSON() : job;
+        return { ...data, highlights: JobSearchService.highlightJob(data, textSearch.terms) };
+      });
+    }
+
+    const searchInfo = {};
+    if (textSearch) {
+      searchInfo.query = textSearch.query;
+      searchInfo.correctedQuery = textSearch.correctedQuery;
+      searchInfo.terms = textSearch.terms;
+    }
+    if (geo && geo.near) {
+      searchInfo.center = { lat: geo.near[1], lng: geo.near[0] };
+      searchInfo.radiusKm = geo.radiusKm;
+    }
 
     res.status(200).json({
       success: true,
@@ -78,7 +258,58 @@ router.get('/', async (req, res) => {
           pages: Math.ceil(total / limitNum),
           total,
           limit: limitNum
-        }
+        },
+        ...(Object.keys(searchInfo).length > 0 && { search: searchInfo })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/recommended
+// @desc    Open jobs ranked for the current worker by skills, distance, budget, experience
+//          and past hires, with the reasons for each recommendation.
+//          lat/lng override the location taken from the worker's profile city.
+// @access  Private (Workers)
+router.get('/recommended', auth, requirePermission('applications:create'), async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    let location = {};
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      const geo = parseGeoQuery({ lat: req.query.lat, lng: req.query.lng });
+      if (geo.error) {
+        return res.status(400).json({
+          success: false,
+          message: geo.error
+        });
+      }
+      location = { lng: geo.near[0], lat: geo.near[1] };
+    }
+
+    const { jobs, total, basedOn } = await RecommendationService.recommend(req.user, {
+      ...location,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        },
+        basedOn
       }
     });
   } catch (error) {
@@ -97,7 +328,8 @@ router.get('/:id', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('client', 'firstName lastName profilePicture phone email')
-      .populate('assignedWorker', 'firstName lastName profilePicture');
+      .populate('assignedWorker', 'firstName lastName profilePicture')
+      .populate('assignedWorkers.worker', 'firstName lastName profilePicture');
 
     if (!job) {
       return res.status(404).json({
@@ -122,18 +354,39 @@ router.get('/:id', async (req, res) => {
 // @route   POST /api/jobs
 // @desc    Create a new job
 // @access  Private (Clients only)
-router.post('/', auth, authorize('client', 'admin'), validateJob, async (req, res) => {
+router.post('/', auth, requirePermission('jobs:create'), validateJob, async (req, res) => {
   try {
-    const jobData = {
-      ...req.body,
-      client: req.user._id
-    };
+    // Only the job's own details come from the body. Every job starts open; status, workers,
+    // milestones, counters and history are kept by the lifecycle and their own routes.
+    const jobData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) jobData[field] = req.body[field];
+    }
+    Object.assign(jobData, {
+      location: await geocodeLocation(req.body.location),
+      client: req.user._id,
+      status: 'open'
+    });
+
+    if (req.body.recurrence && req.body.recurrence.rule) {
+      jobData.recurrence = JobOccurrenceService.buildRecurrence(
+        req.body.recurrence,
+        req.body.duration && req.body.duration.startDate
+      );
+    } else {
+      delete jobData.recurrence;
+    }
 
     console.log('Creating job with data:', JSON.stringify(jobData, null, 2));
 
     const job = await Job.create(jobData);
     await job.populate('client', 'firstName lastName profilePicture');
 
+    // Alerts for saved searches are sent in the background
+    SavedSearchService.processNewJob({ ...job.toObject(), client: req.user._id }).catch(error => {
+      console.error('Error matching saved searches:', error.message);
+    });
+
     res.status(201).json({
       success: true,
       message: 'Job created successfully',
@@ -141,6 +394,13 @@ router.post('/', auth, authorize('client', 'admin'), validateJob, async (req, re
     });
   } catch (error) {
     console.error('Job creation error:', error);
+
+    if (error instanceof OccurrenceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Handle mongoose validation errors
     if (error.name === 'ValidationError') {
@@ -188,8 +448,8 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the job or is admin
-    if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own jobs.'
@@ -197,65 +457,141 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     // Prevent updating certain fields if job is in progress
-    if (job.status === 'in-progress' && req.body.status !== 'completed' && req.body.status !== 'cancelled') {
-      const restrictedFields = ['budget', 'category', 'location'];
+    if (['in-progress', 'disputed'].includes(job.status) && req.body.status !== 'cancelled') {
+      const restrictedFields = ['budget', 'category', 'location', 'workersNeeded'];
       const hasRestrictedFields = restrictedFields.some(field => req.body[field]);
       
       if (hasRestrictedFields) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot modify budget, category, or location while job is in progress'
+          message: 'Cannot modify budget, category, location or workers needed while job is in progress'
         });
       }
     }
 
-    // Enforce status transition guards
-    if (req.body.status && req.body.status !== job.status) {
-      const from = job.status;
-      const to = req.body.status;
-
-      const isValidTransition = (() => {
-        switch (from) {
-          case 'open':
-            if (to === 'in-progress') {
-              // Require assignedWorker (in body or already set) when moving to in-progress
-              const assigned = req.body.assignedWorker || job.assignedWorker;
-              return !!assigned;
-            }
-            return to === 'paused' || to === 'cancelled';
-          case 'paused':
-            return to === 'open' || to === 'cancelled';
-          case 'in-progress':
-            return to === 'completed' || to === 'cancelled';
-          case 'completed':
-          case 'cancelled':
-            return false; // terminal states
-          default:
-            return false;
-        }
-      })();
+    // Screening questions are fixed once someone has answered them
+    if (req.body.screeningQuestions !== undefined) {
+      if (await Application.exists({ job: job._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Screening questions cannot be changed once people have applied'
+        });
+      }
 
-      if (!isValidTransition) {
+      try {
+        checkQuestions(req.body.screeningQuestions);
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          message: `Invalid status transition from ${from} to ${to}`
+          message: error.message
         });
       }
+    }
+
+    // Workers already hired keep their places
+    const hired = AssignmentService.getWorkerIds(job).length;
+    if (req.body.workersNeeded !== undefined && Number(req.body.workersNeeded) < hired) {
+      return res.status(400).json({
+        success: false,
+        message: `${hired} workers are already hired for this job`
+      });
+    }
+
+    // Status changes go through the job lifecycle, which checks and records them. Workers are
+    // hired through /:id/assign/:workerId and accepted offers, and jobs are completed through
+    // /:id/complete, so both can credit and notify the right people.
+    const { status, statusReason } = req.body;
+    const transition = status && status !== job.status ? findTransition(job.status, status) : null;
+    if (transition && ['assign', 'complete'].includes(transition.action)) {
+      return res.status(400).json({
+        success: false,
+        message: transition.action === 'assign'
+          ? `Hire a worker with POST /api/jobs/${job._id}/assign/:workerId to start the job`
+          : `Mark the job as done with POST /api/jobs/${job._id}/complete`
+      });
+    }
 
-      // If marking completed, set completedAt
-      if (to === 'completed') {
-        req.body.completedAt = new Date();
+    // Everything else (client, workers, counters, history, milestones) has its own route or is
+    // kept by the server
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    const unset = {};
+
+    // Recurrence: a new rule replaces upcoming occurrences, null makes the job one-off
+    let recurrenceChanged = false;
+    if (updates.recurrence !== undefined) {
+      if (updates.recurrence && updates.recurrence.rule) {
+        updates.recurrence = JobOccurrenceService.buildRecurrence(
+          updates.recurrence,
+          (job.recurrence && job.recurrence.startsAt) || (job.duration && job.duration.startDate)
+        );
+        recurrenceChanged = !job.recurrence || updates.recurrence.rule !== job.recurrence.rule ||
+          updates.recurrence.startsAt.getTime() !== new Date(job.recurrence.startsAt).getTime();
+      } else {
+        delete updates.recurrence;
+        unset.recurrence = '';
+        recurrenceChanged = JobOccurrenceService.isRecurring(job);
       }
     }
 
-    job = await Job.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
+    // Re-geocode only when the address changed; otherwise keep the stored coordinates
+    if (updates.location) {
+      const current = job.location || {};
+      const sameAddress = updates.location.address === current.address && updates.location.city === current.city;
+
+      if (sameAddress && !updates.location.coordinates && current.coordinates && current.coordinates.length === 2) {
+        updates.location = {
+          ...updates.location,
+          coordinates: [...current.coordinates],
+          geocodedBy: current.geocodedBy
+        };
+      } else {
+        updates.location = await geocodeLocation(updates.location);
       }
-    ).populate('client', 'firstName lastName profilePicture');
+    }
+
+    if (['title', 'description', 'skills', 'requirements'].some(field => updates[field] !== undefined)) {
+      updates.searchKeywords = buildSearchKeywords({ ...job.toObject(), ...updates });
+    }
+
+    // The status change and the other changes are saved together or not at all
+    job = await withTransaction(async (session) => {
+      if (status && status !== job.status) {
+        await JobLifecycleService.transition(job, status, {
+          actor: req.user,
+          reason: statusReason,
+          session
+        });
+      }
+
+      return Job.findByIdAndUpdate(
+        req.params.id,
+        { $set: updates, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+        {
+          new: true,
+          runValidators: true,
+          session
+        }
+      )
+        .select('+screeningQuestions.knockout')
+        .populate('client', 'firstName lastName profilePicture');
+    });
+
+    // Needing fewer workers can leave every place filled
+    const started = await AssignmentService.startIfFull(job, req.user);
+    if (started) {
+      job = await started.populate('client', 'firstName lastName profilePicture');
+    }
+
+    if (recurrenceChanged && job.status === 'in-progress') {
+      if (JobOccurrenceService.isRecurring(job)) {
+        await JobOccurrenceService.regenerate(job);
+      } else {
+        await JobOccurrenceService.cancelUpcoming(job._id, 'Job no longer repeats');
+      }
+    }
 
     res.status(200).json({
       success: true,
@@ -263,6 +599,13 @@ router.put('/:id', auth, async (req, res) => {
       data: job
     });
   } catch (error) {
+    if (error instanceof JobTransitionError || error instanceof OccurrenceError || error instanceof AssignmentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -282,8 +625,8 @@ if (cloudinaryConfig && cloudinaryConfig.uploadJobImage) {
         return res.status(404).json({ success: false, message: 'Job not found' });
       }
 
-      // Check if user owns the job or is admin
-      if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+      // Check if user owns the job or has staff permission
+      if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
         return res.status(403).json({ success: false, message: 'Access denied. You can only modify your own jobs.' });
       }
 
@@ -340,7 +683,7 @@ if (cloudinaryConfig && cloudinaryConfig.uploadJobImage) {
         return res.status(404).json({ success: false, message: 'Job not found' });
       }
 
-      if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+      if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
         return res.status(403).json({ success: false, message: 'Access denied. You can only modify your own jobs.' });
       }
 
@@ -383,8 +726,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the job or is admin
-    if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only delete your own jobs.'
@@ -392,23 +735,34 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if job can be deleted
-    if (job.status === 'in-progress') {
+    if (['in-progress', 'disputed'].includes(job.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete a job that is in progress'
+        message: `Cannot delete a job that is ${job.status}`
       });
     }
 
-    // Soft delete
-    job.isActive = false;
-    job.status = 'cancelled';
-    await job.save();
+    // Soft delete: unfinished jobs are cancelled first; completed ones keep their status
+    if (['open', 'paused'].includes(job.status)) {
+      await JobLifecycleService.transition(job, 'cancelled', {
+        actor: req.user,
+        reason: (req.body && req.body.reason) || 'Job deleted'
+      });
+    }
+    await Job.updateOne({ _id: job._id }, { $set: { isActive: false } });
 
     res.status(200).json({
       success: true,
       message: 'Job deleted successfully'
     });
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -418,7 +772,8 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   GET /api/jobs/:id/applications
-// @desc    Get all applications for a job
+// @desc    Get all applications for a job, best fit first (sortBy=fit|createdAt; answers[questionId]=...;
+//          owner filters: stage, tag)
 // @access  Private (Job owner or admin)
 router.get('/:id/applications', auth, async (req, res) => {
   try {
@@ -431,17 +786,47 @@ router.get('/:id/applications', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the job or is admin
-    if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('applications:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view applications for your own jobs.'
       });
     }
 
-    const applications = await Application.find({ job: req.params.id, isActive: true })
+    const { status, stage, tag, sortBy = 'fit' } = req.query;
+    const isOwner = job.client.toString() === req.user._id.toString();
+
+    const filter = { job: req.params.id, isActive: true };
+    if (status) filter.status = status;
+    // Pipeline filters are for the job owner only
+    if (isOwner && stage) filter['pipeline.stage'] = stage;
+    if (isOwner && tag) filter['pipeline.tags'] = String(tag).trim().toLowerCase();
+
+    // Screening answers, e.g. answers[<questionId>]=yes or answers[<questionId>][min]=3
+    if (req.query.answers) {
+      try {
+        const conditions = buildAnswerFilter(job.screeningQuestions || [], req.query.answers);
+        if (conditions.length > 0) filter.$and = conditions;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    let query = Application.find(filter)
       .populate('worker', 'firstName lastName profilePicture email phone userType')
       .sort({ createdAt: -1 });
+    if (isOwner) query = query.select('+pipeline');
+
+    const applications = await ApplicantPipelineService.withFit(job, await query);
+
+    // Best fit first; ties keep the newest first
+    if (sortBy === 'fit') {
+      applications.sort((a, b) => b.fit.score - a.fit.score);
+    }
 
     res.status(200).json({
       success: true,
@@ -456,8 +841,180 @@ router.get('/:id/applications', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/jobs/:id/screening-questions
+// @desc    The job's screening questions with their knock-out answers
+// @access  Private (Job owner or admin)
+router.get('/:id/screening-questions', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('client screeningQuestions +screeningQuestions.knockout');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Knock-out answers are only shown to the job owner.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job.screeningQuestions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id/suggested-workers
+// @desc    Verified, available workers ranked by skill match, rating, completed jobs and distance
+// @access  Private (Job owner or admin)
+router.get('/:id/suggested-workers', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view suggestions for your own jobs.'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const { workers, total } = await WorkerSuggestionService.suggestForJob(job, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workers,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/invite/:workerId
+// @desc    Invite a worker to apply for the job
+// @access  Private (Job owner)
+router.post('/:id/invite/:workerId', auth, validateInvitation, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.client.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only invite workers to your own jobs.'
+      });
+    }
+
+    const invitation = await ApplicationService.invite(job, req.params.workerId, {
+      clientId: req.user._id,
+      message: req.body.message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invitation
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id/invitations
+// @desc    Get invitations sent for a job
+// @access  Private (Job owner or admin)
+router.get('/:id/invitations', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('applications:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view invitations for your own jobs.'
+      });
+    }
+
+    const invitations = await JobInvitation.find({ job: job._id })
+      .populate('worker', 'firstName lastName profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/jobs/:id/assign/:workerId
-// @desc    Assign a job to a worker
+// @desc    Hire a worker who applied; the job starts once workersNeeded workers are hired
 // @access  Private (Job owner or admin)
 router.post('/:id/assign/:workerId', auth, async (req, res) => {
   try {
@@ -470,8 +1027,8 @@ router.post('/:id/assign/:workerId', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the job or is admin
-    if (job.client.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+    // Check if user owns the job or has staff permission
+    if (job.client.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -500,33 +1057,29 @@ router.post('/:id/assign/:workerId', auth, async (req, res) => {
       });
     }
 
-    // Update job
-    job.assignedWorker = req.params.workerId;
-    job.status = 'in-progress';
-    await job.save();
+    // Add the worker to the team; the job starts when the last place is filled
+    const { job: assigned, started } = await AssignmentService.hire(job, application, { actor: req.user });
 
-    // Update application status
-    application.status = 'accepted';
-    await application.save();
-
-    // Reject other applications
-    await Application.updateMany(
-      {
-        job: req.params.id,
-        worker: { $ne: req.params.workerId },
-        status: 'pending'
-      },
-      { status: 'rejected' }
-    );
-
-    await job.populate('assignedWorker', 'firstName lastName profilePicture');
+    await assigned.populate([
+      { path: 'assignedWorker', select: 'firstName lastName profilePicture' },
+      { path: 'assignedWorkers.worker', select: 'firstName lastName profilePicture' }
+    ]);
 
     res.status(200).json({
       success: true,
-      message: 'Job assigned successfully',
-      data: job
+      message: started
+        ? 'Job assigned successfully'
+        : `Worker hired. ${assigned.openSlots} more to hire before the job starts.`,
+      data: assigned
     });
   } catch (error) {
+    if (error instanceof AssignmentError || error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -551,31 +1104,204 @@ router.post('/:id/complete', auth, async (req, res) => {
 
     // Check if user is job owner or assigned worker
     const isOwner = job.client.toString() === req.user._id.toString();
-    const isAssignedWorker = job.assignedWorker && job.assignedWorker.toString() === req.user._id.toString();
+    const isAssignedWorker = AssignmentService.isTeamMember(job, req.user._id);
 
-    if (!isOwner && !isAssignedWorker && req.user.userType !== 'admin') {
+    if (!isOwner && !isAssignedWorker && !req.user.hasPermission('jobs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Check if job is in progress
-    if (job.status !== 'in-progress') {
+    // On a team, each worker completes their own part
+    if (!isOwner && !req.user.hasPermission('jobs:manage') && AssignmentService.getWorkerIds(job).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: `Mark your part as done with POST /api/jobs/${job._id}/workers/${req.user._id}/complete`
+      });
+    }
+
+    // Check if job is in progress (disputed jobs can be completed by staff)
+    if (!['in-progress', 'disputed'].includes(job.status)) {
       return res.status(400).json({
         success: false,
         message: 'Job is not in progress'
       });
     }
 
-    job.status = 'completed';
-    job.completedAt = new Date();
-    await job.save();
+    const completed = await JobLifecycleService.transition(job, 'completed', {
+      actor: req.user,
+      reason: req.body && req.body.reason
+    });
 
     res.status(200).json({
       success: true,
       message: 'Job marked as completed',
-      data: job
+      data: completed
+    });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/workers/:workerId/complete
+// @desc    Mark one team member's part as done; the job completes when every part is done
+// @access  Private (Job owner, that worker or staff)
+router.post('/:id/workers/:workerId/complete', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const updated = await AssignmentService.completeWorker(job, req.params.workerId, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'completed'
+        ? 'Every worker is done and the job is completed'
+        : 'Worker marked as done',
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError || error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Handler for the lifecycle actions below: finds the transition the action makes from the
+// job's current status and applies it. Who may do what is checked by the lifecycle.
+const changeStatus = (action, successMessage) => async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const transition = findTransitionByAction(job.status, action);
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a job that is ${job.status}`
+      });
+    }
+
+    const updated = await JobLifecycleService.transition(job, transition.to, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/jobs/:id/pause
+// @desc    Pause an open job; it stops taking applications until resumed
+// @access  Private (Job owner or staff)
+router.post('/:id/pause', auth, validateJobTransition, changeStatus('pause', 'Job paused'));
+
+// @route   POST /api/jobs/:id/resume
+// @desc    Resume a paused job, or continue a disputed job once the dispute is settled (staff)
+// @access  Private (Job owner or staff)
+router.post('/:id/resume', auth, validateJobTransition, changeStatus('resume', 'Job resumed'));
+
+// @route   POST /api/jobs/:id/cancel
+// @desc    Cancel a job (a reason is required once work has started)
+// @access  Private (Job owner or staff)
+router.post('/:id/cancel', auth, validateJobTransition, changeStatus('cancel', 'Job cancelled'));
+
+// @route   POST /api/jobs/:id/reopen
+// @desc    Reopen a cancelled job for applications
+// @access  Private (Job owner or staff)
+router.post('/:id/reopen', auth, validateJobTransition, changeStatus('reopen', 'Job reopened'));
+
+// @route   POST /api/jobs/:id/dispute
+// @desc    Raise a dispute on a job in progress
+// @access  Private (Job owner or assigned worker)
+router.post('/:id/dispute', auth, validateJobTransition, changeStatus('dispute', 'Dispute raised. Our team will review it.'));
+
+// @route   GET /api/jobs/:id/history
+// @desc    Status history of a job with who made each change and why
+// @access  Private (Job owner, assigned worker or staff)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id)
+      .select('title client assignedWorker assignedWorkers status statusHistory')
+      .populate('statusHistory.actor', 'firstName lastName profilePicture');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const roles = JobLifecycleService.getActorRoles(job, req.user);
+    if (roles.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Actions this user can take from the current status
+    const availableActions = getTransitionsFrom(job.status)
+      .filter(transition => transition.actors.some(role => roles.includes(role)))
+      .map(transition => transition.action);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: job.status,
+        availableActions,
+        history: job.statusHistory
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -586,6 +1312,257 @@ router.post('/:id/complete', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/jobs/:id/occurrences
+// @desc    Occurrences of a recurring job, optionally between `from` and `to` or with a `status`
+// @access  Private (Job owner, assigned worker or staff)
+router.get('/:id/occurrences', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('title client assignedWorker assignedWorkers status recurrence');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (JobLifecycleService.getActorRoles(job, req.user).length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const filter = { job: job._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.startsAt = {};
+      if (req.query.from) filter.startsAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.startsAt.$lte = new Date(req.query.to);
+    }
+
+    const occurrences = await JobOccurrence.find(filter)
+      .populate('worker', 'firstName lastName profilePicture')
+      .sort({ startsAt: 1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurrence: job.recurrence && job.recurrence.rule ? job.recurrence : null,
+        occurrences
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Handler for the occurrence actions below: loads the occurrence of the job and applies the change
+const changeOccurrence = (apply, successMessage) => async (req, res) => {
+  try {
+    const occurrence = await JobOccurrence.findOne({ _id: req.params.occurrenceId, job: req.params.id });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    const updated = await apply(occurrence, req);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof OccurrenceError || error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/jobs/:id/occurrences/:occurrenceId/skip
+// @desc    Skip one occurrence of a recurring job
+// @access  Private (Job owner, assigned worker or staff)
+router.post('/:id/occurrences/:occurrenceId/skip', auth, validateOccurrenceChange, changeOccurrence(
+  (occurrence, req) => JobOccurrenceService.skip(occurrence, { actor: req.user, reason: req.body.reason }),
+  'Occurrence skipped'
+));
+
+// @route   POST /api/jobs/:id/occurrences/:occurrenceId/reschedule
+// @desc    Move one occurrence of a recurring job to another time (`startsAt`)
+// @access  Private (Job owner, assigned worker or staff)
+router.post('/:id/occurrences/:occurrenceId/reschedule', auth, validateOccurrenceChange, changeOccurrence(
+  (occurrence, req) => {
+    if (!req.body.startsAt) {
+      throw new OccurrenceError('New start time (startsAt) is required');
+    }
+    return JobOccurrenceService.reschedule(occurrence, req.body.startsAt, { actor: req.user, reason: req.body.reason });
+  },
+  'Occurrence rescheduled'
+));
+
+// @route   POST /api/jobs/:id/occurrences/:occurrenceId/complete
+// @desc    Mark one occurrence of a recurring job as done
+// @access  Private (Job owner, assigned worker or staff)
+router.post('/:id/occurrences/:occurrenceId/complete', auth, changeOccurrence(
+  (occurrence, req) => JobOccurrenceService.complete(occurrence, { actor: req.user }),
+  'Occurrence marked as completed'
+));
+
+// @route   GET /api/jobs/:id/milestones
+// @desc    Milestones of a job with approval progress
+// @access  Private (Job owner, assigned worker or staff)
+router.get('/:id/milestones', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('title client assignedWorker assignedWorkers status budget milestones');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (JobLifecycleService.getActorRoles(job, req.user).length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobStatus: job.status,
+        budget: job.budget,
+        progress: job.milestoneProgress,
+        milestones: job.milestones
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Handler for the milestone actions below: loads the job and applies the change.
+// Responds with the milestone and the job's progress, which may have completed the job.
+const changeMilestone = (apply, successMessage, statusCode = 200) => async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const result = await apply(job, req);
+
+    res.status(statusCode).json({
+      success: true,
+      message: result.job.status === 'completed' && job.status !== 'completed'
+        ? `${successMessage}. All milestones are approved and the job is completed.`
+        : successMessage,
+      data: {
+        milestone: result.milestone,
+        jobStatus: result.job.status,
+        progress: result.job.milestoneProgress
+      }
+    });
+  } catch (error) {
+    if (error instanceof MilestoneError || error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/jobs/:id/milestones
+// @desc    Add a milestone (title, description, amount, dueDate) to a job
+// @access  Private (Job owner or staff)
+router.post('/:id/milestones', auth, validateMilestone, changeMilestone(
+  (job, req) => MilestoneService.add(job, req.body, req.user),
+  'Milestone added',
+  201
+));
+
+// @route   PUT /api/jobs/:id/milestones/:milestoneId
+// @desc    Edit a milestone that is pending or sent back for changes
+// @access  Private (Job owner or staff)
+router.put('/:id/milestones/:milestoneId', auth, validateMilestoneUpdate, changeMilestone(
+  (job, req) => MilestoneService.update(job, req.params.milestoneId, req.body, req.user),
+  'Milestone updated'
+));
+
+// @route   DELETE /api/jobs/:id/milestones/:milestoneId
+// @desc    Remove a milestone that is pending or sent back for changes
+// @access  Private (Job owner or staff)
+router.delete('/:id/milestones/:milestoneId', auth, changeMilestone(
+  (job, req) => MilestoneService.remove(job, req.params.milestoneId, req.user),
+  'Milestone removed'
+));
+
+// @route   POST /api/jobs/:id/milestones/:milestoneId/submit
+// @desc    Submit a milestone for the client's approval, with an optional note
+// @access  Private (Assigned worker)
+router.post('/:id/milestones/:milestoneId/submit', auth, validateMilestoneNote, changeMilestone(
+  (job, req) => MilestoneService.submit(job, req.params.milestoneId, { actor: req.user, note: req.body.note }),
+  'Milestone submitted for approval'
+));
+
+// @route   POST /api/jobs/:id/milestones/:milestoneId/approve
+// @desc    Approve a submitted milestone; approving the last one completes the job
+// @access  Private (Job owner or staff)
+router.post('/:id/milestones/:milestoneId/approve', auth, changeMilestone(
+  (job, req) => MilestoneService.approve(job, req.params.milestoneId, { actor: req.user }),
+  'Milestone approved'
+));
+
+// @route   POST /api/jobs/:id/milestones/:milestoneId/request-changes
+// @desc    Send a submitted milestone back to the worker with the changes needed (`note`)
+// @access  Private (Job owner or staff)
+router.post('/:id/milestones/:milestoneId/request-changes', auth, validateMilestoneNote, changeMilestone(
+  (job, req) => MilestoneService.requestChanges(job, req.params.milestoneId, { actor: req.user, note: req.body.note }),
+  'Changes requested'
+));
+
 // @route   GET /api/jobs/user/my-jobs
 // @desc    Get current user's jobs (posted jobs for clients, applied/assigned jobs for workers)
 // @access  Private
@@ -606,6 +1583,7 @@ router.get('/user/my-jobs', auth, async (req, res) => {
 
       jobs = await Job.find(filter)
         .populate('assignedWorker', 'firstName lastName profilePicture')
+        .populate('assignedWorkers.worker', 'firstName lastName profilePicture')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum);
@@ -637,6 +1615,7 @@ router.get('/user/my-jobs', auth, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        context: req.user.userType,
         jobs,
         pagination: {
           current: pageNum,
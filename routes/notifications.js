@@ -220,8 +220,8 @@ router.delete('/clear-all', auth, async (req, res) => {
 // @access  Private (Admin)
 router.post('/', auth, async (req, res) => {
   try {
-    // Only admin can create notifications manually
-    if (req.user.userType !== 'admin') {
+    // Only staff with notifications:send can create notifications manually
+    if (!req.user.hasPermission('notifications:send')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Only admins can create notifications.'
@@ -486,8 +486,8 @@ router.delete('/:postId', auth, async (req, res) => {
 
     console.log('📝 Post found, owner:', post.userId);
     
-    // Check if user owns the post
-    if (post.userId.toString() !== req.user._id.toString()) {
+    // Check if user owns the post or can moderate posts
+    if (post.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
       console.log('❌ User not authorized to delete post');
       return res.status(403).json({
         success: false,
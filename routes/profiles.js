@@ -3,6 +3,7 @@ const Profile = require('../models/Profile');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
 const { validateProfile } = require('../middleware/validation');
+const ProfileHistoryService = require('../services/profileHistoryService');
 
 const router = express.Router();
 
@@ -155,11 +156,17 @@ router.get('/:userId', async (req, res) => {
       });
     }
 
+    // Work and hiring history for each role the user holds
+    const owner = await User.findById(req.params.userId).select('userType roles');
+    const histories = owner ? await ProfileHistoryService.getHistories(owner) : {};
+
     res.status(200).json({
       success: true,
       data: {
         user: profile.user,
-        profile: profile
+        profile: profile,
+        roles: owner ? owner.getAccountRoles() : [],
+        histories
       }
     });
   } catch (error) {
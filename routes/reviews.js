@@ -1,6 +1,8 @@
 const express = require('express');
 const Review = require('../models/Review');
 const Job = require('../models/Job');
+const JobOccurrence = require('../models/JobOccurrence');
+const AssignmentService = require('../services/assignmentService');
 const { auth } = require('../middleware/auth');
 const { validateReview } = require('../middleware/validation');
 
@@ -11,7 +13,7 @@ const router = express.Router();
 // @access  Private
 router.post('/', auth, validateReview, async (req, res) => {
   try {
-    const { job: jobId, reviewee, rating, comment, categories, reviewType } = req.body;
+    const { job: jobId, occurrence: occurrenceId, reviewee, rating, comment, categories, reviewType } = req.body;
 
     // Check if job exists and is completed
     const job = await Job.findById(jobId);
@@ -22,23 +24,57 @@ router.post('/', auth, validateReview, async (req, res) => {
       });
     }
 
-    if (job.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only review completed jobs'
-      });
+    // Occurrences of a recurring job are reviewed one by one, as each is completed
+    let occurrence = null;
+    if (occurrenceId) {
+      occurrence = await JobOccurrence.findOne({ _id: occurrenceId, job: jobId });
+      if (!occurrence) {
+        return res.status(404).json({
+          success: false,
+          message: 'Occurrence not found'
+        });
+      }
+
+      if (occurrence.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only review completed occurrences'
+        });
+      }
     }
 
-    // Validate review permissions
+    // Validate review permissions. On a team, the client reviews each worker and each
+    // worker reviews the client, as soon as that worker's part is done.
     let validReview = false;
     let determinedReviewType = '';
+    const isClient = job.client.toString() === req.user._id.toString();
+    const workerId = occurrence
+      ? occurrence.worker
+      : (isClient ? reviewee : req.user._id.toString());
+
+    if (!occurrence && !AssignmentService.isTeamMember(job, String(workerId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review people you have worked with on this job'
+      });
+    }
+
+    if (!occurrence && job.status !== 'completed') {
+      const member = (job.assignedWorkers || []).find(entry => entry.worker.toString() === String(workerId));
+      if (!member || member.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only review completed jobs'
+        });
+      }
+    }
 
     if (job.client.toString() === req.user._id.toString() && 
-        job.assignedWorker && job.assignedWorker.toString() === reviewee) {
+        workerId && workerId.toString() === reviewee) {
       // Client reviewing worker
       validReview = true;
       determinedReviewType = 'client-to-worker';
-    } else if (job.assignedWorker && job.assignedWorker.toString() === req.user._id.toString() && 
+    } else if (workerId && workerId.toString() === req.user._id.toString() && 
                job.client.toString() === reviewee) {
       // Worker reviewing client
       validReview = true;
@@ -55,7 +91,9 @@ router.post('/', auth, validateReview, async (req, res) => {
     // Check if review already exists
     const existingReview = await Review.findOne({
       job: jobId,
+      occurrence: occurrence ? occurrence._id : null,
       reviewer: req.user._id,
+      reviewee,
       reviewType: determinedReviewType
     });
 
@@ -69,6 +107,7 @@ router.post('/', auth, validateReview, async (req, res) => {
     // Create review
     const review = await Review.create({
       job: jobId,
+      occurrence: occurrence ? occurrence._id : undefined,
       reviewer: req.user._id,
       reviewee,
       rating,
@@ -77,6 +116,11 @@ router.post('/', auth, validateReview, async (req, res) => {
       reviewType: determinedReviewType
     });
 
+    if (occurrence) {
+      const field = determinedReviewType === 'client-to-worker' ? 'clientReview' : 'workerReview';
+      await JobOccurrence.updateOne({ _id: occurrence._id }, { $set: { [field]: review._id } });
+    }
+
     await review.populate([
       { path: 'reviewer', select: 'firstName lastName profilePicture' },
       { path: 'reviewee', select: 'firstName lastName profilePicture' },
@@ -299,7 +343,7 @@ router.put('/:id', auth, validateReview, async (req, res) => {
 
 // @route   DELETE /api/reviews/:id
 // @desc    Delete review (hide review)
-// @access  Private (Review owner or admin)
+// @access  Private (Review owner or reviews:hide permission)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const review = await Review.findById(req.params.id);
@@ -313,9 +357,9 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Check permissions
     const isOwner = review.reviewer.toString() === req.user._id.toString();
-    const isAdmin = req.user.userType === 'admin';
+    const canHide = req.user.hasPermission('reviews:hide');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canHide) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -430,9 +474,9 @@ router.get('/job/:jobId', auth, async (req, res) => {
 
     // Check if user is involved in this job
     const isClient = job.client.toString() === req.user._id.toString();
-    const isWorker = job.assignedWorker && job.assignedWorker.toString() === req.user._id.toString();
+    const isWorker = AssignmentService.isTeamMember(job, req.user._id);
 
-    if (!isClient && !isWorker && req.user.userType !== 'admin') {
+    if (!isClient && !isWorker && !req.user.hasPermission('reviews:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
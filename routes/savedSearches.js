@@ -0,0 +1,147 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateSavedSearch } = require('../middleware/validation');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+const DEFAULT_RADIUS_KM = 25;
+
+// Map request filters (same names as the GET /api/jobs query) to the stored shape
+const buildFilters = ({ category, city, minBudget, maxBudget, urgency, lat, lng, radiusKm }) => {
+  const filters = {};
+  if (category) filters.category = category;
+  if (city) filters.city = city;
+  if (minBudget !== undefined) filters.minBudget = parseFloat(minBudget);
+  if (maxBudget !== undefined) filters.maxBudget = parseFloat(maxBudget);
+  if (urgency) filters.urgency = urgency;
+  if (lat !== undefined && lng !== undefined) {
+    filters.coordinates = [parseFloat(lng), parseFloat(lat)];
+    filters.radiusKm = radiusKm !== undefined ? parseFloat(radiusKm) : DEFAULT_RADIUS_KM;
+  }
+  return filters;
+};
+
+// @route   GET /api/saved-searches
+// @desc    Get current user's saved searches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: searches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a job search and get alerts for new matching jobs
+// @access  Private (Workers)
+router.post('/', auth, requirePermission('applications:create'), validateSavedSearch, async (req, res) => {
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to add another.`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters: buildFilters(req.body.filters),
+      frequency: req.body.frequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: search
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search (name, filters, frequency or paused state)
+// @access  Private (Owner)
+router.put('/:id', auth, validateSavedSearch, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    search.name = req.body.name;
+    search.filters = buildFilters(req.body.filters);
+    if (req.body.frequency && req.body.frequency !== search.frequency) {
+      search.frequency = req.body.frequency;
+      // Queued matches belong to the old digest schedule
+      search.pendingMatches = [];
+    }
+    if (typeof req.body.isActive === 'boolean') {
+      search.isActive = req.body.isActive;
+    }
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: search
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,19 @@
 const express = require('express');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission, requireSecondFactor } = require('../middleware/auth');
+const { dataExportLimiter } = require('../middleware/rateLimiter');
+const AccountDeletionService = require('../services/accountDeletionService');
+const DataExportService = require('../services/dataExportService');
+const AuditService = require('../services/auditService');
+const { normalizePhone } = require('../utils/phone');
 
 const router = express.Router();
 
 // @route   GET /api/users
 // @desc    Get all users (admin only)
 // @access  Private (Admin)
-router.get('/', auth, authorize('admin'), async (req, res) => {
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -64,6 +69,134 @@ router.get('/', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/export
+// @desc    Download everything the platform holds about the current user (?format=zip|json)
+// @access  Private
+router.get('/me/export', auth, dataExportLimiter, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'zip';
+    const fileName = `workie-data-${req.user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+    await AuditService.record('account.data-exported', {
+      user: req.user._id,
+      req,
+      details: { format }
+    });
+
+    if (format === 'json') {
+      const data = await DataExportService.collect(req.user._id);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.status(200).json(data);
+    }
+
+    const archive = await DataExportService.buildArchive(req.user._id);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+    res.status(200).send(archive);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting data',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/me/deletion
+// @desc    Get the status of a pending account deletion
+// @access  Private
+router.get('/me/deletion', auth, async (req, res) => {
+  const deletion = req.user.deletion && req.user.deletion.scheduledFor ? req.user.deletion : null;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      scheduled: !!deletion,
+      requestedAt: deletion ? deletion.requestedAt : null,
+      scheduledFor: deletion ? deletion.scheduledFor : null,
+      gracePeriodDays: AccountDeletionService.gracePeriodDays
+    }
+  });
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Request deletion of the current account (after a grace period)
+// @access  Private
+router.post('/me/deletion', auth, requireSecondFactor(), async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested',
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
+
+    // Accounts created through a sign-in provider have no password to confirm
+    if (user.hasPassword) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    const deletion = await AccountDeletionService.requestDeletion(user, {
+      reason: reason ? String(reason).slice(0, 500) : undefined,
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${deletion.scheduledFor.toDateString()}. You can cancel until then.`,
+      data: {
+        requestedAt: deletion.requestedAt,
+        scheduledFor: deletion.scheduledFor
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/me/deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is pending'
+      });
+    }
+
+    await AccountDeletionService.cancelDeletion(user, { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -97,13 +230,27 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Account fields only staff with users:update can change
+const ADMIN_FIELDS = ['userType', 'isActive', 'isVerified'];
+
+// Staff editing another account or its account fields need a fresh second factor, as on the
+// admin API; people editing their own profile do not
+const staffSecondFactor = requireSecondFactor({ required: true });
+const requireSecondFactorForStaffEdits = (req, res, next) => {
+  const staffEdit = req.user.hasPermission('users:update') && (
+    req.params.id !== req.user._id.toString() || ADMIN_FIELDS.some(field => req.body[field] !== undefined)
+  );
+  return staffEdit ? staffSecondFactor(req, res, next) : next();
+};
+
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private (Own profile or admin)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, requireSecondFactorForStaffEdits, async (req, res) => {
   try {
-    // Check if user is updating their own profile or is admin
-    if (req.params.id !== req.user._id.toString() && req.user.userType !== 'admin') {
+    // Check if user is updating their own profile or can manage users
+    const canManageUsers = req.user.hasPermission('users:update');
+    if (req.params.id !== req.user._id.toString() && !canManageUsers) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own profile.'
@@ -120,10 +267,34 @@ router.put('/:id', auth, async (req, res) => {
       }
     });
 
+    // Phone numbers are stored as +94XXXXXXXXX; a new number has to be verified again
+    if (updateData.phone) {
+      const phone = normalizePhone(updateData.phone);
+      if (!phone) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid phone number (e.g., +94771234567, 0771234567, or 771234567)'
+        });
+      }
+
+      const existingUser = await User.findById(req.params.id).select('phone');
+      if (existingUser && normalizePhone(existingUser.phone) !== phone) {
+        updateData.isPhoneVerified = false;
+      }
+      updateData.phone = phone;
+    }
+
+    // Staff access comes from roles, which only PUT /api/admin/users/:id/roles sets
+    if (canManageUsers && req.body.userType === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff roles are assigned through PUT /api/admin/users/:id/roles'
+      });
+    }
+
     // Admin can update additional fields
-    if (req.user.userType === 'admin') {
-      const adminFields = ['userType', 'isActive', 'isVerified'];
-      adminFields.forEach(field => {
+    if (canManageUsers) {
+      ADMIN_FIELDS.forEach(field => {
         if (req.body[field] !== undefined) {
           updateData[field] = req.body[field];
         }
@@ -161,10 +332,17 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (soft delete)
+// @desc    Delete user (soft delete; ?permanent=true deletes and anonymises all data now)
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, requirePermission('users:delete'), requireSecondFactor({ required: true }), async (req, res) => {
   try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account here'
+      });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -174,6 +352,28 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
       });
     }
 
+    // Staff accounts are left to super-admins
+    if (user.isStaff() && !req.user.hasRole('super-admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can delete staff accounts'
+      });
+    }
+
+    if (req.query.permanent === 'true') {
+      const result = await AccountDeletionService.deleteAccount(user._id, {
+        actor: req.user._id,
+        req,
+        reason: 'admin'
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User deleted permanently',
+        data: result
+      });
+    }
+
     // Soft delete - deactivate user
     user.isActive = false;
     await user.save();
@@ -194,7 +394,7 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
 // @route   POST /api/users/:id/activate
 // @desc    Activate user
 // @access  Private (Admin only)
-router.post('/:id/activate', auth, authorize('admin'), async (req, res) => {
+router.post('/:id/activate', auth, requirePermission('users:activate'), requireSecondFactor({ required: true }), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -205,6 +405,22 @@ router.post('/:id/activate', auth, authorize('admin'), async (req, res) => {
       });
     }
 
+    // Deleted accounts are anonymised and cannot be restored
+    if (user.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has been deleted'
+      });
+    }
+
+    // Staff accounts are left to super-admins
+    if (user.isStaff() && !req.user.hasRole('super-admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can activate staff accounts'
+      });
+    }
+
     user.isActive = true;
     await user.save();
 
@@ -343,7 +559,7 @@ router.get('/workers/search', async (req, res) => {
 // @route   GET /api/users/stats
 // @desc    Get user statistics (admin only)
 // @access  Private (Admin)
-router.get('/stats/overview', auth, authorize('admin'), async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('admin:dashboard'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const totalWorkers = await User.countDocuments({ userType: 'worker' });
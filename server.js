@@ -21,10 +21,18 @@ const mediaRoutes = require('./routes/media');
 const connectionRoutes = require('./routes/connections');
 const analyticsRoutes = require('./routes/analytics');
 const postRoutes = require('./routes/posts'); // New: Posts route
+const savedSearchRoutes = require('./routes/savedSearches');
+const invitationRoutes = require('./routes/invitations');
+const appointmentRoutes = require('./routes/appointments');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const JobSearchService = require('./services/jobSearchService');
+const Review = require('./models/Review');
+const Scheduler = require('./services/scheduler');
+const { registerScheduledTasks } = require('./services/scheduledTasks');
+const { assertReplicaSet } = require('./utils/transaction');
 
 const app = express();
 
@@ -74,7 +82,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Device-Id', 'X-2FA-Code'],
   exposedHeaders: ['Content-Range', 'X-Content-Range'],
   preflightContinue: false,
   optionsSuccessStatus: 200
@@ -87,7 +95,7 @@ app.options('*', cors());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Device-Id, X-2FA-Code');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   if (req.method === 'OPTIONS') {
@@ -102,15 +110,30 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB with comprehensive error handling
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/workie_db', {
+// Transactions need a replica set; a single-node one is enough for development
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/workie_db?replicaSet=rs0', {
   serverSelectionTimeoutMS: 5000, // Timeout after 5s instead of 30s
   heartbeatFrequencyMS: 2000,     // Check every 2 seconds
   maxPoolSize: 10,                // Connection pool size
   minPoolSize: 1,                 // Minimum connections
   maxIdleTimeMS: 30000,          // Close connections after 30 seconds of inactivity
 })
-.then(() => {
+.then(async () => {
+  await assertReplicaSet();
   console.log('MongoDB connected successfully');
+
+  // Background jobs
+  registerScheduledTasks();
+  Scheduler.start().catch(error => {
+    console.error('Error starting task scheduler:', error.message);
+  });
+  JobSearchService.backfillKeywords().catch(error => {
+    console.error('Error adding job search keywords:', error.message);
+  });
+  // Replaces older unique review indexes with the one that allows a review per occurrence and team member
+  Review.syncIndexes().catch(error => {
+    console.error('Error updating review indexes:', error.message);
+  });
 })
 .catch(err => {
   console.error('MongoDB connection failed:', err.message);
@@ -152,6 +175,9 @@ app.use('/api/media', mediaRoutes);
 app.use('/api/connections', connectionRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/posts', postRoutes); // New: Posts routes
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/appointments', appointmentRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
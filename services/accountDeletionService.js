@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const AttemptCounter = require('../models/AttemptCounter');
+const SavedSearch = require('../models/SavedSearch');
+const JobInvitation = require('../models/JobInvitation');
+const JobOccurrence = require('../models/JobOccurrence');
+const Appointment = require('../models/Appointment');
+const AuditService = require('./auditService');
+const AssignmentService = require('./assignmentService');
+const JobLifecycleService = require('./jobLifecycleService');
+const { STAFF_ROLES } = require('../config/roles');
+const { deleteFile, deleteVideo } = require('../config/cloudinary');
+const { sendAccountDeletionScheduledEmail } = require('../utils/emailService');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+// Accounts with no verified email or phone and no sign-in for this long are removed
+const UNVERIFIED_ACCOUNT_DAYS = parseInt(process.env.UNVERIFIED_ACCOUNT_DAYS, 10) || 14;
+const PURGE_BATCH_SIZE = 200;
+
+// Shown in place of the user's details wherever their content is kept
+const DELETED_USER_INFO = {
+  firstName: 'Deleted',
+  lastName: 'User',
+  profilePicture: ''
+};
+
+// Get the Cloudinary public id from a delivery URL
+// (e.g. .../image/upload/c_fill/v1699999999/workie/profile-pictures/abc.jpg -> workie/profile-pictures/abc)
+const publicIdFromUrl = (url) => {
+  if (!url || !url.includes('res.cloudinary.com')) return null;
+  const match = url.match(/\/upload\/(?:.*?\/)?v\d+\/(.+)\.[a-z0-9]+$/i) ||
+    url.match(/\/upload\/(.+)\.[a-z0-9]+$/i);
+  return match ? match[1] : null;
+};
+
+class AccountDeletionService {
+  static get gracePeriodDays() {
+    return GRACE_PERIOD_DAYS;
+  }
+
+  // Schedule the account for deletion after the grace period
+  static async requestDeletion(user, { reason, req } = {}) {
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000),
+      reason
+    };
+    await user.save();
+
+    await AuditService.record('account.deletion-requested', {
+      user: user._id,
+      req,
+      details: { scheduledFor: user.deletion.scheduledFor }
+    });
+
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, user.firstName, user.deletion.scheduledFor);
+    } catch (emailError) {
+      console.error('Failed to send account deletion email:', emailError.message);
+    }
+
+    return user.deletion;
+  }
+
+  // Cancel a pending deletion during the grace period
+  static async cancelDeletion(user, { req } = {}) {
+    user.deletion = undefined;
+    await user.save();
+
+    await AuditService.record('account.deletion-cancelled', { user: user._id, req });
+  }
+
+  // Delete Cloudinary files owned by the user. Failures are logged, not thrown,
+  // so one missing file cannot block the rest of the deletion.
+  static async deleteAssets(user, profile, posts) {
+    const images = new Set();
+    const videos = new Set();
+
+    const docs = (user.verificationDocuments && user.verificationDocuments.publicIds) || {};
+    [docs.profilePicture, docs.idPhotoFront, docs.idPhotoBack, user.coverPhotoPublicId].forEach(id => {
+      if (id) images.add(id);
+    });
+    [user.profilePicture, user.coverPhoto].forEach(url => {
+      const id = publicIdFromUrl(url);
+      if (id) images.add(id);
+    });
+
+    if (profile) {
+      (profile.portfolio || []).forEach(item => {
+        (item.media || []).forEach(media => {
+          if (!media.publicId) return;
+          (media.type === 'video' ? videos : images).add(media.publicId);
+        });
+      });
+    }
+
+    posts.forEach(post => {
+      (post.media || []).forEach(media => {
+        (media.fileType === 'video' ? videos : images).add(media.publicId);
+      });
+    });
+
+    let failed = 0;
+    const destroy = async (publicId, remove) => {
+      try {
+        await remove(publicId);
+      } catch (error) {
+        failed += 1;
+      }
+    };
+
+    for (const publicId of images) {
+      await destroy(publicId, deleteFile);
+    }
+    for (const publicId of videos) {
+      await destroy(publicId, deleteVideo);
+    }
+
+    return { deleted: images.size + videos.size - failed, failed };
+  }
+
+  /**
+   * Permanently delete an account.
+   * Content that only concerns the user is deleted; content other people rely on
+   * (comments on other people's posts, reviews they wrote, jobs they took part in) is kept
+   * but detached from the user's identity. The User document itself stays as an
+   * anonymous tombstone so references from other records still resolve.
+   */
+  static async deleteAccount(userId, { actor, req, reason = 'user-request' } = {}) {
+    const user = await User.findById(userId);
+    if (!user || user.isDeleted) {
+      return null;
+    }
+
+    const [profile, posts] = await Promise.all([
+      Profile.findOne({ user: userId }),
+      Post.find({ userId })
+    ]);
+
+    const assets = await AccountDeletionService.deleteAssets(user, profile, posts);
+
+    // Own content
+    await Promise.all([
+      Profile.deleteOne({ user: userId }),
+      Post.deleteMany({ userId }),
+      Notification.deleteMany({ recipient: userId }),
+      Session.deleteMany({ user: userId }),
+      SavedSearch.deleteMany({ user: userId }),
+      JobInvitation.deleteMany({ $or: [{ worker: userId }, { client: userId, status: 'pending' }] }),
+      JobOccurrence.updateMany(
+        { $or: [{ worker: userId }, { client: userId }], status: 'scheduled' },
+        { $set: { status: 'cancelled', reason: 'Account deleted' } }
+      ),
+      // No more reminders, and the other side's calendar is free again
+      Appointment.updateMany(
+        { $or: [{ worker: userId }, { client: userId }], status: { $in: ['proposed', 'confirmed'] } },
+        { $set: { status: 'cancelled', reason: 'Account deleted', cancelledBy: userId, respondedAt: new Date() } }
+      ),
+      AttemptCounter.deleteMany({ key: `account:${userId}` })
+    ]);
+
+    // Interactions on other people's posts
+    await Post.updateMany(
+      { 'likes.userId': userId },
+      { $pull: { likes: { userId } }, $inc: { 'engagement.likesCount': -1 } }
+    );
+    await Post.updateMany(
+      { 'comments.userId': userId },
+      { $set: { 'comments.$[comment].userInfo': DELETED_USER_INFO } },
+      { arrayFilters: [{ 'comment.userId': userId }] }
+    );
+    await Post.updateMany({ taggedUsers: userId }, { $pull: { taggedUsers: userId } });
+    await Notification.updateMany({ sender: userId }, { $unset: { sender: 1 } });
+
+    // Open applications are withdrawn; accepted ones stay for the client's job history
+    const openApplications = await Application.find({ worker: userId, status: 'pending', isActive: true }).select('job');
+    if (openApplications.length > 0) {
+      await Job.updateMany(
+        { _id: { $in: openApplications.map(application => application.job) }, applicationsCount: { $gt: 0 } },
+        { $inc: { applicationsCount: -1 } }
+      );
+    }
+    await Application.deleteMany({ worker: userId, status: { $in: ['pending', 'rejected', 'withdrawn'] } });
+    await Application.updateMany(
+      { worker: userId },
+      { $set: { coverLetter: '', portfolio: [] }, $unset: { notes: 1 } }
+    );
+
+    // Unfinished jobs are cancelled through the lifecycle, which tells the hired workers and
+    // turns down applicants; finished ones stay for the workers' history
+    const clientJobs = await Job.find({ client: userId, status: { $in: ['open', 'paused', 'in-progress', 'disputed'] } });
+    for (const job of clientJobs) {
+      try {
+        await JobLifecycleService.transition(job, 'cancelled', { reason: 'Client account deleted' });
+      } catch (error) {
+        console.error(`Error cancelling job ${job._id} of deleted account:`, error.message);
+      }
+    }
+    await Job.updateMany({ client: userId, status: 'cancelled' }, { $set: { isActive: false } });
+
+    // Other clients' jobs the user was hired for carry on without them, or end when nobody is left
+    const workerJobs = await Job.find({
+      status: { $in: ['open', 'in-progress', 'disputed'] },
+      $or: [{ assignedWorker: userId }, { 'assignedWorkers.worker': userId }]
+    });
+    for (const job of workerJobs) {
+      try {
+        await AssignmentService.releaseWorker(job, userId, { reason: 'Worker account deleted' });
+      } catch (error) {
+        console.error(`Error releasing deleted account from job ${job._id}:`, error.message);
+      }
+    }
+    // Status notifications these changes sent the user themselves
+    await Notification.deleteMany({ recipient: userId });
+
+    // Reviews about the user go with the profile; reviews they wrote keep the rating only
+    await Review.deleteMany({ reviewee: userId });
+    await Review.updateMany({ reviewer: userId }, { $set: { comment: '' } });
+
+    // Anonymise the account record
+    user.firstName = DELETED_USER_INFO.firstName;
+    user.lastName = DELETED_USER_INFO.lastName;
+    user.email = `deleted-${user._id}@deleted.workie.lk`;
+    user.password = crypto.randomBytes(32).toString('hex');
+    user.hasPassword = false;
+    user.phone = undefined;
+    user.isPhoneVerified = false;
+    user.profilePicture = '';
+    user.coverPhoto = '';
+    user.coverPhotoPublicId = '';
+    user.verificationDocuments = {};
+    user.googleId = undefined;
+    user.isGoogleUser = false;
+    user.linkedAccounts = [];
+    user.twoFactor = { enabled: false };
+    user.roles = [];
+    user.isActive = false;
+    user.isDeleted = true;
+    user.deletedAt = new Date();
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditService.record('account.deleted', {
+      user: user._id,
+      actor,
+      req,
+      details: { reason, assetsDeleted: assets.deleted, assetsFailed: assets.failed }
+    });
+
+    return { userId: user._id, assets };
+  }
+
+  // Delete every account whose grace period has ended
+  static async processDueDeletions() {
+    const dueUsers = await User.find({
+      'deletion.scheduledFor': { $lte: new Date() },
+      isDeleted: { $ne: true }
+    }).select('_id');
+
+    let processed = 0;
+    for (const { _id } of dueUsers) {
+      try {
+        await AccountDeletionService.deleteAccount(_id, { reason: 'grace-period-ended' });
+        processed += 1;
+      } catch (error) {
+        console.error(`Error deleting account ${_id}:`, error.message);
+      }
+    }
+
+    return processed;
+  }
+
+  // Delete accounts that were never verified, never used and not signed in to for a while.
+  // Staff and accounts signed up through an external provider are left alone.
+  static async purgeUnverifiedAccounts() {
+    const cutoff = new Date(Date.now() - UNVERIFIED_ACCOUNT_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = await User.find({
+      isEmailVerified: { $ne: true },
+      isPhoneVerified: { $ne: true },
+      isGoogleUser: { $ne: true },
+      'linkedAccounts.0': { $exists: false },
+      roles: { $nin: STAFF_ROLES },
+      userType: { $ne: 'admin' },
+      isDeleted: { $ne: true },
+      createdAt: { $lte: cutoff },
+      lastLogin: { $lte: cutoff }
+    })
+      .select('_id')
+      .limit(PURGE_BATCH_SIZE);
+
+    let purged = 0;
+    for (const { _id } of candidates) {
+      try {
+        const [hasJobs, hasApplications] = await Promise.all([
+          Job.exists({ client: _id }),
+          Application.exists({ worker: _id })
+        ]);
+        if (hasJobs || hasApplications) continue;
+
+        await AccountDeletionService.deleteAccount(_id, { reason: 'unverified-account' });
+        purged += 1;
+      } catch (error) {
+        console.error(`Error purging unverified account ${_id}:`, error.message);
+      }
+    }
+
+    return { checked: candidates.length, purged };
+  }
+}
+
+module.exports = AccountDeletionService;
@@ -0,0 +1,187 @@
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const Profile = require('../models/Profile');
+const WorkerSuggestionService = require('./workerSuggestionService');
+const { PIPELINE_STAGES, MAX_TAGS, MAX_NOTES, MAX_BULK_MOVE } = require('../config/hiringPipeline');
+const { ApplicationError } = require('../utils/errors');
+
+// Maximum points for how well the applicant matches the job (the suggested-workers score,
+// scaled down) and for their price against the budget; a perfect fit scores 100
+const FIT_WEIGHTS = {
+  match: 80,
+  price: 20
+};
+
+class ApplicantPipelineService {
+  // An application with its pipeline, for the owner of its job only
+  static async getForClient(applicationId, user) {
+    const application = await Application.findById(applicationId).select('+pipeline');
+    if (!application) {
+      throw new ApplicationError('Application not found', 404);
+    }
+
+    const job = await Job.findById(application.job).select('client');
+    if (!job || job.client.toString() !== user._id.toString()) {
+      throw new ApplicationError('Access denied. You can only manage applicants of your own jobs.', 403);
+    }
+
+    return application;
+  }
+
+  static async update(application, filter, update) {
+    const updated = await Application.findOneAndUpdate(
+      { _id: application._id, ...filter },
+      update,
+      { new: true, runValidators: true }
+    ).select('+pipeline');
+
+    if (!updated) {
+      throw new ApplicationError('The application was changed in the meantime. Reload and try again.', 409);
+    }
+    return updated;
+  }
+
+  static checkStage(stage) {
+    if (!PIPELINE_STAGES.includes(stage)) {
+      throw new ApplicationError(`Stage must be one of ${PIPELINE_STAGES.join(', ')}`);
+    }
+  }
+
+  static async moveStage(application, stage) {
+    ApplicantPipelineService.checkStage(stage);
+    if (application.status !== 'pending') {
+      throw new ApplicationError('Only pending applications can be moved between stages');
+    }
+
+    return ApplicantPipelineService.update(application, { status: 'pending' }, {
+      $set: { 'pipeline.stage': stage, 'pipeline.movedAt': new Date() }
+    });
+  }
+
+  // Move several pending applications of the client's jobs to one stage
+  static async moveStages(applicationIds, stage, user) {
+    ApplicantPipelineService.checkStage(stage);
+
+    const ids = [...new Set(applicationIds.map(String))];
+    if (ids.length > MAX_BULK_MOVE) {
+      throw new ApplicationError(`Up to ${MAX_BULK_MOVE} applications can be moved at once`);
+    }
+
+    const applications = await Application.find({ _id: { $in: ids } }).select('job');
+    const jobIds = [...new Set(applications.map(application => application.job.toString()))];
+    const ownedJobs = await Job.countDocuments({ _id: { $in: jobIds }, client: user._id });
+    if (ownedJobs !== jobIds.length) {
+      throw new ApplicationError('Access denied. You can only manage applicants of your own jobs.', 403);
+    }
+
+    const result = await Application.updateMany(
+      { _id: { $in: applications.map(application => application._id) }, status: 'pending' },
+      { $set: { 'pipeline.stage': stage, 'pipeline.movedAt': new Date() } }
+    );
+
+    return {
+      moved: result.modifiedCount,
+      unchanged: result.matchedCount - result.modifiedCount,
+      // Unknown ids and applications that are no longer pending
+      skipped: ids.length - result.matchedCount
+    };
+  }
+
+  static async addNote(application, text, user) {
+    if (application.pipeline.notes.length >= MAX_NOTES) {
+      throw new ApplicationError(`An applicant can have up to ${MAX_NOTES} notes`);
+    }
+
+    const updated = await ApplicantPipelineService.update(
+      application,
+      { [`pipeline.notes.${MAX_NOTES - 1}`]: { $exists: false } },
+      { $push: { 'pipeline.notes': { text, author: user._id, createdAt: new Date() } } }
+    );
+
+    return updated.pipeline.notes[updated.pipeline.notes.length - 1];
+  }
+
+  static async removeNote(application, noteId) {
+    if (!application.pipeline.notes.id(noteId)) {
+      throw new ApplicationError('Note not found', 404);
+    }
+
+    return ApplicantPipelineService.update(application, {}, {
+      $pull: { 'pipeline.notes': { _id: noteId } }
+    });
+  }
+
+  // Replace an applicant's tags; tags are lowercased and duplicates dropped
+  static async setTags(application, tags) {
+    const unique = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (unique.length > MAX_TAGS) {
+      throw new ApplicationError(`An applicant can have up to ${MAX_TAGS} tags`);
+    }
+
+    return ApplicantPipelineService.update(application, {}, { $set: { 'pipeline.tags': unique } });
+  }
+
+  /**
+   * How well an applicant fits a job, out of 100: their match on skills, rating, experience
+   * and distance (as for suggested workers), and their price against the budget.
+   */
+  static scoreFit(application, profile, job, jobCoordinates) {
+    const reasons = [];
+    const breakdown = {};
+
+    const match = profile ? WorkerSuggestionService.scoreWorker(profile, job, jobCoordinates) : null;
+    if (match) {
+      breakdown.match = Math.round(match.score * FIT_WEIGHTS.match / 100);
+      reasons.push(...match.reasons);
+    } else {
+      breakdown.match = 0;
+      reasons.push('No matching skills, or further away than they travel');
+    }
+
+    // The agreed price once there is one, otherwise the proposed price
+    const agreed = application.agreedPrice && application.agreedPrice.amount;
+    const price = agreed !== undefined && agreed !== null
+      ? agreed
+      : application.proposedPrice && application.proposedPrice.amount;
+    const budget = job.budget && job.budget.amount;
+
+    if (price === undefined || price === null || !budget) {
+      // Unknown: neither rewarded nor penalised
+      breakdown.price = Math.round(FIT_WEIGHTS.price / 2);
+    } else if (price <= budget) {
+      breakdown.price = FIT_WEIGHTS.price;
+      reasons.push('Within budget');
+    } else {
+      const over = (price - budget) / budget;
+      breakdown.price = Math.round(FIT_WEIGHTS.price * Math.max(0, 1 - over * 2));
+      reasons.push(`${Math.round(over * 100)}% over budget`);
+    }
+
+    return { score: breakdown.match + breakdown.price, breakdown, reasons };
+  }
+
+  // Add a `fit` to each application of a job (plain objects, in the given order)
+  static async withFit(job, applications) {
+    const workerIds = applications.map(application => application.worker._id || application.worker);
+    const profiles = await Profile.find({ user: { $in: workerIds } })
+      .populate('user', 'address')
+      .select('user skills ratings completedJobs preferences workerCategories city');
+    const profilesByUser = new Map(profiles
+      .filter(profile => profile.user)
+      .map(profile => [profile.user._id.toString(), profile]));
+
+    const jobCoordinates = job.location && job.location.coordinates && job.location.coordinates.length === 2
+      ? [...job.location.coordinates]
+      : null;
+
+    return applications.map(application => {
+      const workerId = (application.worker._id || application.worker).toString();
+      return {
+        ...application.toObject(),
+        fit: ApplicantPipelineService.scoreFit(application, profilesByUser.get(workerId), job, jobCoordinates)
+      };
+    });
+  }
+}
+
+module.exports = ApplicantPipelineService;
@@ -0,0 +1,292 @@
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const JobInvitation = require('../models/JobInvitation');
+const NotificationService = require('./notificationService');
+const { ApplicationError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { evaluateAnswers } = require('../utils/screening');
+
+const RECONCILE_BATCH_SIZE = 500;
+
+class ApplicationService {
+  /**
+   * Apply a worker to a job after checking the job is open, not their own,
+   * not applied to already and not full, and that the job's screening questions are answered.
+   * An application with a knock-out answer is made but rejected straight away.
+   * @returns {Promise<Application>} the new application, with worker and job populated
+   */
+  static async apply(jobId, workerId, {
+    coverLetter,
+    proposedPrice,
+    estimatedDuration,
+    availability,
+    portfolio,
+    screeningAnswers
+  } = {}) {
+    // Check if job exists and is open
+    const job = await Job.findById(jobId).select('+screeningQuestions.knockout');
+    if (!job) {
+      throw new ApplicationError('Job not found', 404);
+    }
+
+    if (job.status !== 'open') {
+      throw new ApplicationError('Job is no longer open for applications');
+    }
+
+    // Accounts holding both roles cannot apply to jobs they posted
+    if (job.client.toString() === workerId.toString()) {
+      throw new ApplicationError('You cannot apply to your own job');
+    }
+
+    // Check if worker has already applied
+    const existingApplication = await Application.findOne({
+      job: jobId,
+      worker: workerId,
+      isActive: true
+    });
+
+    if (existingApplication) {
+      throw new ApplicationError('You have already applied for this job');
+    }
+
+    if (job.applicationsCount >= job.maxApplicants) {
+      throw new ApplicationError('This job has reached the maximum number of applications');
+    }
+
+    let screening;
+    try {
+      screening = evaluateAnswers(job.screeningQuestions || [], screeningAnswers);
+    } catch (error) {
+      throw new ApplicationError(error.message);
+    }
+    const knockedOut = screening.knockedOutBy.length > 0;
+
+    // Counting the application and creating it happen together, so the count cannot drift
+    // and concurrent applications cannot go past maxApplicants. Knocked-out applications
+    // do not count, so they cannot fill a job before qualified workers apply.
+    let application;
+    try {
+      application = await withTransaction(async (session) => {
+        if (!knockedOut) {
+          const counted = await Job.updateOne(
+            { _id: jobId, status: 'open', $expr: { $lt: ['$applicationsCount', '$maxApplicants'] } },
+            { $inc: { applicationsCount: 1 } },
+            { session }
+          );
+          if (counted.modifiedCount === 0) {
+            throw new ApplicationError('This job has reached the maximum number of applications');
+          }
+        }
+
+        const [created] = await Application.create([{
+          job: jobId,
+          worker: workerId,
+          coverLetter,
+          proposedPrice,
+          estimatedDuration,
+          availability,
+          portfolio,
+          screeningAnswers: screening.answers,
+          screening: { knockedOut, knockedOutBy: screening.knockedOutBy },
+          status: knockedOut ? 'rejected' : 'pending'
+        }], { session });
+
+        return created;
+      });
+    } catch (error) {
+      // The same worker applying twice at once
+      if (error.code === 11000) {
+        throw new ApplicationError('You have already applied for this job');
+      }
+      throw error;
+    }
+
+    await application.populate([
+      { path: 'worker', select: 'firstName lastName profilePicture' },
+      { path: 'job', select: 'title category budget client' }
+    ]);
+
+    return application;
+  }
+
+  // Withdraw a worker's pending application and give its place on the job back
+  static async withdraw(application) {
+    return withTransaction(async (session) => {
+      const withdrawn = await Application.findOneAndUpdate(
+        { _id: application._id, status: 'pending' },
+        { $set: { status: 'withdrawn', isActive: false, respondedAt: new Date() }, $inc: { __v: 1 } },
+        { new: true, session }
+      );
+      if (!withdrawn) {
+        throw new ApplicationError('Cannot withdraw application after it has been responded to');
+      }
+
+      await Job.updateOne(
+        { _id: application.job, applicationsCount: { $gt: 0 } },
+        { $inc: { applicationsCount: -1 } },
+        { session }
+      );
+
+      return withdrawn;
+    });
+  }
+
+  /**
+   * Repair jobs whose applicationsCount does not match their active applications, e.g. after
+   * writes made before counting was transactional. Like apply(), applications knocked out by a
+   * screening question are not counted. Jobs are checked in batches by id; a job whose count
+   * changes while it is checked is left for the next run.
+   * @returns {Promise<{checked: number, repaired: number}>}
+   */
+  static async reconcileApplicationCounts() {
+    let checked = 0;
+    let repaired = 0;
+    let lastId = null;
+
+    for (;;) {
+      const jobs = await Job.find(lastId ? { _id: { $gt: lastId } } : {})
+        .sort({ _id: 1 })
+        .limit(RECONCILE_BATCH_SIZE)
+        .select('applicationsCount')
+        .lean();
+      if (jobs.length === 0) break;
+
+      const counts = await Application.aggregate([
+        { $match: { job: { $in: jobs.map(job => job._id) }, isActive: true, 'screening.knockedOut': { $ne: true } } },
+        { $group: { _id: '$job', count: { $sum: 1 } } }
+      ]);
+      const countsByJob = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+      const fixes = jobs
+        .filter(job => job.applicationsCount !== (countsByJob.get(job._id.toString()) || 0))
+        .map(job => ({
+          updateOne: {
+            // Only while the count is still the one read (null also matches jobs without one)
+            filter: { _id: job._id, applicationsCount: job.applicationsCount === undefined ? null : job.applicationsCount },
+            update: { $set: { applicationsCount: countsByJob.get(job._id.toString()) || 0 } }
+          }
+        }));
+
+      if (fixes.length > 0) {
+        const result = await Job.bulkWrite(fixes);
+        repaired += result.modifiedCount;
+      }
+
+      checked += jobs.length;
+      lastId = jobs[jobs.length - 1]._id;
+    }
+
+    return { checked, repaired };
+  }
+
+  // Invite a worker to apply for an open job. Re-inviting is allowed once an invitation expired or was cancelled.
+  static async invite(job, workerId, { clientId, message } = {}) {
+    if (job.status !== 'open') {
+      throw new ApplicationError('Only open jobs can be shared with workers');
+    }
+
+    const worker = await User.findById(workerId).select('isActive isDeleted userType roles');
+    if (!worker || !worker.isActive || worker.isDeleted || !worker.hasRole('worker')) {
+      throw new ApplicationError('Worker not found', 404);
+    }
+
+    if (worker._id.toString() === job.client.toString()) {
+      throw new ApplicationError('You cannot invite yourself to your own job');
+    }
+
+    const existingApplication = await Application.exists({ job: job._id, worker: workerId, isActive: true });
+    if (existingApplication) {
+      throw new ApplicationError('This worker has already applied for the job', 409);
+    }
+
+    let invitation = await JobInvitation.findOne({ job: job._id, worker: workerId });
+    if (invitation && invitation.status === 'pending' && !invitation.isExpired) {
+      throw new ApplicationError('This worker has already been invited', 409);
+    }
+    if (invitation && invitation.status === 'declined') {
+      throw new ApplicationError('This worker declined an invitation to this job', 409);
+    }
+
+    if (invitation) {
+      invitation.set({
+        status: 'pending',
+        message,
+        respondedAt: undefined,
+        expiresAt: JobInvitation.schema.path('expiresAt').defaultValue()
+      });
+      await invitation.save();
+    } else {
+      invitation = await JobInvitation.create({
+        job: job._id,
+        client: clientId,
+        worker: workerId,
+        message
+      });
+    }
+
+    try {
+      await NotificationService.notifyJobInvitation(invitation, job, clientId);
+    } catch (notificationError) {
+      console.error('Failed to send job invitation notification:', notificationError.message);
+    }
+
+    return invitation;
+  }
+
+  // Find a worker's pending, unexpired invitation
+  static async getOpenInvitation(invitationId, workerId) {
+    const invitation = await JobInvitation.findOne({ _id: invitationId, worker: workerId });
+    if (!invitation) {
+      throw new ApplicationError('Invitation not found', 404);
+    }
+    if (invitation.status !== 'pending') {
+      throw new ApplicationError(`This invitation was already ${invitation.status}`);
+    }
+    if (invitation.isExpired) {
+      throw new ApplicationError('This invitation has expired', 410);
+    }
+    return invitation;
+  }
+
+  // Accept an invitation: applies to the job in the same step
+  static async acceptInvitation(invitationId, workerId, applicationData = {}) {
+    const invitation = await ApplicationService.getOpenInvitation(invitationId, workerId);
+
+    const application = await ApplicationService.apply(invitation.job, workerId, applicationData);
+
+    invitation.status = 'accepted';
+    invitation.application = application._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    try {
+      await NotificationService.notifyInvitationResponse(invitation, application.job, workerId);
+    } catch (notificationError) {
+      console.error('Failed to send invitation response notification:', notificationError.message);
+    }
+
+    return { invitation, application };
+  }
+
+  static async declineInvitation(invitationId, workerId) {
+    const invitation = await ApplicationService.getOpenInvitation(invitationId, workerId);
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    try {
+      const job = await Job.findById(invitation.job).select('title');
+      if (job) {
+        await NotificationService.notifyInvitationResponse(invitation, job, workerId);
+      }
+    } catch (notificationError) {
+      console.error('Failed to send invitation response notification:', notificationError.message);
+    }
+
+    return invitation;
+  }
+}
+
+module.exports = ApplicationService;
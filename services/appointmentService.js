@@ -0,0 +1,370 @@
+const Appointment = require('../models/Appointment');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const JobOccurrence = require('../models/JobOccurrence');
+const NotificationService = require('./notificationService');
+const { AppointmentError } = require('../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const MAX_SLOTS = 5;
+const MAX_DAYS_AHEAD = 60;
+// Visits of recurring jobs, and jobs with a start date but no end date, have no end time;
+// they count as taking this long
+const DEFAULT_BLOCK_MINUTES = 120;
+// Both sides are reminded a day and an hour before a confirmed appointment
+const REMINDERS = [
+  { field: 'dayBeforeSentAt', beforeMs: DAY_MS },
+  { field: 'hourBeforeSentAt', beforeMs: 60 * MINUTE_MS }
+];
+const REMINDER_BATCH_SIZE = 200;
+
+const idOf = (value) => (value._id || value).toString();
+
+/**
+ * Interviews and site visits between a client and an applicant. The client proposes up to
+ * MAX_SLOTS times, the worker confirms one that does not clash with their other confirmed
+ * appointments, jobs and visits, or declines them all. Either side can cancel.
+ */
+class AppointmentService {
+  // 'client' or 'worker' for the two sides of the appointment, null for anyone else
+  static getParty(appointment, user) {
+    const userId = user._id.toString();
+    if (idOf(appointment.client) === userId) return 'client';
+    if (idOf(appointment.worker) === userId) return 'worker';
+    return null;
+  }
+
+  static async propose(application, job, { actor, type, slots, durationMinutes = 60, location, message }) {
+    if (job.client.toString() !== actor._id.toString()) {
+      throw new AppointmentError('Only the job owner can propose an appointment', 403);
+    }
+    if (!['pending', 'accepted'].includes(application.status)) {
+      throw new AppointmentError('Appointments can only be made with pending or hired applicants');
+    }
+    if (!['open', 'paused', 'in-progress'].includes(job.status)) {
+      throw new AppointmentError(`Appointments cannot be made for ${job.status} jobs`);
+    }
+
+    const now = Date.now();
+    const times = [...new Set(slots.map(slot => new Date(slot).getTime()))].sort((a, b) => a - b);
+    if (times.length === 0 || times.length > MAX_SLOTS) {
+      throw new AppointmentError(`Propose between 1 and ${MAX_SLOTS} different times`);
+    }
+    if (times.some(time => Number.isNaN(time) || time <= now || time > now + MAX_DAYS_AHEAD * DAY_MS)) {
+      throw new AppointmentError(`Proposed times must be within the next ${MAX_DAYS_AHEAD} days`);
+    }
+
+    const existing = await Appointment.exists({
+      application: application._id,
+      type,
+      status: { $in: ['proposed', 'confirmed'] }
+    });
+    if (existing) {
+      throw new AppointmentError(`This applicant already has a ${type} proposed or confirmed. Cancel it first.`, 409);
+    }
+
+    const appointment = await Appointment.create({
+      application: application._id,
+      job: job._id,
+      client: job.client,
+      worker: application.worker,
+      type,
+      durationMinutes,
+      location,
+      message,
+      slots: times.map(time => ({ startsAt: new Date(time) }))
+    });
+
+    // Pending applicants move on to the interview stage of the client's pipeline
+    if (application.status === 'pending') {
+      await Application.updateOne(
+        { _id: application._id, status: 'pending', 'pipeline.stage': { $in: ['new', 'shortlisted'] } },
+        { $set: { 'pipeline.stage': 'interview', 'pipeline.movedAt': new Date() } }
+      );
+    }
+
+    await AppointmentService.notify(appointment, job, 'proposed', actor._id);
+
+    return appointment;
+  }
+
+  /**
+   * The worker's confirmed appointments, jobs in progress and scheduled visits that overlap
+   * start..end, as { kind, id, title, startsAt, endsAt }. `excludeId` leaves out an appointment.
+   */
+  static async findClashes(workerId, start, end, { excludeId } = {}) {
+    const blockMs = DEFAULT_BLOCK_MINUTES * MINUTE_MS;
+
+    const [appointments, occurrences, jobs] = await Promise.all([
+      Appointment.find({
+        worker: workerId,
+        status: 'confirmed',
+        ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+        startsAt: { $lt: end },
+        endsAt: { $gt: start }
+      })
+        .populate('job', 'title')
+        .select('type job startsAt endsAt'),
+      JobOccurrence.find({
+        worker: workerId,
+        status: 'scheduled',
+        startsAt: { $lt: end, $gt: new Date(start.getTime() - blockMs) }
+      })
+        .populate('job', 'title')
+        .select('job startsAt'),
+      // Recurring jobs are checked through their visits
+      Job.find({
+        status: 'in-progress',
+        isActive: true,
+        'recurrence.rule': null,
+        'duration.startDate': { $lt: end },
+        $or: [
+          { assignedWorker: workerId, 'assignedWorkers.0': { $exists: false } },
+          { assignedWorkers: { $elemMatch: { worker: workerId, status: 'active' } } }
+        ]
+      }).select('title duration')
+    ]);
+
+    return [
+      ...appointments.map(appointment => ({
+        kind: appointment.type,
+        id: appointment._id,
+        title: appointment.job ? appointment.job.title : appointment.title,
+        startsAt: appointment.startsAt,
+        endsAt: appointment.endsAt
+      })),
+      ...occurrences.map(occurrence => ({
+        kind: 'visit',
+        id: occurrence._id,
+        title: occurrence.job ? occurrence.job.title : undefined,
+        startsAt: occurrence.startsAt,
+        endsAt: new Date(occurrence.startsAt.getTime() + blockMs)
+      })),
+      ...jobs
+        .map(job => ({
+          kind: 'job',
+          id: job._id,
+          title: job.title,
+          startsAt: job.duration.startDate,
+          endsAt: job.duration.endDate || new Date(job.duration.startDate.getTime() + blockMs)
+        }))
+        .filter(clash => clash.endsAt > start)
+    ].sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  // Each proposed slot with the worker's clashes at that time
+  static async checkSlots(appointment) {
+    const lengthMs = appointment.durationMinutes * MINUTE_MS;
+
+    return Promise.all(appointment.slots.map(async slot => ({
+      _id: slot._id,
+      startsAt: slot.startsAt,
+      endsAt: new Date(slot.startsAt.getTime() + lengthMs),
+      clashes: await AppointmentService.findClashes(
+        appointment.worker,
+        slot.startsAt,
+        new Date(slot.startsAt.getTime() + lengthMs),
+        { excludeId: appointment._id }
+      )
+    })));
+  }
+
+  // The worker picks one of the proposed times
+  static async confirm(appointment, job, slotId, { actor }) {
+    if (AppointmentService.getParty(appointment, actor) !== 'worker') {
+      throw new AppointmentError('Only the applicant can confirm a time', 403);
+    }
+    if (appointment.status !== 'proposed') {
+      throw new AppointmentError(`This appointment was already ${appointment.status}`);
+    }
+
+    const slot = appointment.slots.id(slotId);
+    if (!slot) {
+      throw new AppointmentError('Proposed time not found', 404);
+    }
+    if (slot.startsAt <= new Date()) {
+      throw new AppointmentError('This time has already passed. Ask the client for new times.');
+    }
+
+    const application = await Application.findById(appointment.application).select('status');
+    if (!application || !['pending', 'accepted'].includes(application.status)) {
+      throw new AppointmentError('The application is no longer active');
+    }
+
+    const startsAt = slot.startsAt;
+    const endsAt = new Date(startsAt.getTime() + appointment.durationMinutes * MINUTE_MS);
+    const [clash] = await AppointmentService.findClashes(appointment.worker, startsAt, endsAt, {
+      excludeId: appointment._id
+    });
+    if (clash) {
+      throw AppointmentService.clashError(clash);
+    }
+
+    const now = new Date();
+    const update = { status: 'confirmed', startsAt, endsAt, confirmedAt: now, respondedAt: now };
+    // No day-before reminder for appointments confirmed less than a day ahead
+    if (startsAt.getTime() - now.getTime() <= DAY_MS) {
+      update['reminders.dayBeforeSentAt'] = now;
+    }
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'proposed' },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new AppointmentError('The appointment was changed in the meantime. Reload and try again.', 409);
+    }
+
+    // Another appointment at the same time may have been confirmed since the check above. Each
+    // confirmation checks again once saved, so at least one of the two sees the other and is undone.
+    const [confirmedClash] = (await AppointmentService.findClashes(appointment.worker, startsAt, endsAt, {
+      excludeId: appointment._id
+    })).filter(entry => entry.kind === 'interview' || entry.kind === 'site-visit');
+    if (confirmedClash) {
+      await Appointment.updateOne(
+        { _id: appointment._id, status: 'confirmed', confirmedAt: now },
+        {
+          $set: { status: 'proposed' },
+          $unset: { startsAt: '', endsAt: '', confirmedAt: '', respondedAt: '', 'reminders.dayBeforeSentAt': '' }
+        }
+      );
+      throw AppointmentService.clashError(confirmedClash);
+    }
+
+    await AppointmentService.notify(updated, job, 'confirmed', actor._id);
+
+    return updated;
+  }
+
+  static clashError(clash) {
+    const label = clash.kind === 'job' ? 'job' : clash.kind.replace('-', ' ');
+    return new AppointmentError(
+      `This time clashes with your ${label}${clash.title ? ` for "${clash.title}"` : ''}. Pick another time.`,
+      409
+    );
+  }
+
+  // The worker cannot make any of the proposed times
+  static async decline(appointment, job, { actor, reason }) {
+    if (AppointmentService.getParty(appointment, actor) !== 'worker') {
+      throw new AppointmentError('Only the applicant can decline the proposed times', 403);
+    }
+
+    return AppointmentService.close(appointment, job, 'declined', ['proposed'], { actor, reason });
+  }
+
+  // Either side calls off a proposed or confirmed appointment that has not started
+  static async cancel(appointment, job, { actor, reason }) {
+    if (!AppointmentService.getParty(appointment, actor)) {
+      throw new AppointmentError('Access denied', 403);
+    }
+    if (appointment.status === 'confirmed' && appointment.startsAt <= new Date()) {
+      throw new AppointmentError('This appointment has already started');
+    }
+
+    return AppointmentService.close(appointment, job, 'cancelled', ['proposed', 'confirmed'], { actor, reason });
+  }
+
+  static async close(appointment, job, status, fromStatuses, { actor, reason }) {
+    if (!fromStatuses.includes(appointment.status)) {
+      throw new AppointmentError(`This appointment was already ${appointment.status}`);
+    }
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: { $in: fromStatuses } },
+      {
+        $set: {
+          status,
+          reason: reason || undefined,
+          respondedAt: new Date(),
+          ...(status === 'cancelled' ? { cancelledBy: actor._id } : {})
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new AppointmentError('The appointment was changed in the meantime. Reload and try again.', 409);
+    }
+
+    await AppointmentService.notify(updated, job, status, actor._id);
+
+    return updated;
+  }
+
+  // Remind both sides of confirmed appointments coming up within a day, and within an hour
+  static async sendReminders() {
+    const now = new Date();
+    let sent = 0;
+
+    for (const [index, { field, beforeMs }] of REMINDERS.entries()) {
+      // An appointment already within the next reminder's window only gets that one
+      const next = REMINDERS[index + 1];
+      const appointments = await Appointment.find({
+        status: 'confirmed',
+        startsAt: {
+          $gt: new Date(now.getTime() + (next ? next.beforeMs : 0)),
+          $lte: new Date(now.getTime() + beforeMs)
+        },
+        [`reminders.${field}`]: null
+      })
+        .populate('job', 'title')
+        .limit(REMINDER_BATCH_SIZE);
+
+      for (const appointment of appointments) {
+        // Claim the reminder first, so it goes out once even with several instances
+        const claimed = await Appointment.updateOne(
+          { _id: appointment._id, status: 'confirmed', [`reminders.${field}`]: null },
+          { $set: { [`reminders.${field}`]: now } }
+        );
+        if (claimed.modifiedCount === 0 || !appointment.job) continue;
+
+        try {
+          const { job, client, worker } = appointment;
+          await NotificationService.notifyAppointment(appointment, job, 'reminder', worker, client);
+          await NotificationService.notifyAppointment(appointment, job, 'reminder', client, worker);
+          sent += 1;
+        } catch (error) {
+          console.error(`Error sending reminders for appointment ${appointment._id}:`, error.message);
+        }
+      }
+    }
+
+    return { sent };
+  }
+
+  // The appointment as a calendar event (see utils/ical.js); job must be populated
+  static toCalendarEvent(appointment) {
+    const jobTitle = appointment.job && appointment.job.title;
+    const client = appointment.client && appointment.client.firstName ? appointment.client : null;
+    const worker = appointment.worker && appointment.worker.firstName ? appointment.worker : null;
+
+    return {
+      uid: `appointment-${appointment._id}@workie.lk`,
+      start: appointment.startsAt,
+      end: appointment.endsAt,
+      summary: jobTitle ? `${appointment.title}: ${jobTitle}` : appointment.title,
+      description: [
+        client && worker ? `${client.firstName} ${client.lastName} and ${worker.firstName} ${worker.lastName}` : null,
+        appointment.message
+      ].filter(Boolean).join('\n'),
+      location: appointment.location,
+      status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      updatedAt: appointment.updatedAt
+    };
+  }
+
+  // Tell the other side
+  static async notify(appointment, job, event, senderId) {
+    try {
+      const recipientId = senderId.toString() === idOf(appointment.client) ? appointment.worker : appointment.client;
+      await NotificationService.notifyAppointment(appointment, job, event, senderId, idOf(recipientId));
+    } catch (error) {
+      console.error(`Error notifying about appointment ${appointment._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = AppointmentService;
@@ -0,0 +1,251 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Profile = require('../models/Profile');
+const { AssignmentError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const idOf = (value) => (value._id || value).toString();
+
+class AssignmentService {
+  // Ids of the workers hired for a job. Jobs hired before teams existed only have assignedWorker.
+  static getWorkerIds(job) {
+    if (job.assignedWorkers && job.assignedWorkers.length) {
+      return job.assignedWorkers.map(member => idOf(member.worker));
+    }
+    return job.assignedWorker ? [idOf(job.assignedWorker)] : [];
+  }
+
+  static isTeamMember(job, userId) {
+    return AssignmentService.getWorkerIds(job).includes(userId.toString());
+  }
+
+  /**
+   * Hire the worker of a pending application. Jobs needing several workers stay open
+   * until the last place is filled; then the job starts and other pending applications
+   * are rejected. Accepting the application, adding the worker, starting the job and
+   * rejecting the others happen in one transaction, so either all of them apply or none.
+   * Returns { job, application, started }.
+   */
+  static async hire(job, application, { actor }) {
+    if (job.status !== 'open') {
+      throw new AssignmentError('Job is not available for assignment');
+    }
+    if (application.status !== 'pending') {
+      throw new AssignmentError('Application has already been responded to');
+    }
+    if (application.openOffer) {
+      throw new AssignmentError('An offer on this application is still open. Settle or withdraw it before hiring.', 409);
+    }
+
+    const workerId = idOf(application.worker);
+    if (AssignmentService.isTeamMember(job, workerId)) {
+      throw new AssignmentError('This worker is already hired for the job');
+    }
+
+    const workersNeeded = job.workersNeeded || 1;
+    if (job.openSlots === 0) {
+      throw new AssignmentError(`All ${workersNeeded} places on this job are filled`);
+    }
+
+    const now = new Date();
+    const { job: hired, started } = await withTransaction(async (session) => {
+      // Only accept while the application is pending and nobody made an offer on it since it was read
+      const accepted = await Application.findOneAndUpdate(
+        {
+          _id: application._id,
+          status: 'pending',
+          offers: { $not: { $elemMatch: { status: 'open', expiresAt: { $gt: now } } } }
+        },
+        { $set: { status: 'accepted', respondedAt: now }, $inc: { __v: 1 } },
+        { new: true, session }
+      );
+      if (!accepted) {
+        throw new AssignmentError('The application was changed in the meantime. Reload it and try again.', 409);
+      }
+
+      // Only push while the job is open, the worker is not on the team and a place is free
+      let updated = await Job.findOneAndUpdate(
+        {
+          _id: job._id,
+          status: 'open',
+          'assignedWorkers.worker': { $ne: workerId },
+          [`assignedWorkers.${workersNeeded - 1}`]: { $exists: false }
+        },
+        {
+          $push: {
+            assignedWorkers: {
+              worker: workerId,
+              application: application._id,
+              assignedAt: now,
+              agreedPrice: accepted.agreedPrice && accepted.agreedPrice.amount
+            }
+          }
+        },
+        { new: true, runValidators: true, session }
+      );
+
+      if (!updated) {
+        throw new AssignmentError('The job was changed in the meantime. Reload the job and try again.', 409);
+      }
+
+      // The first worker hired is the job's assignedWorker
+      if (!updated.assignedWorker) {
+        await Job.updateOne({ _id: job._id, assignedWorker: null }, { $set: { assignedWorker: workerId } }, { session });
+        updated.assignedWorker = updated.assignedWorkers[0].worker;
+      }
+
+      const startedJob = await AssignmentService.startIfFull(updated, actor, session);
+      if (startedJob) updated = startedJob;
+
+      return { job: updated, started: !!startedJob };
+    });
+
+    application.status = 'accepted';
+    application.respondedAt = now;
+
+    return { job: hired, application, started };
+  }
+
+  // Start an open job whose places are all filled, and turn down everyone else.
+  // Returns the started job, or null when places are still open.
+  static async startIfFull(job, actor, session = null) {
+    const hired = (job.assignedWorkers || []).length;
+    if (job.status !== 'open' || hired === 0 || hired < (job.workersNeeded || 1)) {
+      return null;
+    }
+
+    // Required here: the lifecycle service credits the team when a job completes
+    const JobLifecycleService = require('./jobLifecycleService');
+    const started = await JobLifecycleService.transition(job, 'in-progress', { actor, session });
+
+    await Application.updateMany({ job: job._id, status: 'pending' }, { status: 'rejected' }, { session });
+
+    return started;
+  }
+
+  /**
+   * Mark one worker's part of a job in progress as done. When every worker is done
+   * (and any milestones are approved), the job is completed. Returns the updated job.
+   */
+  static async completeWorker(job, workerId, { actor }) {
+    if (job.status !== 'in-progress') {
+      throw new AssignmentError('Job is not in progress');
+    }
+
+    const member = (job.assignedWorkers || []).find(entry => idOf(entry.worker) === workerId.toString());
+    if (!member) {
+      throw new AssignmentError('This worker is not on the job team', 404);
+    }
+
+    const isClient = job.client.toString() === actor._id.toString();
+    const isSelf = workerId.toString() === actor._id.toString();
+    if (!isClient && !isSelf && !actor.hasPermission('jobs:manage')) {
+      throw new AssignmentError('Access denied', 403);
+    }
+
+    if (member.status === 'completed') {
+      throw new AssignmentError("This worker's part is already completed");
+    }
+
+    const updated = await Job.findOneAndUpdate(
+      {
+        _id: job._id,
+        status: 'in-progress',
+        assignedWorkers: { $elemMatch: { worker: member.worker, status: 'active' } }
+      },
+      { $set: { 'assignedWorkers.$.status': 'completed', 'assignedWorkers.$.completedAt': new Date() } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AssignmentError('The job was changed in the meantime. Reload the job and try again.', 409);
+    }
+
+    await AssignmentService.creditWorkers(updated, [workerId]);
+
+    const teamDone = updated.assignedWorkers.every(entry => entry.status === 'completed');
+    const milestonesDone = (updated.milestones || []).every(milestone => milestone.status === 'approved');
+    if (!teamDone || !milestonesDone) {
+      return updated;
+    }
+
+    const JobLifecycleService = require('./jobLifecycleService');
+    return JobLifecycleService.transition(updated, 'completed', {
+      actor,
+      reason: 'Every worker finished their part'
+    });
+  }
+
+  /**
+   * Take a worker off a job they can no longer do, e.g. because their account was deleted.
+   * The rest of the team carries on. A job in progress left with nobody is cancelled, or
+   * completed when everyone left has finished their part (and any milestones are approved).
+   * Workers whose part is already completed stay on the job. Returns the updated job.
+   */
+  static async releaseWorker(job, workerId, { reason }) {
+    const JobLifecycleService = require('./jobLifecycleService');
+    const id = workerId.toString();
+    const members = job.assignedWorkers || [];
+    const member = members.find(entry => idOf(entry.worker) === id);
+    if (member && member.status === 'completed') {
+      return job;
+    }
+
+    const others = members.filter(entry => idOf(entry.worker) !== id);
+    if (others.length === 0 && job.status !== 'open') {
+      return JobLifecycleService.transition(job, 'cancelled', { reason });
+    }
+
+    // The first remaining worker takes over as assignedWorker
+    const replacement = job.assignedWorker && idOf(job.assignedWorker) === id
+      ? (others.length ? { $set: { assignedWorker: others[0].worker } } : { $unset: { assignedWorker: '' } })
+      : {};
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status, 'assignedWorkers.worker': workerId },
+      { $pull: { assignedWorkers: { worker: workerId } }, ...replacement },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AssignmentError('The job was changed in the meantime. Reload the job and try again.', 409);
+    }
+
+    const teamDone = updated.assignedWorkers.every(entry => entry.status === 'completed');
+    const milestonesDone = (updated.milestones || []).every(milestone => milestone.status === 'approved');
+    if (updated.status === 'in-progress' && teamDone && milestonesDone) {
+      return JobLifecycleService.transition(updated, 'completed', {
+        reason: `${reason}. Everyone else finished their part.`
+      });
+    }
+
+    return updated;
+  }
+
+  // What a worker earns for their part: the price agreed on their application, otherwise an
+  // equal share of a fixed budget. Jobs with milestones pay out per approved milestone instead.
+  static getEarnings(job, workerId) {
+    if (job.milestones && job.milestones.length) return 0;
+
+    const member = (job.assignedWorkers || []).find(entry => idOf(entry.worker) === workerId.toString());
+    if (member && member.agreedPrice !== undefined && member.agreedPrice !== null) {
+      return member.agreedPrice;
+    }
+
+    if (job.budget && job.budget.type === 'fixed') {
+      const teamSize = AssignmentService.getWorkerIds(job).length || 1;
+      return Math.round(job.budget.amount / teamSize * 100) / 100;
+    }
+    return 0;
+  }
+
+  // Completed work counts towards each worker's record and earnings
+  static async creditWorkers(job, workerIds) {
+    for (const workerId of workerIds) {
+      await Profile.updateOne(
+        { user: workerId },
+        { $inc: { completedJobs: 1, totalEarnings: AssignmentService.getEarnings(job, workerId) } }
+      );
+    }
+  }
+}
+
+module.exports = AssignmentService;
@@ -0,0 +1,30 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+class AuditService {
+  // Record a security-relevant event. Never throws: auditing must not break the request.
+  static async record(action, { user, actor, req, details } = {}) {
+    try {
+      logger.warn(`Audit: ${action}`, {
+        userId: user,
+        actorId: actor,
+        requestId: req ? req.requestId : undefined,
+        ...details
+      });
+
+      return await AuditLog.create({
+        action,
+        user,
+        actor,
+        ip: req ? (req.ip || (req.connection && req.connection.remoteAddress)) : undefined,
+        userAgent: req ? req.get('User-Agent') : undefined,
+        details
+      });
+    } catch (error) {
+      console.error('Error recording audit log:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = AuditService;
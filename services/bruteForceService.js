@@ -0,0 +1,109 @@
+const AttemptCounter = require('../models/AttemptCounter');
+const AuditService = require('./auditService');
+
+// Failures allowed per identifier (e.g. one email on one endpoint) before a lockout
+const IDENTIFIER_MAX_FAILURES = parseInt(process.env.LOCKOUT_MAX_FAILURES) || 5;
+// Failures allowed per account across all endpoints before a lockout
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOCKOUT_ACCOUNT_MAX_FAILURES) || 10;
+// First lockout lasts this long; every further lockout doubles it
+const BASE_LOCK_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS) || 60;
+const MAX_LOCK_SECONDS = 24 * 60 * 60;
+// Counters are forgotten after a day without failures
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+const maxFailuresFor = (key) => key.startsWith('account:') ? ACCOUNT_MAX_FAILURES : IDENTIFIER_MAX_FAILURES;
+
+class BruteForceService {
+  // Build the counter keys for an attempt on `action` against `identifier` (and the account, if known)
+  static keysFor(action, identifier, userId) {
+    const keys = [];
+    if (identifier) keys.push(`${action}:${String(identifier).toLowerCase().trim()}`);
+    if (userId) keys.push(`account:${userId}`);
+    return keys;
+  }
+
+  // Return the active lock covering any of the keys, or null
+  static async getLock(keys) {
+    const counters = await AttemptCounter.find({
+      key: { $in: keys },
+      lockedUntil: { $gt: new Date() }
+    });
+
+    if (counters.length === 0) return null;
+
+    const lockedUntil = new Date(Math.max(...counters.map(counter => counter.lockedUntil.getTime())));
+    return {
+      lockedUntil,
+      retryAfter: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  // Count a failed attempt. Returns { lock } when this failure triggered a lockout,
+  // otherwise { attemptsRemaining } before the next lockout.
+  static async registerFailure(keys, { action, user, req } = {}) {
+    const now = new Date();
+    let lock = null;
+    let attemptsRemaining = Infinity;
+
+    for (const key of keys) {
+      const counter = await AttemptCounter.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const maxFailures = maxFailuresFor(key);
+      if (counter.failures < maxFailures) {
+        attemptsRemaining = Math.min(attemptsRemaining, maxFailures - counter.failures);
+        continue;
+      }
+
+      const lockSeconds = Math.min(BASE_LOCK_SECONDS * 2 ** counter.lockCount, MAX_LOCK_SECONDS);
+      counter.lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+      counter.lockCount += 1;
+      counter.failures = 0;
+      counter.expiresAt = new Date(counter.lockedUntil.getTime() + COUNTER_TTL_MS);
+      await counter.save();
+
+      await AuditService.record('auth.lockout', {
+        user,
+        req,
+        details: {
+          action,
+          key,
+          lockSeconds,
+          lockCount: counter.lockCount,
+          lockedUntil: counter.lockedUntil
+        }
+      });
+
+      if (!lock || counter.lockedUntil > lock.lockedUntil) {
+        lock = { lockedUntil: counter.lockedUntil, retryAfter: lockSeconds };
+      }
+    }
+
+    return lock ? { lock } : { attemptsRemaining };
+  }
+
+  // Clear the counters after a successful attempt
+  static async reset(keys) {
+    await AttemptCounter.deleteMany({ key: { $in: keys } });
+  }
+
+  // Send the standard lockout response (the app uses lockedUntil/retryAfter for a countdown)
+  static sendLocked(res, lock) {
+    res.set('Retry-After', String(lock.retryAfter));
+    return res.status(429).json({
+      success: false,
+      code: 'ACCOUNT_LOCKED',
+      message: `Too many failed attempts. Please try again in ${lock.retryAfter} seconds.`,
+      lockedUntil: lock.lockedUntil,
+      retryAfter: lock.retryAfter
+    });
+  }
+}
+
+module.exports = BruteForceService;
@@ -0,0 +1,101 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const SavedSearch = require('../models/SavedSearch');
+const JobInvitation = require('../models/JobInvitation');
+const JobOccurrence = require('../models/JobOccurrence');
+const Appointment = require('../models/Appointment');
+const { createZip } = require('../utils/zip');
+
+class DataExportService {
+  // Collect everything the platform stores about a user, grouped by section.
+  // Secrets (password hash, 2FA secret, codes, token hashes) are stripped by each model's toJSON.
+  static async collect(userId) {
+    const [user, profile, posts, commentedPosts, jobs, applications, reviewsWritten, reviewsReceived, notifications, sessions, securityEvents, savedSearches, invitations, occurrences, appointments] = await Promise.all([
+      User.findById(userId),
+      Profile.findOne({ user: userId }),
+      Post.find({ userId }).sort({ createdAt: -1 }),
+      Post.find({ 'comments.userId': userId }).select('comments createdAt'),
+      Job.find({ client: userId }).sort({ createdAt: -1 }),
+      Application.find({ worker: userId }).populate('job', 'title category').sort({ createdAt: -1 }),
+      Review.find({ reviewer: userId }).populate('job', 'title').sort({ createdAt: -1 }),
+      Review.find({ reviewee: userId }).populate('job', 'title').sort({ createdAt: -1 }),
+      Notification.find({ recipient: userId }).sort({ createdAt: -1 }),
+      Session.find({ user: userId }).sort({ createdAt: -1 }),
+      AuditLog.find({ user: userId }).select('action ip userAgent details createdAt').sort({ createdAt: -1 }),
+      SavedSearch.find({ user: userId }).sort({ createdAt: -1 }),
+      JobInvitation.find({ $or: [{ worker: userId }, { client: userId }] }).populate('job', 'title').sort({ createdAt: -1 }),
+      JobOccurrence.find({ $or: [{ worker: userId }, { client: userId }] }).populate('job', 'title').sort({ startsAt: -1 }),
+      Appointment.find({ $or: [{ worker: userId }, { client: userId }] }).populate('job', 'title').sort({ createdAt: -1 })
+    ]);
+
+    // Only the user's own comments, not the rest of the thread
+    const comments = [];
+    commentedPosts.forEach(post => {
+      post.comments
+        .filter(comment => comment.userId.toString() === userId.toString())
+        .forEach(comment => comments.push({
+          postId: post._id,
+          comment: comment.comment,
+          commentedAt: comment.commentedAt
+        }));
+    });
+
+    return {
+      exportedAt: new Date().toISOString(),
+      account: user,
+      roles: user ? user.getAccountRoles() : [],
+      profile,
+      posts,
+      comments,
+      jobs,
+      applications,
+      invitations,
+      occurrences,
+      appointments,
+      reviews: {
+        written: reviewsWritten,
+        received: reviewsReceived
+      },
+      notifications,
+      savedSearches,
+      sessions,
+      securityEvents
+    };
+  }
+
+  // Build a ZIP archive with one JSON file per section
+  static async buildArchive(userId) {
+    const data = await DataExportService.collect(userId);
+
+    const files = Object.entries(data)
+      .filter(([section]) => section !== 'exportedAt')
+      .map(([section, value]) => ({
+        name: `workie-data/${section}.json`,
+        content: JSON.stringify(value, null, 2)
+      }));
+
+    files.unshift({
+      name: 'workie-data/README.txt',
+      content: [
+        'Workie.lk data export',
+        `Exported at: ${data.exportedAt}`,
+        '',
+        'Each JSON file holds one part of your data: your account, profile, posts,',
+        'comments, jobs, applications, invitations, recurring job visits (occurrences),',
+        'interviews and site visits (appointments), reviews, notifications,',
+        'saved searches, sign-in sessions and security events.'
+      ].join('\n')
+    });
+
+    return createZip(files);
+  }
+}
+
+module.exports = DataExportService;
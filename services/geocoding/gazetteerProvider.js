@@ -0,0 +1,27 @@
+const { lookup } = require('./sriLankaGazetteer');
+
+/**
+ * Offline geocoder backed by the built-in Sri Lanka gazetteer.
+ * Only resolves to town level, so it is always available as the last fallback.
+ */
+const createGazetteerProvider = () => ({
+  name: 'gazetteer',
+
+  isConfigured() {
+    return true;
+  },
+
+  async geocode({ address, city }) {
+    const place = lookup({ city, address });
+    if (!place) return null;
+
+    return {
+      lat: place.lat,
+      lng: place.lng,
+      accuracy: 'city',
+      formattedAddress: `${place.name}, ${place.district} District, Sri Lanka`
+    };
+  }
+});
+
+module.exports = { createGazetteerProvider };
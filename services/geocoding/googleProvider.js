@@ -0,0 +1,44 @@
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Google Maps Geocoding API, restricted to Sri Lanka.
+ */
+const createGoogleGeocoder = ({
+  apiKey = process.env.GOOGLE_MAPS_API_KEY,
+  apiUrl = process.env.GOOGLE_GEOCODING_URL || 'https://maps.googleapis.com/maps/api/geocode/json',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => ({
+  name: 'google',
+
+  isConfigured() {
+    return !!apiKey;
+  },
+
+  async geocode({ address, city, state }) {
+    const query = new URLSearchParams({
+      address: [address, city, state].filter(Boolean).join(', '),
+      components: 'country:LK',
+      key: apiKey
+    });
+
+    // A slow answer falls through to the gazetteer instead of holding up the request
+    const response = await fetch(`${apiUrl}?${query.toString()}`, { signal: AbortSignal.timeout(timeoutMs) });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || (body.status !== 'OK' && body.status !== 'ZERO_RESULTS')) {
+      throw new Error(`Google geocoding failed (${body.status || response.status})`);
+    }
+
+    const [result] = body.results || [];
+    if (!result) return null;
+
+    return {
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng,
+      accuracy: result.geometry.location_type === 'ROOFTOP' ? 'street' : 'area',
+      formattedAddress: result.formatted_address
+    };
+  }
+});
+
+module.exports = { createGoogleGeocoder };
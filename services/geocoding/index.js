@@ -0,0 +1,91 @@
+const { createGazetteerProvider } = require('./gazetteerProvider');
+const { createNominatimProvider } = require('./nominatimProvider');
+const { createGoogleGeocoder } = require('./googleProvider');
+const { lookup } = require('./sriLankaGazetteer');
+
+// Rough bounding box of Sri Lanka, used to reject results geocoded to the wrong country
+const SRI_LANKA_BOUNDS = { minLat: 5.7, maxLat: 10.0, minLng: 79.4, maxLng: 82.0 };
+
+/**
+ * Registry of geocoders.
+ * Every geocoder exposes `name`, `isConfigured()` and `geocode({ address, city, state })`,
+ * which resolves to `{ lat, lng, accuracy, formattedAddress }` or null.
+ * GEOCODER_PROVIDER picks the online geocoder (none by default); the offline gazetteer
+ * is always tried last.
+ */
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const isInSriLanka = ({ lat, lng }) => {
+  return lat >= SRI_LANKA_BOUNDS.minLat && lat <= SRI_LANKA_BOUNDS.maxLat &&
+    lng >= SRI_LANKA_BOUNDS.minLng && lng <= SRI_LANKA_BOUNDS.maxLng;
+};
+
+// Geocoders to try, in order
+const getProviderChain = () => {
+  const chain = [];
+  const primary = providers.get(process.env.GEOCODER_PROVIDER);
+  if (primary && primary.name !== 'gazetteer' && primary.isConfigured()) {
+    chain.push(primary);
+  }
+  chain.push(providers.get('gazetteer'));
+  return chain;
+};
+
+// Resolve an address to coordinates. Never throws: a failing geocoder falls through to the next.
+const geocode = async (location) => {
+  for (const provider of getProviderChain()) {
+    try {
+      const result = await provider.geocode(location);
+      if (result && isInSriLanka(result)) {
+        return { ...result, provider: provider.name };
+      }
+    } catch (error) {
+      console.error(`Geocoder ${provider.name} failed:`, error.message);
+    }
+  }
+  return null;
+};
+
+// Fill in `coordinates` ([longitude, latitude]) on a job location when the client did not send them
+const geocodeLocation = async (location) => {
+  if (!location) return location;
+
+  const coordinates = Array.isArray(location.coordinates) ? location.coordinates.map(Number) : null;
+  if (coordinates && coordinates.length === 2 && coordinates.every(Number.isFinite)) {
+    return { ...location, coordinates, geocodedBy: 'client' };
+  }
+
+  const result = await geocode(location);
+  if (!result) {
+    const { coordinates: ignored, ...rest } = location;
+    return rest;
+  }
+
+  return {
+    ...location,
+    coordinates: [result.lng, result.lat],
+    geocodedBy: result.provider
+  };
+};
+
+// Town-level coordinates from the offline gazetteer only; fast enough for scoring many users at once
+const lookupCity = (city) => {
+  const place = city ? lookup({ city }) : null;
+  return place ? { lat: place.lat, lng: place.lng } : null;
+};
+
+registerProvider(createGazetteerProvider());
+registerProvider(createNominatimProvider());
+registerProvider(createGoogleGeocoder());
+
+module.exports = {
+  registerProvider,
+  geocode,
+  geocodeLocation,
+  lookupCity,
+  isInSriLanka
+};
@@ -0,0 +1,48 @@
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * OpenStreetMap Nominatim geocoder.
+ * The public instance needs an identifying User-Agent and allows about one request per second,
+ * so busy deployments should point NOMINATIM_URL at their own instance.
+ */
+const createNominatimProvider = ({
+  baseUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+  userAgent = process.env.NOMINATIM_USER_AGENT || 'Workie.lk backend',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => ({
+  name: 'nominatim',
+
+  isConfigured() {
+    return !!baseUrl;
+  },
+
+  async geocode({ address, city, state }) {
+    const query = new URLSearchParams({
+      q: [address, city, state, 'Sri Lanka'].filter(Boolean).join(', '),
+      format: 'jsonv2',
+      countrycodes: 'lk',
+      limit: '1'
+    });
+
+    const response = await fetch(`${baseUrl}/search?${query.toString()}`, {
+      headers: { 'User-Agent': userAgent },
+      // A slow answer falls through to the gazetteer instead of holding up the request
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Nominatim request failed (${response.status})`);
+    }
+
+    const [result] = await response.json();
+    if (!result) return null;
+
+    return {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      accuracy: ['house', 'building', 'road'].includes(result.addresstype) ? 'street' : 'area',
+      formattedAddress: result.display_name
+    };
+  }
+});
+
+module.exports = { createNominatimProvider };
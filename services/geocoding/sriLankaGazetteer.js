@@ -0,0 +1,121 @@
+// Offline gazetteer of Sri Lankan cities and towns (approximate town centres).
+// Used when no online geocoder is configured or it cannot resolve an address.
+// [name, district, latitude, longitude, aliases]
+const PLACES = [
+  ['Colombo', 'Colombo', 6.9271, 79.8612, ['colombo city', 'kolamba', 'fort', 'pettah', 'kollupitiya', 'bambalapitiya', 'wellawatte', 'borella', 'maradana', 'dematagoda', 'grandpass', 'kotahena']],
+  ['Dehiwala-Mount Lavinia', 'Colombo', 6.8390, 79.8653, ['dehiwala', 'mount lavinia', 'mt lavinia']],
+  ['Sri Jayawardenepura Kotte', 'Colombo', 6.8868, 79.9187, ['kotte', 'rajagiriya', 'ethul kotte']],
+  ['Battaramulla', 'Colombo', 6.8990, 79.9180, ['thalawathugoda', 'pelawatte']],
+  ['Nugegoda', 'Colombo', 6.8649, 79.8997, ['kirulapone', 'delkanda', 'gangodawila']],
+  ['Maharagama', 'Colombo', 6.8480, 79.9265, ['navinna', 'pannipitiya']],
+  ['Moratuwa', 'Colombo', 6.7730, 79.8816, ['katubedda', 'rawathawatte', 'egoda uyana']],
+  ['Kesbewa', 'Colombo', 6.7953, 79.9386, ['piliyandala']],
+  ['Homagama', 'Colombo', 6.8412, 80.0034, ['godagama', 'meegoda']],
+  ['Kaduwela', 'Colombo', 6.9305, 79.9841, ['malabe', 'athurugiriya']],
+  ['Kolonnawa', 'Colombo', 6.9329, 79.8848, ['wellampitiya']],
+  ['Avissawella', 'Colombo', 6.9533, 80.2100, []],
+  ['Gampaha', 'Gampaha', 7.0917, 79.9999, ['yakkala']],
+  ['Negombo', 'Gampaha', 7.2083, 79.8358, ['meegamuwa']],
+  ['Ja-Ela', 'Gampaha', 7.0744, 79.8919, ['ja ela', 'jaela', 'ekala']],
+  ['Wattala', 'Gampaha', 6.9890, 79.8916, ['hendala', 'mabola']],
+  ['Kadawatha', 'Gampaha', 7.0016, 79.9530, ['ragama']],
+  ['Kiribathgoda', 'Gampaha', 6.9781, 79.9290, ['kelaniya', 'peliyagoda']],
+  ['Minuwangoda', 'Gampaha', 7.1667, 79.9500, []],
+  ['Katunayake', 'Gampaha', 7.1647, 79.8731, ['seeduwa']],
+  ['Nittambuwa', 'Gampaha', 7.1442, 80.0964, []],
+  ['Kalutara', 'Kalutara', 6.5854, 79.9607, []],
+  ['Panadura', 'Kalutara', 6.7132, 79.9026, []],
+  ['Horana', 'Kalutara', 6.7159, 80.0626, []],
+  ['Beruwala', 'Kalutara', 6.4788, 79.9828, ['aluthgama']],
+  ['Matugama', 'Kalutara', 6.5220, 80.1137, []],
+  ['Kandy', 'Kandy', 7.2906, 80.6337, ['maha nuwara', 'mahanuwara']],
+  ['Peradeniya', 'Kandy', 7.2690, 80.5942, []],
+  ['Katugastota', 'Kandy', 7.3333, 80.6167, []],
+  ['Gampola', 'Kandy', 7.1643, 80.5696, []],
+  ['Nawalapitiya', 'Kandy', 7.0486, 80.5338, []],
+  ['Kundasale', 'Kandy', 7.2860, 80.6800, []],
+  ['Matale', 'Matale', 7.4675, 80.6234, []],
+  ['Dambulla', 'Matale', 7.8742, 80.6511, []],
+  ['Sigiriya', 'Matale', 7.9570, 80.7603, []],
+  ['Nuwara Eliya', 'Nuwara Eliya', 6.9497, 80.7891, ['nuwaraeliya']],
+  ['Hatton', 'Nuwara Eliya', 6.8916, 80.5955, []],
+  ['Talawakele', 'Nuwara Eliya', 6.9370, 80.6580, []],
+  ['Galle', 'Galle', 6.0535, 80.2210, ['gaalla']],
+  ['Hikkaduwa', 'Galle', 6.1395, 80.1063, []],
+  ['Ambalangoda', 'Galle', 6.2355, 80.0538, []],
+  ['Elpitiya', 'Galle', 6.2910, 80.1626, []],
+  ['Matara', 'Matara', 5.9549, 80.5550, []],
+  ['Weligama', 'Matara', 5.9747, 80.4297, []],
+  ['Akuressa', 'Matara', 6.0968, 80.4774, []],
+  ['Hambantota', 'Hambantota', 6.1241, 81.1185, []],
+  ['Tangalle', 'Hambantota', 6.0243, 80.7941, []],
+  ['Tissamaharama', 'Hambantota', 6.2847, 81.2878, ['tissa']],
+  ['Ambalantota', 'Hambantota', 6.1189, 81.0258, []],
+  ['Jaffna', 'Jaffna', 9.6615, 80.0255, ['yalpanam']],
+  ['Point Pedro', 'Jaffna', 9.8167, 80.2333, []],
+  ['Chavakachcheri', 'Jaffna', 9.6580, 80.1610, []],
+  ['Kilinochchi', 'Kilinochchi', 9.3803, 80.3770, []],
+  ['Mannar', 'Mannar', 8.9810, 79.9044, []],
+  ['Vavuniya', 'Vavuniya', 8.7514, 80.4971, []],
+  ['Mullaitivu', 'Mullaitivu', 9.2671, 80.8142, []],
+  ['Batticaloa', 'Batticaloa', 7.7310, 81.6747, ['madakalapuwa']],
+  ['Kattankudy', 'Batticaloa', 7.6750, 81.7300, []],
+  ['Eravur', 'Batticaloa', 7.7731, 81.6052, []],
+  ['Ampara', 'Ampara', 7.2975, 81.6820, []],
+  ['Kalmunai', 'Ampara', 7.4167, 81.8167, []],
+  ['Akkaraipattu', 'Ampara', 7.2167, 81.8500, []],
+  ['Trincomalee', 'Trincomalee', 8.5874, 81.2152, ['trinco']],
+  ['Kantale', 'Trincomalee', 8.3667, 80.9667, []],
+  ['Kurunegala', 'Kurunegala', 7.4863, 80.3623, []],
+  ['Kuliyapitiya', 'Kurunegala', 7.4688, 80.0401, []],
+  ['Narammala', 'Kurunegala', 7.4333, 80.2167, []],
+  ['Puttalam', 'Puttalam', 8.0362, 79.8283, []],
+  ['Chilaw', 'Puttalam', 7.5758, 79.7953, ['halawatha']],
+  ['Wennappuwa', 'Puttalam', 7.3497, 79.8419, []],
+  ['Anuradhapura', 'Anuradhapura', 8.3114, 80.4037, []],
+  ['Kekirawa', 'Anuradhapura', 8.0380, 80.5980, []],
+  ['Polonnaruwa', 'Polonnaruwa', 7.9403, 81.0188, []],
+  ['Hingurakgoda', 'Polonnaruwa', 8.0333, 80.9500, []],
+  ['Badulla', 'Badulla', 6.9934, 81.0550, []],
+  ['Bandarawela', 'Badulla', 6.8259, 80.9982, []],
+  ['Ella', 'Badulla', 6.8667, 81.0466, []],
+  ['Haputale', 'Badulla', 6.7656, 80.9511, []],
+  ['Mahiyanganaya', 'Badulla', 7.3196, 81.0020, []],
+  ['Monaragala', 'Monaragala', 6.8728, 81.3507, ['moneragala']],
+  ['Wellawaya', 'Monaragala', 6.7371, 81.1026, []],
+  ['Ratnapura', 'Ratnapura', 6.6828, 80.3992, ['rathnapura']],
+  ['Embilipitiya', 'Ratnapura', 6.3439, 80.8489, []],
+  ['Balangoda', 'Ratnapura', 6.6469, 80.7032, []],
+  ['Kegalle', 'Kegalle', 7.2513, 80.3464, ['kegalla']],
+  ['Mawanella', 'Kegalle', 7.2526, 80.4462, []],
+  ['Warakapola', 'Kegalle', 7.2260, 80.1960, []]
+];
+
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Every searchable name, longest first so "mount lavinia" wins over shorter names
+const ENTRIES = PLACES
+  .flatMap(([name, district, lat, lng, aliases]) =>
+    [name, ...aliases].map(alias => ({ key: normalize(alias), name, district, lat, lng }))
+  )
+  .sort((a, b) => b.key.length - a.key.length);
+
+const containsWord = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// Find the best matching place for a city and/or free-text address
+const lookup = ({ city, address } = {}) => {
+  const cityText = normalize(city);
+  const addressText = normalize(address);
+
+  const match = (cityText && ENTRIES.find(entry => entry.key === cityText)) ||
+    (cityText && ENTRIES.find(entry => containsWord(cityText, entry.key))) ||
+    (addressText && ENTRIES.find(entry => containsWord(addressText, entry.key)));
+
+  return match ? { name: match.name, district: match.district, lat: match.lat, lng: match.lng } : null;
+};
+
+module.exports = { PLACES, lookup };
@@ -0,0 +1,208 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const JobInvitation = require('../models/JobInvitation');
+const NotificationService = require('./notificationService');
+const JobOccurrenceService = require('./jobOccurrenceService');
+const AssignmentService = require('./assignmentService');
+const { findTransition, JOB_EXPIRY_DAYS } = require('../config/jobLifecycle');
+const { JobTransitionError } = require('../utils/errors');
+const { afterCommit } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 500;
+
+class JobLifecycleService {
+  // The roles a user holds on a job, in the order they are tried against a transition
+  static getActorRoles(job, user) {
+    const userId = user._id.toString();
+    const roles = [];
+
+    const clientId = job.client && (job.client._id || job.client).toString();
+
+    if (clientId === userId) roles.push('client');
+    if (AssignmentService.isTeamMember(job, userId)) roles.push('worker');
+    if (user.hasPermission('jobs:moderate') || user.hasPermission('jobs:manage')) roles.push('staff');
+
+    return roles;
+  }
+
+  /**
+   * Move a job to another status.
+   * actor is the user making the change, or null for the system. `update` holds fields
+   * to set together with the status (e.g. assignedWorker when a job starts).
+   * The change only applies if the job is still in the status it was read in; a concurrent
+   * change fails with 409. Pass `session` to make the change part of a transaction; its side
+   * effects then wait for the commit. Returns the updated job.
+   */
+  static async transition(job, to, { actor = null, reason, update = {}, session = null } = {}) {
+    const from = job.status;
+
+    if (from === to) {
+      throw new JobTransitionError(`Job is already ${to}`);
+    }
+
+    const transition = findTransition(from, to);
+    if (!transition) {
+      throw new JobTransitionError(`Invalid status transition from ${from} to ${to}`);
+    }
+
+    let actorRole = 'system';
+    if (actor) {
+      const roles = JobLifecycleService.getActorRoles(job, actor);
+      actorRole = transition.actors.find(role => roles.includes(role));
+      if (!actorRole) {
+        throw new JobTransitionError(`You are not allowed to ${transition.action} this job`, 403);
+      }
+    }
+
+    reason = typeof reason === 'string' ? reason.trim() : '';
+    if (transition.requiresReason && !reason) {
+      throw new JobTransitionError(`A reason is required to ${transition.action} this job`);
+    }
+
+    if (to === 'in-progress' && !update.assignedWorker && !job.assignedWorker) {
+      throw new JobTransitionError('A worker must be assigned before the job can start');
+    }
+
+    // Jobs with milestones complete when the client approves the last one; staff can still close them
+    const milestones = job.milestones || [];
+    const approved = milestones.filter(milestone => milestone.status === 'approved').length;
+    if (to === 'completed' && approved < milestones.length && actorRole !== 'staff' && actorRole !== 'system') {
+      throw new JobTransitionError(
+        `This job completes when all its milestones are approved (${approved} of ${milestones.length} so far)`
+      );
+    }
+
+    if (transition.action === 'reopen' && !job.isActive) {
+      throw new JobTransitionError('Deleted jobs cannot be reopened');
+    }
+
+    const now = new Date();
+    const entry = {
+      from,
+      to,
+      action: transition.action,
+      reason: reason || undefined,
+      actor: actor ? actor._id : undefined,
+      actorRole,
+      at: now
+    };
+
+    const changes = {
+      $set: { ...update, status: to },
+      $push: { statusHistory: entry }
+    };
+    const options = { new: true, runValidators: true, session };
+
+    // Workers whose part ends with this change, credited once the job is completed
+    const team = AssignmentService.getWorkerIds(job);
+    let finishing = [];
+    if (to === 'completed') {
+      changes.$set.completedAt = now;
+
+      const members = job.assignedWorkers || [];
+      finishing = members.length
+        ? members
+          .filter(member => member.status === 'active')
+          .map(member => (member.worker._id || member.worker).toString())
+        : team;
+      if (members.some(member => member.status === 'active')) {
+        changes.$set['assignedWorkers.$[active].status'] = 'completed';
+        changes.$set['assignedWorkers.$[active].completedAt'] = now;
+        options.arrayFilters = [{ 'active.status': 'active' }];
+      }
+    }
+    if (transition.action === 'reopen') {
+      // A reopened job starts over: no workers, not completed, listed for another full period
+      changes.$set.expiresAt = new Date(now.getTime() + JOB_EXPIRY_DAYS * DAY_MS);
+      changes.$set.assignedWorkers = [];
+      changes.$unset = { assignedWorker: '', completedAt: '' };
+    }
+
+    const updated = await Job.findOneAndUpdate({ _id: job._id, status: from }, changes, options);
+
+    if (!updated) {
+      throw new JobTransitionError('The job status was changed in the meantime. Reload the job and try again.', 409);
+    }
+
+    await afterCommit(session, () => JobLifecycleService.afterTransition(updated, entry, { team, finishing }));
+
+    return updated;
+  }
+
+  // Side effects of a status change. Failures are logged; the status change stands.
+  // `team` holds the workers hired before the change, `finishing` those whose part it completed.
+  static async afterTransition(job, entry, { team = [], finishing = [] } = {}) {
+    try {
+      if (entry.to === 'cancelled' || entry.to === 'expired') {
+        // Nobody can be hired for a cancelled or expired job
+        await Application.updateMany({ job: job._id, status: 'pending' }, { status: 'rejected' });
+        await JobInvitation.updateMany(
+          { job: job._id, status: 'pending' },
+          { status: 'cancelled', respondedAt: new Date() }
+        );
+      }
+
+      if (entry.to === 'completed') {
+        await AssignmentService.creditWorkers(job, finishing);
+      }
+
+      // Recurring jobs: occurrences start with the worker and stop when the job ends
+      if (JobOccurrenceService.isRecurring(job)) {
+        if (entry.to === 'in-progress') {
+          await JobOccurrenceService.generate(job);
+        } else if (entry.to === 'completed' || entry.to === 'cancelled') {
+          await JobOccurrenceService.cancelUpcoming(job._id, `Job ${entry.to}`);
+        }
+      }
+
+      // Tell the client and the workers (if any) about changes someone else made
+      if (entry.action !== 'assign') {
+        const recipients = [(job.client._id || job.client).toString(), ...team]
+          .filter(id => !entry.actor || id !== entry.actor.toString());
+
+        for (const recipientId of recipients) {
+          await NotificationService.notifyJobStatusChange(job, entry, recipientId);
+        }
+      }
+    } catch (error) {
+      console.error(`Error after job ${job._id} moved to ${entry.to}:`, error.message);
+    }
+  }
+
+  // Expire open and paused jobs that reached their expiry date without a hire.
+  // Jobs posted before expiry dates existed expire JOB_EXPIRY_DAYS after they were posted.
+  static async expireStaleJobs() {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: { $in: ['open', 'paused'] },
+      // Jobs still hiring the rest of their team are left to the client
+      'assignedWorkers.0': { $exists: false },
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: null, createdAt: { $lte: new Date(now.getTime() - JOB_EXPIRY_DAYS * DAY_MS) } }
+      ]
+    })
+      .select('title client status isActive assignedWorker')
+      .limit(EXPIRY_BATCH_SIZE);
+
+    let expired = 0;
+    for (const job of jobs) {
+      try {
+        await JobLifecycleService.transition(job, 'expired', {
+          reason: `No worker was hired within ${JOB_EXPIRY_DAYS} days. Reopen the job to list it again.`
+        });
+        expired += 1;
+      } catch (error) {
+        // A job changed since it was read is picked up on the next run if still stale
+        if (!(error instanceof JobTransitionError)) {
+          console.error(`Error expiring job ${job._id}:`, error.message);
+        }
+      }
+    }
+
+    return { expired, remaining: jobs.length === EXPIRY_BATCH_SIZE };
+  }
+}
+
+module.exports = JobLifecycleService;
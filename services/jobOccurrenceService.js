@@ -0,0 +1,227 @@
+const Job = require('../models/Job');
+const JobOccurrence = require('../models/JobOccurrence');
+const NotificationService = require('./notificationService');
+const { parseRRule, formatRRule, expandRRule, describeRRule } = require('../utils/rrule');
+const { OccurrenceError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Occurrences are created this far ahead, and topped up daily by the scheduler
+const HORIZON_DAYS = 28;
+const GENERATE_BATCH_SIZE = 500;
+
+class JobOccurrenceService {
+  static isRecurring(job) {
+    return !!(job && job.recurrence && job.recurrence.rule);
+  }
+
+  /**
+   * Validate a recurrence from a request ({ rule, startsAt }) and return the stored shape.
+   * startsAt falls back to the job's duration.startDate.
+   */
+  static buildRecurrence(input, defaultStart) {
+    let rule;
+    try {
+      rule = parseRRule(input.rule);
+    } catch (error) {
+      throw new OccurrenceError(error.message);
+    }
+
+    const startsAt = new Date(input.startsAt || defaultStart);
+    if (!(input.startsAt || defaultStart) || isNaN(startsAt.getTime())) {
+      throw new OccurrenceError('Recurring jobs need a start date (recurrence.startsAt)');
+    }
+
+    if (expandRRule(rule, startsAt, { limit: 1 }).length === 0) {
+      throw new OccurrenceError('The recurrence rule has no occurrences');
+    }
+
+    return { rule: formatRRule(rule), startsAt, summary: describeRRule(rule) };
+  }
+
+  // Create the occurrences of a recurring job up to HORIZON_DAYS ahead. Needs an assigned worker.
+  static async generate(job, { now = new Date() } = {}) {
+    if (!JobOccurrenceService.isRecurring(job) || !job.assignedWorker) return 0;
+
+    const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+    const generatedUntil = job.recurrence.generatedUntil;
+    const from = generatedUntil && generatedUntil > now ? new Date(generatedUntil.getTime() + 1) : now;
+
+    const dates = expandRRule(parseRRule(job.recurrence.rule), job.recurrence.startsAt, { from, to: horizon });
+
+    let created = 0;
+    if (dates.length > 0) {
+      const result = await JobOccurrence.bulkWrite(dates.map(date => ({
+        updateOne: {
+          filter: { job: job._id, scheduledFor: date },
+          update: {
+            $setOnInsert: {
+              client: job.client._id || job.client,
+              worker: job.assignedWorker._id || job.assignedWorker,
+              startsAt: date,
+              status: 'scheduled'
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+      created = result.upsertedCount;
+    }
+
+    await Job.updateOne({ _id: job._id }, { $set: { 'recurrence.generatedUntil': horizon } });
+
+    return created;
+  }
+
+  // Top up occurrences for every recurring job in progress (scheduled task)
+  static async generateDue() {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: 'in-progress',
+      'recurrence.rule': { $exists: true, $ne: null },
+      $or: [
+        { 'recurrence.generatedUntil': null },
+        { 'recurrence.generatedUntil': { $lt: new Date(now.getTime() + (HORIZON_DAYS - 1) * DAY_MS) } }
+      ]
+    })
+      .select('client assignedWorker recurrence')
+      .limit(GENERATE_BATCH_SIZE);
+
+    let created = 0;
+    for (const job of jobs) {
+      try {
+        created += await JobOccurrenceService.generate(job, { now });
+      } catch (error) {
+        console.error(`Error creating occurrences for job ${job._id}:`, error.message);
+      }
+    }
+
+    return { jobs: jobs.length, created };
+  }
+
+  // Recreate upcoming occurrences after the recurrence rule changed.
+  // Occurrences that were rescheduled, skipped or done are kept.
+  static async regenerate(job) {
+    await JobOccurrence.deleteMany({
+      job: job._id,
+      status: 'scheduled',
+      startsAt: { $gt: new Date() },
+      rescheduledAt: null
+    });
+    job.recurrence.generatedUntil = undefined;
+    await Job.updateOne({ _id: job._id }, { $unset: { 'recurrence.generatedUntil': '' } });
+
+    return JobOccurrenceService.generate(job);
+  }
+
+  // Cancel the occurrences still to come, when the job ends or stops recurring
+  static async cancelUpcoming(jobId, reason) {
+    const result = await JobOccurrence.updateMany(
+      { job: jobId, status: 'scheduled' },
+      { $set: { status: 'cancelled', reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // The roles a user holds on an occurrence: client, worker or staff
+  static getActorRoles(occurrence, user) {
+    const userId = user._id.toString();
+    const roles = [];
+    if (occurrence.client.toString() === userId) roles.push('client');
+    if (occurrence.worker && occurrence.worker.toString() === userId) roles.push('worker');
+    if (user.hasPermission('jobs:manage')) roles.push('staff');
+    return roles;
+  }
+
+  // Apply a change to a scheduled occurrence; fails with 409 if it changed in the meantime
+  static async update(occurrence, actor, change, fields) {
+    if (JobOccurrenceService.getActorRoles(occurrence, actor).length === 0) {
+      throw new OccurrenceError('Access denied', 403);
+    }
+    if (occurrence.status !== 'scheduled') {
+      throw new OccurrenceError(`This occurrence is already ${occurrence.status}`);
+    }
+
+    const updated = await JobOccurrence.findOneAndUpdate(
+      { _id: occurrence._id, status: 'scheduled' },
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new OccurrenceError('The occurrence was changed in the meantime. Reload and try again.', 409);
+    }
+
+    await JobOccurrenceService.notifyOtherParty(updated, actor, change);
+    return updated;
+  }
+
+  static async skip(occurrence, { actor, reason }) {
+    return JobOccurrenceService.update(occurrence, actor, 'skipped', {
+      status: 'skipped',
+      reason: reason || undefined
+    });
+  }
+
+  static async reschedule(occurrence, startsAt, { actor, reason }) {
+    const date = new Date(startsAt);
+    if (isNaN(date.getTime()) || date <= new Date()) {
+      throw new OccurrenceError('Occurrences can only be moved to a future time');
+    }
+
+    return JobOccurrenceService.update(occurrence, actor, 'rescheduled', {
+      startsAt: date,
+      reason: reason || undefined,
+      rescheduledAt: new Date(),
+      rescheduledBy: actor._id
+    });
+  }
+
+  // Mark an occurrence done. When it was the last one of a finished series, the job is completed too.
+  static async complete(occurrence, { actor }) {
+    if (occurrence.startsAt > new Date()) {
+      throw new OccurrenceError('An occurrence cannot be completed before it starts');
+    }
+
+    const updated = await JobOccurrenceService.update(occurrence, actor, 'completed', {
+      status: 'completed',
+      completedAt: new Date(),
+      completedBy: actor._id
+    });
+
+    await JobOccurrenceService.completeJobIfFinished(updated.job);
+    return updated;
+  }
+
+  static async completeJobIfFinished(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job || job.status !== 'in-progress' || !JobOccurrenceService.isRecurring(job)) return false;
+
+    const remaining = await JobOccurrence.exists({ job: jobId, status: 'scheduled' });
+    if (remaining) return false;
+
+    // Anything left in the rule after the occurrences created so far?
+    const after = job.recurrence.generatedUntil ? new Date(job.recurrence.generatedUntil.getTime() + 1) : new Date();
+    const more = expandRRule(parseRRule(job.recurrence.rule), job.recurrence.startsAt, { from: after, limit: 1 });
+    if (more.length > 0) return false;
+
+    // Required here: the lifecycle service cancels occurrences when a job ends
+    const JobLifecycleService = require('./jobLifecycleService');
+    await JobLifecycleService.transition(job, 'completed', { reason: 'All occurrences are done' });
+    return true;
+  }
+
+  static async notifyOtherParty(occurrence, actor, change) {
+    try {
+      const job = await Job.findById(occurrence.job).select('title');
+      const recipients = [occurrence.client, occurrence.worker]
+        .filter(id => id && id.toString() !== actor._id.toString());
+
+      for (const recipientId of recipients) {
+        await NotificationService.notifyOccurrenceChange(occurrence, job, change, actor._id, recipientId);
+      }
+    } catch (error) {
+      console.error(`Error notifying about occurrence ${occurrence._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = JobOccurrenceService;
@@ -0,0 +1,154 @@
+const Job = require('../models/Job');
+const { JOB_SEARCH_TERMS } = require('../config/jobSearchTerms');
+const { escapeRegex, tokenize, stem, editDistance, highlight } = require('../utils/searchText');
+const { isLocalTerm, translateTokens, transliterateTokens, buildSearchKeywords } = require('../utils/searchKeywords');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 12;
+const VOCABULARY_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const VOCABULARY_SAMPLE_SIZE = 2000;
+
+const BASE_VOCABULARY = [
+  ...Job.schema.path('category').enumValues.flatMap(category => category.split('-')),
+  ...Object.keys(JOB_SEARCH_TERMS).flatMap(english => english.split('-'))
+];
+
+let vocabularyCache = null;
+
+class JobSearchService {
+  // Word frequencies from recent job titles, skills and categories; used for typo correction
+  static async getVocabulary() {
+    if (vocabularyCache && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+      return vocabularyCache;
+    }
+
+    const jobs = await Job.find({ isActive: true })
+      .sort({ createdAt: -1 })
+      .limit(VOCABULARY_SAMPLE_SIZE)
+      .select('title skills category')
+      .lean();
+
+    const words = new Map();
+    const add = (word) => words.set(word, (words.get(word) || 0) + 1);
+    BASE_VOCABULARY.forEach(add);
+    jobs.forEach(job => {
+      tokenize([job.title, job.category, ...(job.skills || [])].join(' '))
+        .filter(token => /^[a-z]+$/.test(token))
+        .forEach(add);
+    });
+
+    vocabularyCache = {
+      words,
+      stems: new Set([...words.keys()].map(stem)),
+      loadedAt: Date.now()
+    };
+    return vocabularyCache;
+  }
+
+  // Replace misspelt English words with the closest known word ("plumbr" -> "plumber")
+  static async correctTokens(tokens) {
+    const { words: vocabulary, stems: knownStems } = await JobSearchService.getVocabulary();
+
+    return tokens.map(token => {
+      const isKnown = !/^[a-z]+$/.test(token) || token.length < 4 ||
+        vocabulary.has(token) || knownStems.has(stem(token)) || isLocalTerm(token);
+      if (isKnown) return token;
+
+      const maxDistance = token.length >= 7 ? 2 : 1;
+      let best = null;
+      vocabulary.forEach((count, word) => {
+        const distance = editDistance(token, word, maxDistance);
+        if (distance > maxDistance) return;
+        if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+          best = { word, distance, count };
+        }
+      });
+
+      return best ? best.word : token;
+    });
+  }
+
+  /**
+   * Turn a search box query into search terms.
+   * Returns the terms to search and highlight (corrected, transliterated and translated)
+   * and the corrected query when a typo was fixed.
+   */
+  static async parseQuery(search) {
+    const query = String(search).trim().slice(0, MAX_QUERY_LENGTH);
+    const tokens = tokenize(query);
+    const corrected = await JobSearchService.correctTokens(tokens);
+
+    const terms = new Set([
+      ...corrected,
+      ...transliterateTokens(corrected),
+      ...translateTokens(corrected)
+    ]);
+
+    // Corrected query keeps the user's wording apart from the fixed words
+    let correctedQuery = null;
+    tokens.forEach((token, index) => {
+      if (corrected[index] === token) return;
+      correctedQuery = (correctedQuery || query).replace(new RegExp(`\\b${escapeRegex(token)}\\b`, 'gi'), corrected[index]);
+    });
+
+    return {
+      query,
+      correctedQuery,
+      terms: [...terms].slice(0, MAX_TERMS)
+    };
+  }
+
+  // MongoDB $text condition (ranked, stemmed) for the terms
+  static textCondition(terms) {
+    return { $text: { $search: terms.join(' ') } };
+  }
+
+  // Escaped regex conditions for the terms, for queries that cannot use $text (e.g. $geoNear)
+  static regexCondition(terms) {
+    const patterns = terms.map(term => new RegExp(escapeRegex(stem(term)), 'i'));
+    return {
+      $or: [
+        { title: { $in: patterns } },
+        { description: { $in: patterns } },
+        { skills: { $in: patterns } },
+        { searchKeywords: { $in: patterns } }
+      ]
+    };
+  }
+
+  // Highlighted snippets of the fields that matched
+  static highlightJob(job, terms) {
+    const highlights = {};
+
+    const title = highlight(job.title, terms);
+    if (title) highlights.title = title;
+
+    const description = highlight(job.description, terms);
+    if (description) highlights.description = description;
+
+    const skills = (job.skills || []).map(skill => highlight(skill, terms)).filter(Boolean);
+    if (skills.length > 0) highlights.skills = skills;
+
+    return highlights;
+  }
+
+  // Fill in search keywords for jobs saved before they existed
+  static async backfillKeywords() {
+    const cursor = Job.find({ searchKeywords: { $exists: false } })
+      .select('title description skills requirements')
+      .cursor();
+
+    let updated = 0;
+    for await (const job of cursor) {
+      await Job.updateOne({ _id: job._id }, { $set: { searchKeywords: buildSearchKeywords(job) } });
+      updated += 1;
+    }
+
+    if (updated > 0) {
+      console.log(`Search keywords added to ${updated} jobs`);
+    }
+    return updated;
+  }
+}
+
+module.exports = JobSearchService;
@@ -0,0 +1,227 @@
+const Job = require('../models/Job');
+const Profile = require('../models/Profile');
+const NotificationService = require('./notificationService');
+const AssignmentService = require('./assignmentService');
+const { MilestoneError } = require('../utils/errors');
+
+const MAX_MILESTONES = 20;
+// Milestones the client can still edit or remove
+const EDITABLE_STATUSES = ['pending', 'changes-requested'];
+// Job statuses in which milestones can be planned
+const PLANNING_STATUSES = ['open', 'paused', 'in-progress'];
+
+const formatAmount = (job, amount) => `${job.budget.currency || 'LKR'} ${Number(amount).toLocaleString('en-US')}`;
+
+class MilestoneService {
+  static isClient(job, user) {
+    return job.client.toString() === user._id.toString() || user.hasPermission('jobs:moderate');
+  }
+
+  static isWorker(job, user) {
+    return AssignmentService.isTeamMember(job, user._id);
+  }
+
+  static getMilestone(job, milestoneId) {
+    const milestone = job.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new MilestoneError('Milestone not found', 404);
+    }
+    return milestone;
+  }
+
+  // With a fixed budget, the milestones cannot add up to more than the budget
+  static checkBudget(job, milestones) {
+    if (job.budget.type !== 'fixed') return;
+
+    const total = milestones.reduce((sum, milestone) => sum + Number(milestone.amount || 0), 0);
+    if (total > job.budget.amount) {
+      throw new MilestoneError(
+        `Milestones add up to ${formatAmount(job, total)}, more than the job budget of ${formatAmount(job, job.budget.amount)}`
+      );
+    }
+  }
+
+  static checkCanPlan(job, user) {
+    if (!MilestoneService.isClient(job, user)) {
+      throw new MilestoneError('Only the job owner can plan milestones', 403);
+    }
+    if (!PLANNING_STATUSES.includes(job.status)) {
+      throw new MilestoneError(`Milestones cannot be changed on a job that is ${job.status}`);
+    }
+  }
+
+  static async add(job, { title, description, amount, dueDate }, actor) {
+    MilestoneService.checkCanPlan(job, actor);
+
+    if (job.milestones.length >= MAX_MILESTONES) {
+      throw new MilestoneError(`A job can have up to ${MAX_MILESTONES} milestones`);
+    }
+
+    const milestone = { title, description, amount, dueDate };
+    MilestoneService.checkBudget(job, [...job.milestones, milestone]);
+
+    job.milestones.push(milestone);
+    await job.save();
+
+    return { job, milestone: job.milestones[job.milestones.length - 1] };
+  }
+
+  static async update(job, milestoneId, changes, actor) {
+    MilestoneService.checkCanPlan(job, actor);
+
+    const milestone = MilestoneService.getMilestone(job, milestoneId);
+    if (!EDITABLE_STATUSES.includes(milestone.status)) {
+      throw new MilestoneError(`A ${milestone.status} milestone cannot be edited`);
+    }
+
+    ['title', 'description', 'amount', 'dueDate'].forEach(field => {
+      if (changes[field] !== undefined) milestone[field] = changes[field];
+    });
+    MilestoneService.checkBudget(job, job.milestones);
+
+    await job.save();
+    return { job, milestone };
+  }
+
+  static async remove(job, milestoneId, actor) {
+    MilestoneService.checkCanPlan(job, actor);
+
+    const milestone = MilestoneService.getMilestone(job, milestoneId);
+    if (!EDITABLE_STATUSES.includes(milestone.status)) {
+      throw new MilestoneError(`A ${milestone.status} milestone cannot be removed`);
+    }
+
+    milestone.deleteOne();
+    await job.save();
+
+    // Removing the last open milestone can leave only approved ones
+    return { job: await MilestoneService.completeIfAllApproved(job, actor) };
+  }
+
+  // Move a milestone from one of `from` to another status, unless someone else changed it first
+  static async changeStatus(job, milestoneId, from, changes) {
+    const set = {};
+    Object.entries(changes.$set).forEach(([field, value]) => {
+      set[`milestones.$.${field}`] = value;
+    });
+    const update = { $set: set };
+    if (changes.$inc) {
+      update.$inc = {};
+      Object.entries(changes.$inc).forEach(([field, value]) => {
+        update.$inc[`milestones.$.${field}`] = value;
+      });
+    }
+
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status, milestones: { $elemMatch: { _id: milestoneId, status: { $in: from } } } },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new MilestoneError('The milestone was changed in the meantime. Reload the job and try again.', 409);
+    }
+
+    return { job: updated, milestone: updated.milestones.id(milestoneId) };
+  }
+
+  // Worker hands in a milestone for approval
+  static async submit(job, milestoneId, { actor, note }) {
+    if (!MilestoneService.isWorker(job, actor)) {
+      throw new MilestoneError('Only workers hired for the job can submit milestones', 403);
+    }
+    if (job.status !== 'in-progress') {
+      throw new MilestoneError('Milestones can only be submitted while the job is in progress');
+    }
+
+    const current = MilestoneService.getMilestone(job, milestoneId);
+    if (!EDITABLE_STATUSES.includes(current.status)) {
+      throw new MilestoneError(`This milestone is already ${current.status}`);
+    }
+
+    const result = await MilestoneService.changeStatus(job, milestoneId, EDITABLE_STATUSES, {
+      $set: { status: 'submitted', submittedAt: new Date(), submittedBy: actor._id, submissionNote: note || '' }
+    });
+
+    await MilestoneService.notify(result.job, result.milestone, 'submitted', actor._id, result.job.client);
+    return result;
+  }
+
+  // Client accepts a submitted milestone: the worker who submitted it is credited with
+  // its amount, and the job completes when it was the last one
+  static async approve(job, milestoneId, { actor }) {
+    if (!MilestoneService.isClient(job, actor)) {
+      throw new MilestoneError('Only the job owner can approve milestones', 403);
+    }
+    if (job.status !== 'in-progress') {
+      throw new MilestoneError('Milestones can only be approved while the job is in progress');
+    }
+
+    const current = MilestoneService.getMilestone(job, milestoneId);
+    if (current.status !== 'submitted') {
+      throw new MilestoneError(`Only submitted milestones can be approved; this one is ${current.status}`);
+    }
+
+    const result = await MilestoneService.changeStatus(job, milestoneId, ['submitted'], {
+      $set: { status: 'approved', approvedAt: new Date() }
+    });
+
+    const workerId = result.milestone.submittedBy || result.job.assignedWorker;
+    await Profile.updateOne({ user: workerId }, { $inc: { totalEarnings: result.milestone.amount } });
+    await MilestoneService.notify(result.job, result.milestone, 'approved', actor._id, workerId);
+
+    result.job = await MilestoneService.completeIfAllApproved(result.job, actor);
+    return result;
+  }
+
+  // Client sends a submitted milestone back with what needs to change
+  static async requestChanges(job, milestoneId, { actor, note }) {
+    if (!MilestoneService.isClient(job, actor)) {
+      throw new MilestoneError('Only the job owner can request changes', 403);
+    }
+    if (!note || !note.trim()) {
+      throw new MilestoneError('Describe the changes you need');
+    }
+
+    const current = MilestoneService.getMilestone(job, milestoneId);
+    if (current.status !== 'submitted') {
+      throw new MilestoneError(`Changes can only be requested on submitted milestones; this one is ${current.status}`);
+    }
+
+    const result = await MilestoneService.changeStatus(job, milestoneId, ['submitted'], {
+      $set: { status: 'changes-requested', feedback: note.trim() },
+      $inc: { revisionCount: 1 }
+    });
+
+    await MilestoneService.notify(
+      result.job, result.milestone, 'changes-requested', actor._id,
+      result.milestone.submittedBy || result.job.assignedWorker
+    );
+    return result;
+  }
+
+  // Complete a job in progress whose milestones are all approved. Returns the (possibly updated) job.
+  static async completeIfAllApproved(job, actor) {
+    const milestones = job.milestones || [];
+    if (job.status !== 'in-progress' || milestones.length === 0 ||
+        milestones.some(milestone => milestone.status !== 'approved')) {
+      return job;
+    }
+
+    // Required here: the lifecycle service checks milestones before completing a job
+    const JobLifecycleService = require('./jobLifecycleService');
+    return JobLifecycleService.transition(job, 'completed', { actor, reason: 'All milestones approved' });
+  }
+
+  static async notify(job, milestone, event, senderId, recipientId) {
+    try {
+      if (recipientId) {
+        await NotificationService.notifyMilestoneUpdate(job, milestone, event, senderId, recipientId);
+      }
+    } catch (error) {
+      console.error(`Error notifying about milestone ${milestone._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = MilestoneService;
@@ -142,6 +142,401 @@ class NotificationService {
     }
   }
 
+  // Create a job invitation notification for the invited worker
+  static async notifyJobInvitation(invitation, job, senderId) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName profilePicture');
+
+      const notification = new Notification({
+        recipient: invitation.worker,
+        sender: senderId,
+        type: 'job_invitation',
+        title: 'You were invited to apply',
+        message: `${sender.firstName} ${sender.lastName} invited you to apply for "${job.title}"`.slice(0, 500),
+        relatedJob: job._id,
+        data: {
+          invitationId: invitation._id,
+          message: invitation.message,
+          expiresAt: invitation.expiresAt
+        },
+        priority: 'high',
+        actionUrl: `/invitations/${invitation._id}`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(invitation.worker.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating job invitation notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell the client that an invited worker accepted (and applied) or declined
+  static async notifyInvitationResponse(invitation, job, workerId) {
+    try {
+      const worker = await User.findById(workerId).select('firstName lastName profilePicture');
+      const accepted = invitation.status === 'accepted';
+
+      const notification = new Notification({
+        recipient: invitation.client,
+        sender: workerId,
+        type: accepted ? 'job_application' : 'job_invitation',
+        title: accepted ? 'Invitation accepted' : 'Invitation declined',
+        message: accepted
+          ? `${worker.firstName} ${worker.lastName} accepted your invitation and applied for "${job.title}"`.slice(0, 500)
+          : `${worker.firstName} ${worker.lastName} declined your invitation for "${job.title}"`.slice(0, 500),
+        relatedJob: job._id,
+        relatedApplication: invitation.application,
+        data: {
+          invitationId: invitation._id,
+          status: invitation.status
+        },
+        actionUrl: `/jobs/${job._id}`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(invitation.client.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating invitation response notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell the client or assigned worker that a job changed status
+  static async notifyJobStatusChange(job, entry, recipientId) {
+    try {
+      const titles = {
+        paused: 'Job paused',
+        open: entry.action === 'reopen' ? 'Job reopened' : 'Job resumed',
+        'in-progress': 'Job back in progress',
+        disputed: 'Job disputed',
+        completed: 'Job completed',
+        cancelled: 'Job cancelled',
+        expired: 'Job expired'
+      };
+
+      const notification = new Notification({
+        recipient: recipientId,
+        sender: entry.actor,
+        type: entry.to === 'completed' ? 'job_completed' : 'job_status_changed',
+        title: titles[entry.to],
+        message: (entry.reason
+          ? `"${job.title}" is now ${entry.to}: ${entry.reason}`
+          : `"${job.title}" is now ${entry.to}`).slice(0, 500),
+        relatedJob: job._id,
+        data: {
+          from: entry.from,
+          to: entry.to,
+          action: entry.action
+        },
+        priority: entry.to === 'disputed' || entry.to === 'cancelled' ? 'high' : 'medium',
+        actionUrl: `/jobs/${job._id}`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating job status notification:', error);
+      throw error;
+    }
+  }
+
+  // Remind a client to review the worker of a completed job
+  static async notifyReviewReminder(job, worker) {
+    try {
+      const notification = new Notification({
+        recipient: job.client,
+        sender: worker._id,
+        type: 'job_reminder',
+        title: 'How did the job go?',
+        message: `Leave a review for ${worker.firstName} ${worker.lastName} on "${job.title}"`.slice(0, 500),
+        relatedJob: job._id,
+        data: {
+          reviewee: worker._id,
+          reviewType: 'client-to-worker'
+        },
+        actionUrl: `/jobs/${job._id}/review`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(job.client.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating review reminder notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell the client or worker that one occurrence of a recurring job was skipped, moved or done
+  static async notifyOccurrenceChange(occurrence, job, change, senderId, recipientId) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName profilePicture');
+      const when = occurrence.startsAt.toLocaleString('en-GB', {
+        timeZone: 'Asia/Colombo',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      });
+      const messages = {
+        skipped: `${sender.firstName} ${sender.lastName} skipped the ${when} visit for "${job.title}"`,
+        rescheduled: `${sender.firstName} ${sender.lastName} moved a visit for "${job.title}" to ${when}`,
+        completed: `${sender.firstName} ${sender.lastName} marked the ${when} visit for "${job.title}" as done`
+      };
+
+      const notification = new Notification({
+        recipient: recipientId,
+        sender: senderId,
+        type: 'job_reminder',
+        title: `Visit ${change}`,
+        message: (occurrence.reason ? `${messages[change]}: ${occurrence.reason}` : messages[change]).slice(0, 500),
+        relatedJob: job._id,
+        data: {
+          occurrenceId: occurrence._id,
+          change,
+          startsAt: occurrence.startsAt
+        },
+        actionUrl: `/jobs/${job._id}/occurrences`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating occurrence notification:', error);
+      throw error;
+    }
+  }
+
+  // Create notification for an offer made, countered, accepted or declined on an application
+  static async notifyOffer(application, job, offer, event, senderId, recipientId) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName profilePicture');
+      const name = `${sender.firstName} ${sender.lastName}`;
+      const price = `${offer.currency} ${Number(offer.amount).toLocaleString('en-US')}`;
+      const titles = {
+        made: 'New offer',
+        countered: 'Counter-offer',
+        accepted: 'Offer accepted',
+        declined: 'Offer declined'
+      };
+      const messages = {
+        made: `${name} offered ${price} for "${job.title}"`,
+        countered: `${name} countered with ${price} for "${job.title}"`,
+        accepted: `${name} accepted your offer of ${price} for "${job.title}"`,
+        declined: `${name} declined your offer of ${price} for "${job.title}"`
+      };
+
+      const notification = new Notification({
+        recipient: recipientId,
+        sender: senderId,
+        type: 'application_offer',
+        title: titles[event],
+        message: (offer.message && (event === 'made' || event === 'countered')
+          ? `${messages[event]}: ${offer.message}`
+          : messages[event]).slice(0, 500),
+        relatedJob: job._id,
+        relatedApplication: application._id,
+        data: {
+          offerId: offer._id,
+          event,
+          amount: offer.amount,
+          expiresAt: offer.expiresAt
+        },
+        actionUrl: `/applications/${application._id}/offers`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating offer notification:', error);
+      throw error;
+    }
+  }
+
+  // Create notification for a milestone submitted, approved or sent back for changes
+  static async notifyMilestoneUpdate(job, milestone, event, senderId, recipientId) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName profilePicture');
+      const titles = {
+        submitted: 'Milestone submitted',
+        approved: 'Milestone approved',
+        'changes-requested': 'Changes requested'
+      };
+      const messages = {
+        submitted: `${sender.firstName} ${sender.lastName} submitted "${milestone.title}" on "${job.title}" for your approval`,
+        approved: `${sender.firstName} ${sender.lastName} approved "${milestone.title}" on "${job.title}"`,
+        'changes-requested': `${sender.firstName} ${sender.lastName} asked for changes to "${milestone.title}" on "${job.title}": ${milestone.feedback}`
+      };
+
+      const notification = new Notification({
+        recipient: recipientId,
+        sender: senderId,
+        type: 'milestone_update',
+        title: titles[event],
+        message: messages[event].slice(0, 500),
+        relatedJob: job._id,
+        data: {
+          milestoneId: milestone._id,
+          event,
+          amount: milestone.amount
+        },
+        actionUrl: `/jobs/${job._id}/milestones`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating milestone notification:', error);
+      throw error;
+    }
+  }
+
+  // Tell the client or worker about an interview or site visit: proposed, confirmed,
+  // declined, cancelled, or a reminder that it is coming up
+  static async notifyAppointment(appointment, job, event, senderId, recipientId) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName profilePicture');
+      const name = `${sender.firstName} ${sender.lastName}`;
+      const kind = appointment.type === 'site-visit' ? 'site visit' : 'interview';
+      const when = appointment.startsAt && appointment.startsAt.toLocaleString('en-GB', {
+        timeZone: 'Asia/Colombo',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      });
+      const titles = {
+        proposed: `${appointment.title} proposed`,
+        confirmed: `${appointment.title} confirmed`,
+        declined: `${appointment.title} declined`,
+        cancelled: `${appointment.title} cancelled`,
+        reminder: `Upcoming ${kind}`
+      };
+      const messages = {
+        proposed: `${name} proposed ${appointment.slots.length} time(s) for a ${kind} about "${job.title}"`,
+        confirmed: `${name} confirmed the ${kind} about "${job.title}" for ${when}`,
+        declined: `${name} could not make any of the times for the ${kind} about "${job.title}"`,
+        cancelled: `${name} cancelled the ${kind} about "${job.title}"`,
+        reminder: `Your ${kind} with ${name} about "${job.title}" is at ${when}`
+      };
+      const withReason = (event === 'declined' || event === 'cancelled') && appointment.reason;
+
+      const notification = new Notification({
+        recipient: recipientId,
+        sender: senderId,
+        type: 'appointment_update',
+        title: titles[event],
+        message: (withReason ? `${messages[event]}: ${appointment.reason}` : messages[event]).slice(0, 500),
+        relatedJob: job._id,
+        relatedApplication: appointment.application,
+        data: {
+          appointmentId: appointment._id,
+          event,
+          startsAt: appointment.startsAt
+        },
+        priority: event === 'reminder' ? 'high' : 'medium',
+        actionUrl: `/appointments/${appointment._id}`
+      });
+
+      await notification.save();
+
+      // Populate sender details for real-time emission
+      await notification.populate('sender', 'firstName lastName profilePicture');
+
+      // Emit real-time notification if socket service is available
+      try {
+        const SocketService = require('./socketService');
+        SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      } catch (socketError) {
+        console.warn('Socket service not available:', socketError.message);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating appointment notification:', error);
+      throw error;
+    }
+  }
+
   // Mark notification as read
   static async markAsRead(notificationId, userId) {
     try {
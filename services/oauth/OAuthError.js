@@ -0,0 +1,10 @@
+// Error raised when a provider credential cannot be verified or a provider is unavailable
+class OAuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'OAuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = OAuthError;
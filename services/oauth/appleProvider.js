@@ -0,0 +1,56 @@
+const { createJwksVerifier } = require('./jwksVerifier');
+const OAuthError = require('./OAuthError');
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Sign in with Apple using the identity token returned to the app.
+ * Apple only sends the user's name on the very first authorization, and only to the client,
+ * so the app forwards it in `user.name`; it is used for display only, never for matching.
+ */
+const createAppleProvider = ({
+  clientIds = splitList(process.env.APPLE_CLIENT_IDS || process.env.APPLE_CLIENT_ID),
+  issuer = process.env.APPLE_ISSUER || 'https://appleid.apple.com',
+  jwksUri = process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys'
+} = {}) => {
+  const verifyIdToken = createJwksVerifier({
+    jwksUri,
+    issuers: [issuer],
+    audience: clientIds
+  });
+
+  return {
+    name: 'apple',
+
+    isConfigured() {
+      return clientIds.length > 0;
+    },
+
+    async verify({ idToken, user }) {
+      if (!idToken) {
+        throw new OAuthError('Apple identity token is required', 400);
+      }
+
+      const payload = await verifyIdToken(idToken);
+      if (!payload.sub) {
+        throw new OAuthError('Apple identity token has no subject');
+      }
+
+      // Apple sends booleans as strings in some token versions
+      const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+      const name = (user && user.name) || {};
+
+      return {
+        provider: 'apple',
+        providerUserId: payload.sub,
+        email: payload.email ? payload.email.toLowerCase() : undefined,
+        emailVerified: !!payload.email && emailVerified,
+        firstName: name.firstName || '',
+        lastName: name.lastName || '',
+        picture: ''
+      };
+    }
+  };
+};
+
+module.exports = { createAppleProvider };
@@ -0,0 +1,77 @@
+const OAuthError = require('./OAuthError');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Facebook Login using the user access token returned to the app.
+ * The token is checked with the debug_token endpoint so that tokens issued
+ * to other Facebook apps are rejected. `graphUrl` can point at a mock Graph API (see
+ * mockIssuer.js) in tests.
+ */
+const createFacebookProvider = ({
+  appId = process.env.FACEBOOK_APP_ID,
+  appSecret = process.env.FACEBOOK_APP_SECRET,
+  graphUrl = process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v19.0',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => {
+  const graphGet = async (path, params) => {
+    const query = new URLSearchParams(params).toString();
+    let response;
+    try {
+      response = await fetch(`${graphUrl}${path}?${query}`, { signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      throw new OAuthError(`Facebook could not be reached (${error.message})`, 503);
+    }
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.error) {
+      throw new OAuthError('Invalid Facebook access token');
+    }
+    return body;
+  };
+
+  return {
+    name: 'facebook',
+
+    isConfigured() {
+      return !!(appId && appSecret);
+    },
+
+    async verify({ accessToken }) {
+      if (!accessToken) {
+        throw new OAuthError('Facebook access token is required', 400);
+      }
+
+      const { data: tokenInfo } = await graphGet('/debug_token', {
+        input_token: accessToken,
+        access_token: `${appId}|${appSecret}`
+      });
+
+      if (!tokenInfo || !tokenInfo.is_valid || String(tokenInfo.app_id) !== String(appId)) {
+        throw new OAuthError('Facebook access token was not issued for this app');
+      }
+
+      const profile = await graphGet('/me', {
+        fields: 'id,email,first_name,last_name,picture.type(large)',
+        access_token: accessToken
+      });
+
+      if (String(profile.id) !== String(tokenInfo.user_id)) {
+        throw new OAuthError('Facebook token does not match the user profile');
+      }
+
+      return {
+        provider: 'facebook',
+        providerUserId: String(profile.id),
+        email: profile.email ? profile.email.toLowerCase() : undefined,
+        // Facebook only returns confirmed email addresses
+        emailVerified: !!profile.email,
+        firstName: profile.first_name || '',
+        lastName: profile.last_name || '',
+        picture: (profile.picture && profile.picture.data && profile.picture.data.url) || ''
+      };
+    }
+  };
+};
+
+module.exports = { createFacebookProvider };
@@ -0,0 +1,73 @@
+const { OAuth2Client } = require('google-auth-library');
+const { createJwksVerifier } = require('./jwksVerifier');
+const OAuthError = require('./OAuthError');
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// verifyIdToken() in the shape of OAuth2Client's, backed by any JWKS endpoint
+const createJwksIdTokenClient = (jwksUri, issuers, audience) => {
+  const verify = createJwksVerifier({ jwksUri, issuers, audience });
+  return async ({ idToken }) => {
+    const payload = await verify(idToken);
+    return { getPayload: () => payload };
+  };
+};
+
+/**
+ * Google sign-in with ID tokens.
+ * Web, Android and iOS apps each have their own client ID; tokens for any of them are accepted.
+ * With `jwksUri` (GOOGLE_JWKS_URI) tokens are checked against that key set instead of Google's,
+ * e.g. a local mock issuer (see mockIssuer.js) with its URL in `issuers` (GOOGLE_ISSUER).
+ */
+const createGoogleProvider = ({
+  clientIds = splitList(process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID),
+  issuers = process.env.GOOGLE_ISSUER ? [process.env.GOOGLE_ISSUER] : ['accounts.google.com', 'https://accounts.google.com'],
+  jwksUri = process.env.GOOGLE_JWKS_URI,
+  client = jwksUri
+    ? { verifyIdToken: createJwksIdTokenClient(jwksUri, issuers, clientIds) }
+    : new OAuth2Client(clientIds[0]) // One shared client so Google's signing keys stay cached
+} = {}) => ({
+  name: 'google',
+
+  isConfigured() {
+    return clientIds.length > 0;
+  },
+
+  // verifyIdToken checks the signature against Google's public keys (cached by the client
+  // until their Cache-Control expiry), the audience and the expiry; issuer and email are checked here.
+  async verify({ idToken }) {
+    if (!idToken) {
+      throw new OAuthError('Google ID token is required', 400);
+    }
+
+    let payload;
+    try {
+      const ticket = await client.verifyIdToken({ idToken, audience: clientIds });
+      payload = ticket.getPayload();
+    } catch (error) {
+      // Key sets that cannot be fetched answer 503 rather than blaming the token
+      if (error instanceof OAuthError && error.statusCode === 503) throw error;
+      throw new OAuthError('Invalid Google ID token');
+    }
+
+    if (!payload || !issuers.includes(payload.iss)) {
+      throw new OAuthError('Invalid token issuer');
+    }
+
+    if (!payload.sub || !payload.email || !payload.email_verified) {
+      throw new OAuthError('Google account email is not verified');
+    }
+
+    return {
+      provider: 'google',
+      providerUserId: payload.sub,
+      email: payload.email.toLowerCase(),
+      emailVerified: true,
+      firstName: payload.given_name || '',
+      lastName: payload.family_name || '',
+      picture: payload.picture || ''
+    };
+  }
+});
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,46 @@
+const { createGoogleProvider } = require('./googleProvider');
+const { createFacebookProvider } = require('./facebookProvider');
+const { createAppleProvider } = require('./appleProvider');
+const OAuthError = require('./OAuthError');
+
+/**
+ * Registry of sign-in providers.
+ * Every provider exposes `name`, `isConfigured()` and `verify(credentials)`, where verify
+ * resolves to a normalised identity:
+ *   { provider, providerUserId, email, emailVerified, firstName, lastName, picture }
+ */
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Get a configured provider by name or throw
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new OAuthError(`Unsupported sign-in provider: ${name}`, 404);
+  }
+  if (!provider.isConfigured()) {
+    throw new OAuthError(`${name} sign-in is not configured`, 503);
+  }
+  return provider;
+};
+
+// Names of the providers that can currently be used
+const listProviders = () => {
+  return Array.from(providers.values())
+    .filter(provider => provider.isConfigured())
+    .map(provider => provider.name);
+};
+
+registerProvider(createGoogleProvider());
+registerProvider(createFacebookProvider());
+registerProvider(createAppleProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  OAuthError
+};
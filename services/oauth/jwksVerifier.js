@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthError = require('./OAuthError');
+
+const DEFAULT_CACHE_MAX_AGE_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MIN_REFETCH_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Create a verifier for ID tokens signed with keys published as a JWKS document.
+ * Keys are cached for `cacheMaxAgeMs`; an unknown `kid` forces a refetch so key rotation
+ * is picked up quickly, but at most once per `minRefetchIntervalMs`, so forged tokens cannot
+ * make us call the key endpoint on every request. Point `jwksUri`/`issuers` at a local mock
+ * issuer (see mockIssuer.js) in tests.
+ */
+const createJwksVerifier = ({
+  jwksUri,
+  issuers,
+  audience,
+  algorithms = ['RS256'],
+  cacheMaxAgeMs = DEFAULT_CACHE_MAX_AGE_MS,
+  minRefetchIntervalMs = DEFAULT_MIN_REFETCH_INTERVAL_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let pendingFetch = null;
+
+  const fetchKeys = async () => {
+    if (!pendingFetch) {
+      attemptedAt = Date.now();
+      pendingFetch = (async () => {
+        let jwks;
+        try {
+          const response = await fetch(jwksUri, { signal: AbortSignal.timeout(timeoutMs) });
+          if (!response.ok) {
+            throw new OAuthError(`Unable to fetch signing keys (${response.status})`, 503);
+          }
+          ({ keys: jwks = [] } = await response.json());
+        } catch (error) {
+          // Unreachable, too slow or not JSON: the provider is unavailable, the token is not at fault
+          if (error instanceof OAuthError) throw error;
+          throw new OAuthError(`Unable to fetch signing keys (${error.message})`, 503);
+        }
+
+        keys = new Map(jwks.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+        fetchedAt = Date.now();
+      })().finally(() => {
+        pendingFetch = null;
+      });
+    }
+
+    return pendingFetch;
+  };
+
+  const getKey = async (kid) => {
+    // A failed fetch also waits out the interval; until then the keys we have are used
+    const now = Date.now();
+    if ((now - fetchedAt > cacheMaxAgeMs || !keys.has(kid)) && now - attemptedAt > minRefetchIntervalMs) {
+      await fetchKeys();
+    }
+
+    const key = keys.get(kid);
+    if (!key) {
+      throw new OAuthError('Token signed with an unknown key');
+    }
+    return key;
+  };
+
+  return async (idToken) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw new OAuthError('Malformed ID token');
+    }
+
+    const key = await getKey(decoded.header.kid);
+
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms,
+        issuer: issuers,
+        audience
+      });
+    } catch (error) {
+      throw new OAuthError(`Invalid ID token: ${error.message}`);
+    }
+  };
+};
+
+module.exports = { createJwksVerifier };
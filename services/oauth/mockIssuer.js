@@ -0,0 +1,83 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * A local stand-in for the sign-in providers, for development and tests. It serves a JWKS
+ * document and signs ID tokens with its own key (Google, Apple), and answers the Graph API
+ * calls Facebook Login makes (debug_token, me) for access tokens it issued.
+ *
+ *   const mock = await startMockIssuer();
+ *   const google = createGoogleProvider({ clientIds: ['web'], issuers: [mock.issuer], jwksUri: mock.jwksUri });
+ *   await google.verify({ idToken: mock.signIdToken({ sub: '1', email: 'a@b.lk', email_verified: true }, { audience: 'web' }) });
+ *   await mock.close();
+ */
+const startMockIssuer = async ({ port = 0 } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+  // Facebook access tokens issued by the mock, with the app and profile they belong to
+  const facebookTokens = new Map();
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: [jwk] });
+    }
+
+    if (url.pathname === '/graph/debug_token') {
+      const entry = facebookTokens.get(params.get('input_token'));
+      return send(res, 200, {
+        data: entry
+          ? { is_valid: true, app_id: entry.appId, user_id: entry.profile.id }
+          : { is_valid: false }
+      });
+    }
+
+    if (url.pathname === '/graph/me') {
+      const entry = facebookTokens.get(params.get('access_token'));
+      if (!entry) {
+        return send(res, 400, { error: { message: 'Invalid OAuth access token' } });
+      }
+      const { id, email, firstName, lastName } = entry.profile;
+      return send(res, 200, { id, email, first_name: firstName, last_name: lastName });
+    }
+
+    send(res, 404, { error: { message: 'Not found' } });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer: baseUrl,
+    jwksUri: `${baseUrl}/jwks`,
+    graphUrl: `${baseUrl}/graph`,
+
+    // An ID token for `audience` (a client id), valid for `expiresIn`
+    signIdToken(claims, { audience, expiresIn = '10m' } = {}) {
+      return jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: kid, issuer: baseUrl, audience, expiresIn });
+    },
+
+    // A Facebook access token for the profile ({ id, email, firstName, lastName }), issued to appId
+    issueFacebookToken(profile, { appId }) {
+      const token = crypto.randomBytes(24).toString('hex');
+      facebookTokens.set(token, { appId: String(appId), profile: { ...profile, id: String(profile.id) } });
+      return token;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { startMockIssuer };
@@ -0,0 +1,199 @@
+const Application = require('../models/Application');
+const NotificationService = require('./notificationService');
+const { ApplicationError } = require('../utils/errors');
+
+const MAX_OFFERS = 20;
+const MAX_OFFER_DAYS = 30;
+
+/**
+ * Price negotiation on an application. Either side can put an offer on the table;
+ * the other side accepts it, declines it or counters with an offer of their own.
+ * One offer is open at a time, and an accepted offer becomes the application's agreedPrice,
+ * which the worker is hired and paid at.
+ */
+class OfferService {
+  // 'client' or 'worker' for the two parties of the application, null for anyone else
+  static getParty(application, job, user) {
+    const userId = user._id.toString();
+    if (job.client.toString() === userId) return 'client';
+    if ((application.worker._id || application.worker).toString() === userId) return 'worker';
+    return null;
+  }
+
+  static checkNegotiable(application, job) {
+    if (application.status !== 'pending') {
+      throw new ApplicationError('Offers can only be made on pending applications');
+    }
+    if (job.status !== 'open') {
+      throw new ApplicationError('Job is no longer open');
+    }
+  }
+
+  static getOffer(application, offerId) {
+    const offer = application.offers.id(offerId);
+    if (!offer) {
+      throw new ApplicationError('Offer not found', 404);
+    }
+    return offer;
+  }
+
+  // Make an offer, or counter the other side's open offer
+  static async makeOffer(application, job, { actor, amount, duration, message, expiresAt }) {
+    const party = OfferService.getParty(application, job, actor);
+    if (!party) {
+      throw new ApplicationError('Access denied', 403);
+    }
+    OfferService.checkNegotiable(application, job);
+
+    if (application.offers.length >= MAX_OFFERS) {
+      throw new ApplicationError(`Negotiations are limited to ${MAX_OFFERS} offers. Accept or decline the last one.`);
+    }
+
+    const open = application.openOffer;
+    if (open && open.by === party) {
+      throw new ApplicationError('Your last offer is still open. Withdraw it before making another.', 409);
+    }
+
+    if (expiresAt) {
+      expiresAt = new Date(expiresAt);
+      const latest = Date.now() + MAX_OFFER_DAYS * 24 * 60 * 60 * 1000;
+      if (expiresAt <= new Date() || expiresAt.getTime() > latest) {
+        throw new ApplicationError(`Offers must expire within the next ${MAX_OFFER_DAYS} days`);
+      }
+    }
+
+    // Only one offer is open at a time: a counter closes the other side's offer,
+    // and a lapsed offer is closed as expired
+    const offers = application.offers.map(entry => entry.toObject({ virtuals: false }));
+    const previous = offers.find(entry => entry.status === 'open');
+    if (previous) {
+      previous.status = open ? 'countered' : 'expired';
+      previous.respondedAt = new Date();
+    }
+
+    offers.push({
+      by: party,
+      createdBy: actor._id,
+      amount,
+      currency: job.budget.currency || 'LKR',
+      duration,
+      message,
+      expiresAt: expiresAt || undefined
+    });
+
+    // Replacing the whole list makes the save check the document version,
+    // so a concurrent offer or answer fails here
+    application.offers = offers;
+
+    let updated;
+    try {
+      updated = await application.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw new ApplicationError('The negotiation changed in the meantime. Reload and try again.', 409);
+      }
+      throw error;
+    }
+
+    // An offer from the client moves the applicant along the client's hiring pipeline
+    if (party === 'client') {
+      await Application.updateOne(
+        { _id: updated._id, status: 'pending' },
+        { $set: { 'pipeline.stage': 'offered', 'pipeline.movedAt': new Date() } }
+      );
+    }
+
+    const made = updated.offers[updated.offers.length - 1];
+    await OfferService.notify(updated, job, made, open ? 'countered' : 'made', actor._id);
+
+    return { application: updated, offer: made };
+  }
+
+  // Answer the other side's open offer: 'accepted' or 'declined'
+  static async respond(application, job, offerId, { actor, decision }) {
+    const party = OfferService.getParty(application, job, actor);
+    if (!party) {
+      throw new ApplicationError('Access denied', 403);
+    }
+    OfferService.checkNegotiable(application, job);
+
+    const offer = OfferService.getOffer(application, offerId);
+    if (offer.status !== 'open') {
+      throw new ApplicationError(`This offer was already ${offer.status}`);
+    }
+    if (offer.isExpired) {
+      throw new ApplicationError('This offer has expired', 410);
+    }
+    if (offer.by === party) {
+      throw new ApplicationError('You cannot answer your own offer', 403);
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { 'offers.$.status': decision, 'offers.$.respondedAt': now },
+      $inc: { __v: 1 }
+    };
+    if (decision === 'accepted') {
+      update.$set.agreedPrice = {
+        amount: offer.amount,
+        currency: offer.currency,
+        duration: offer.duration,
+        offer: offer._id,
+        agreedAt: now
+      };
+    }
+
+    const updated = await Application.findOneAndUpdate(
+      { _id: application._id, status: 'pending', offers: { $elemMatch: { _id: offer._id, status: 'open' } } },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new ApplicationError('The negotiation changed in the meantime. Reload and try again.', 409);
+    }
+
+    const answered = updated.offers.id(offer._id);
+    await OfferService.notify(updated, job, answered, decision, actor._id);
+
+    return { application: updated, offer: answered };
+  }
+
+  // Take back your own open offer
+  static async withdraw(application, job, offerId, { actor }) {
+    const party = OfferService.getParty(application, job, actor);
+    if (!party) {
+      throw new ApplicationError('Access denied', 403);
+    }
+
+    const offer = OfferService.getOffer(application, offerId);
+    if (offer.by !== party) {
+      throw new ApplicationError('You can only withdraw your own offers', 403);
+    }
+    if (offer.status !== 'open') {
+      throw new ApplicationError(`This offer was already ${offer.status}`);
+    }
+
+    const updated = await Application.findOneAndUpdate(
+      { _id: application._id, offers: { $elemMatch: { _id: offer._id, status: 'open' } } },
+      { $set: { 'offers.$.status': 'withdrawn', 'offers.$.respondedAt': new Date() }, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new ApplicationError('The negotiation changed in the meantime. Reload and try again.', 409);
+    }
+
+    return { application: updated, offer: updated.offers.id(offer._id) };
+  }
+
+  // Tell the other party
+  static async notify(application, job, offer, event, senderId) {
+    try {
+      const recipientId = senderId.toString() === job.client.toString() ? application.worker : job.client;
+      await NotificationService.notifyOffer(application, job, offer, event, senderId, recipientId);
+    } catch (error) {
+      console.error(`Error notifying about offer ${offer._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = OfferService;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Review = require('../models/Review');
+
+class ProfileHistoryService {
+  // Average rating and count of visible reviews of one type received by a user
+  static async getRatingSummary(userId, reviewType) {
+    const [summary] = await Review.aggregate([
+      {
+        $match: {
+          reviewee: new mongoose.Types.ObjectId(userId),
+          reviewType,
+          isVisible: true
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: '$rating' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return {
+      average: summary ? Math.round(summary.average * 10) / 10 : 0,
+      count: summary ? summary.count : 0
+    };
+  }
+
+  // Jobs the worker was hired for, alone or on a team
+  static hiredFilter(userId) {
+    return { $or: [{ assignedWorker: userId }, { 'assignedWorkers.worker': userId }] };
+  }
+
+  // Work history: applications sent, jobs done, ratings from clients
+  static async getWorkerHistory(userId) {
+    const [totalApplications, acceptedApplications, activeJobs, completedJobs, ratings] = await Promise.all([
+      Application.countDocuments({ worker: userId, isActive: true }),
+      Application.countDocuments({ worker: userId, status: 'accepted', isActive: true }),
+      Job.countDocuments({ ...ProfileHistoryService.hiredFilter(userId), status: 'in-progress', isActive: true }),
+      Job.countDocuments({ ...ProfileHistoryService.hiredFilter(userId), status: 'completed' }),
+      ProfileHistoryService.getRatingSummary(userId, 'client-to-worker')
+    ]);
+
+    return {
+      totalApplications,
+      acceptedApplications,
+      activeJobs,
+      completedJobs,
+      ratings
+    };
+  }
+
+  // Hiring history: jobs posted, hires made, ratings from workers
+  static async getClientHistory(userId) {
+    const [jobsPosted, openJobs, hires, completedJobs, ratings] = await Promise.all([
+      Job.countDocuments({ client: userId, isActive: true }),
+      Job.countDocuments({ client: userId, status: 'open', isActive: true }),
+      Job.countDocuments({ client: userId, assignedWorker: { $ne: null } }),
+      Job.countDocuments({ client: userId, status: 'completed' }),
+      ProfileHistoryService.getRatingSummary(userId, 'worker-to-client')
+    ]);
+
+    return {
+      jobsPosted,
+      openJobs,
+      hires,
+      completedJobs,
+      ratings
+    };
+  }
+
+  // Histories for every worker/client role the user holds, keyed by role
+  static async getHistories(user) {
+    const histories = {};
+    const roles = user.getAccountRoles();
+
+    if (roles.includes('worker')) {
+      histories.worker = await ProfileHistoryService.getWorkerHistory(user._id);
+    }
+    if (roles.includes('client')) {
+      histories.client = await ProfileHistoryService.getClientHistory(user._id);
+    }
+
+    return histories;
+  }
+}
+
+module.exports = ProfileHistoryService;
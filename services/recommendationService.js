@@ -0,0 +1,224 @@
+const Job = require('../models/Job');
+const Profile = require('../models/Profile');
+const Application = require('../models/Application');
+const { lookupCity } = require('./geocoding');
+const { distanceKm } = require('../utils/geo');
+const { phraseMatches } = require('../utils/searchText');
+
+const CANDIDATE_LIMIT = 500;
+
+// Maximum points per factor; a perfect match scores 100
+const WEIGHTS = {
+  category: 15,
+  skills: 25,
+  distance: 20,
+  budget: 15,
+  experience: 10,
+  history: 15
+};
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const JOB_EXPERIENCE_LEVELS = { beginner: 0, intermediate: 1, expert: 3 };
+
+const formatAmount = (budget) => `${budget.currency || 'LKR'} ${Number(budget.amount).toLocaleString('en-US')}`;
+
+class RecommendationService {
+  // Everything about the worker that scoring needs
+  static async getWorkerContext(user, { lat, lng } = {}) {
+    const [profile, applications] = await Promise.all([
+      Profile.findOne({ user: user._id }),
+      Application.find({ worker: user._id }).populate('job', 'category status assignedWorker')
+    ]);
+
+    const preferences = (profile && profile.preferences) || {};
+    const skills = (profile && profile.skills) || [];
+    const categories = new Set([
+      ...(preferences.jobTypes || []),
+      ...((profile && profile.workerCategories) || [])
+    ]);
+
+    // Location: explicit coordinates, otherwise the worker's town from the offline gazetteer,
+    // so listing recommendations never calls an online geocoder or sends out the street address
+    let coordinates = null;
+    let locationSource = null;
+    if (lat !== undefined && lng !== undefined) {
+      coordinates = [lng, lat];
+      locationSource = 'request';
+    } else {
+      const city = (profile && profile.city) || (user.address && user.address.city);
+      const place = lookupCity(city);
+      if (place) {
+        coordinates = [place.lng, place.lat];
+        locationSource = city;
+      }
+    }
+
+    // Hires and rejections per category
+    const history = {};
+    applications.forEach(application => {
+      if (!application.job) return;
+      const entry = history[application.job.category] || (history[application.job.category] = { accepted: 0, rejected: 0, completed: 0 });
+      if (application.status === 'accepted') entry.accepted += 1;
+      if (application.status === 'rejected') entry.rejected += 1;
+      if (application.status === 'accepted' && application.job.status === 'completed') entry.completed += 1;
+    });
+
+    return {
+      profile,
+      skills,
+      categories,
+      coordinates,
+      locationSource,
+      maxDistance: preferences.maxDistance || 50,
+      minBudget: preferences.minBudget || 0,
+      workLocationPreference: preferences.workLocationPreference || 'any',
+      appliedJobIds: applications.map(application => application.job && application.job._id).filter(Boolean),
+      history
+    };
+  }
+
+  /**
+   * Score one job for a worker.
+   * Returns null when the job should not be recommended at all (too far, remote-only mismatch),
+   * otherwise { score, distanceKm, breakdown, reasons } with score out of 100.
+   */
+  static scoreJob(job, worker) {
+    const breakdown = {};
+    const reasons = [];
+    let jobDistanceKm = null;
+
+    // Category preference
+    breakdown.category = worker.categories.has(job.category) ? WEIGHTS.category : 0;
+    if (breakdown.category) {
+      reasons.push(`In your preferred category: ${job.category}`);
+    }
+
+    // Skill overlap: share of the job's skills the worker has
+    const matchedSkills = [];
+    (job.skills || []).forEach(jobSkill => {
+      const match = worker.skills.find(skill => phraseMatches(jobSkill, skill.name));
+      if (match) matchedSkills.push({ name: jobSkill, level: match.level });
+    });
+    if (job.skills && job.skills.length > 0) {
+      breakdown.skills = Math.round(WEIGHTS.skills * matchedSkills.length / job.skills.length);
+    } else {
+      // No skills listed: fall back to a worker skill that names the category
+      breakdown.skills = worker.skills.some(skill => phraseMatches(job.category.replace('-', ' '), skill.name))
+        ? Math.round(WEIGHTS.skills / 2)
+        : 0;
+    }
+    if (matchedSkills.length > 0) {
+      reasons.push(`Matches your skills: ${matchedSkills.map(skill => skill.name).join(', ')}`);
+    }
+
+    // Distance, or remote work
+    const jobCoordinates = job.location && job.location.coordinates;
+    if (job.isRemote) {
+      if (worker.workLocationPreference === 'on-site') {
+        breakdown.distance = Math.round(WEIGHTS.distance / 4);
+      } else {
+        breakdown.distance = WEIGHTS.distance;
+        reasons.push('Can be done remotely');
+      }
+    } else if (worker.workLocationPreference === 'remote') {
+      return null;
+    } else if (worker.coordinates && jobCoordinates && jobCoordinates.length === 2) {
+      const distance = distanceKm(worker.coordinates, [...jobCoordinates]);
+      if (distance > worker.maxDistance) return null;
+      breakdown.distance = Math.round(WEIGHTS.distance * (1 - distance / worker.maxDistance));
+      jobDistanceKm = Math.round(distance * 10) / 10;
+      reasons.push(`${jobDistanceKm} km from ${worker.locationSource === 'request' ? 'you' : worker.locationSource}`);
+    } else {
+      // Unknown distance: neither rewarded nor excluded
+      breakdown.distance = Math.round(WEIGHTS.distance / 4);
+    }
+
+    // Budget against the worker's minimum
+    if (job.budget.type === 'negotiable') {
+      breakdown.budget = Math.round(WEIGHTS.budget * 2 / 3);
+      reasons.push('Budget is negotiable');
+    } else if (job.budget.amount >= worker.minBudget) {
+      breakdown.budget = WEIGHTS.budget;
+      if (worker.minBudget > 0) {
+        reasons.push(`Budget ${formatAmount(job.budget)} meets your minimum`);
+      }
+    } else {
+      breakdown.budget = Math.round(WEIGHTS.budget * job.budget.amount / worker.minBudget / 2);
+    }
+
+    // Experience level: the worker's best level among matching skills (or overall)
+    const levels = (matchedSkills.length > 0 ? matchedSkills : worker.skills).map(skill => SKILL_LEVELS.indexOf(skill.level));
+    const workerLevel = levels.length > 0 ? Math.max(...levels) : 0;
+    const requiredLevel = JOB_EXPERIENCE_LEVELS[job.experienceLevel];
+    if (requiredLevel === undefined) {
+      breakdown.experience = WEIGHTS.experience;
+    } else if (workerLevel >= requiredLevel) {
+      breakdown.experience = WEIGHTS.experience;
+      if (requiredLevel > 0) reasons.push(`Fits your ${SKILL_LEVELS[workerLevel]} experience`);
+    } else {
+      breakdown.experience = workerLevel === requiredLevel - 1 ? Math.round(WEIGHTS.experience / 2) : 0;
+    }
+
+    // Past outcomes in this category: hires count for, rejections against
+    const history = worker.history[job.category];
+    if (history && history.accepted + history.rejected > 0) {
+      const hireRate = history.accepted / (history.accepted + history.rejected);
+      breakdown.history = Math.round(WEIGHTS.history * hireRate);
+      if (history.completed > 0) {
+        reasons.push(`You completed ${history.completed} ${job.category} job${history.completed === 1 ? '' : 's'} before`);
+      } else if (history.accepted > 0) {
+        reasons.push(`You were hired for ${job.category} work before`);
+      }
+    } else {
+      breakdown.history = Math.round(WEIGHTS.history / 2);
+    }
+
+    const score = ['category', 'skills', 'distance', 'budget', 'experience', 'history']
+      .reduce((total, factor) => total + breakdown[factor], 0);
+
+    return { score, distanceKm: jobDistanceKm, breakdown, reasons };
+  }
+
+  // Ranked open jobs for a worker, with scores and reasons
+  static async recommend(user, { lat, lng, page = 1, limit = 10 } = {}) {
+    const worker = await RecommendationService.getWorkerContext(user, { lat, lng });
+
+    const candidates = await Job.find({
+      status: 'open',
+      isActive: true,
+      client: { $ne: user._id },
+      _id: { $nin: worker.appliedJobIds },
+      $expr: { $lt: ['$applicationsCount', '$maxApplicants'] }
+    })
+      .populate('client', 'firstName lastName profilePicture')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT);
+
+    const ranked = candidates
+      .map(job => ({ job, recommendation: RecommendationService.scoreJob(job, worker) }))
+      .filter(item => item.recommendation)
+      // Newer jobs first among equal scores
+      .sort((a, b) => b.recommendation.score - a.recommendation.score || b.job.createdAt - a.job.createdAt);
+
+    const skip = (page - 1) * limit;
+
+    return {
+      jobs: ranked.slice(skip, skip + limit).map(({ job, recommendation }) => ({
+        ...job.toJSON(),
+        recommendation
+      })),
+      total: ranked.length,
+      basedOn: {
+        hasProfile: !!worker.profile,
+        skills: worker.skills.map(skill => skill.name),
+        categories: [...worker.categories],
+        location: worker.coordinates ? { lat: worker.coordinates[1], lng: worker.coordinates[0], source: worker.locationSource } : null,
+        maxDistance: worker.maxDistance,
+        minBudget: worker.minBudget,
+        workLocationPreference: worker.workLocationPreference
+      }
+    };
+  }
+}
+
+module.exports = RecommendationService;
@@ -0,0 +1,50 @@
+const Job = require('../models/Job');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const AssignmentService = require('./assignmentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Clients are reminded once, a day after completion, and not for jobs finished long ago
+const REMIND_AFTER_MS = DAY_MS;
+const REMIND_WITHIN_MS = 14 * DAY_MS;
+const BATCH_SIZE = 200;
+
+class ReviewReminderService {
+  // Remind clients of recently completed jobs to review each worker they hired
+  static async sendReminders() {
+    const now = Date.now();
+    const jobs = await Job.find({
+      status: 'completed',
+      assignedWorker: { $ne: null },
+      completedAt: { $lte: new Date(now - REMIND_AFTER_MS), $gte: new Date(now - REMIND_WITHIN_MS) },
+      reviewReminderSentAt: null
+    })
+      .select('title client assignedWorker assignedWorkers completedAt')
+      .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const job of jobs) {
+      try {
+        const reviewed = await Review.find({ job: job._id, reviewer: job.client, reviewType: 'client-to-worker' })
+          .distinct('reviewee');
+        const unreviewed = AssignmentService.getWorkerIds(job)
+          .filter(workerId => !reviewed.some(id => id.toString() === workerId));
+
+        const workers = await User.find({ _id: { $in: unreviewed } }).select('firstName lastName');
+        for (const worker of workers) {
+          await NotificationService.notifyReviewReminder(job, worker);
+          sent += 1;
+        }
+
+        await Job.updateOne({ _id: job._id }, { $set: { reviewReminderSentAt: new Date() } });
+      } catch (error) {
+        console.error(`Error sending review reminder for job ${job._id}:`, error.message);
+      }
+    }
+
+    return { checked: jobs.length, sent };
+  }
+}
+
+module.exports = ReviewReminderService;
@@ -0,0 +1,190 @@
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { distanceKm } = require('../utils/geo');
+const { sendJobAlertDigestEmail } = require('../utils/emailService');
+
+const MAX_PENDING_MATCHES = 50;
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+class SavedSearchService {
+  // City and radius checks; category, urgency and budget are already matched by the query
+  static matchesLocation(search, job) {
+    const { city, coordinates, radiusKm } = search.filters || {};
+    const location = job.location || {};
+
+    if (city && !(location.city || '').toLowerCase().includes(city.toLowerCase())) {
+      return false;
+    }
+
+    if (coordinates && coordinates.length === 2) {
+      if (!location.coordinates || location.coordinates.length !== 2) return false;
+      return distanceKm([...coordinates], [...location.coordinates]) <= (radiusKm || 25);
+    }
+
+    return true;
+  }
+
+  // Active saved searches (of other users) that a job matches
+  static async findMatchingSearches(job) {
+    const amount = job.budget.amount;
+    const candidates = await SavedSearch.find({
+      isActive: true,
+      user: { $ne: job.client },
+      'filters.category': { $in: [null, job.category] },
+      'filters.urgency': { $in: [null, job.urgency] },
+      $and: [
+        { $or: [{ 'filters.minBudget': null }, { 'filters.minBudget': { $lte: amount } }] },
+        { $or: [{ 'filters.maxBudget': null }, { 'filters.maxBudget': { $gte: amount } }] }
+      ]
+    }).populate('user', 'isActive isDeleted');
+
+    return candidates.filter(search =>
+      search.user && search.user.isActive && !search.user.isDeleted &&
+      SavedSearchService.matchesLocation(search, job)
+    );
+  }
+
+  // In-app notification and socket events for one matching job
+  static async notifyMatch(search, job) {
+    const recipientId = search.user._id;
+    const notification = await Notification.create({
+      recipient: recipientId,
+      sender: job.client,
+      type: 'job_alert',
+      title: 'New job for your saved search',
+      message: `"${job.title}" in ${job.location.city} matches "${search.name}"`.slice(0, 500),
+      relatedJob: job._id,
+      data: {
+        savedSearchId: search._id,
+        category: job.category,
+        budget: job.budget
+      },
+      actionUrl: `/jobs/${job._id}`
+    });
+
+    try {
+      const SocketService = require('./socketService');
+      SocketService.emitToUser(recipientId.toString(), 'newNotification', notification);
+      SocketService.emitToUser(recipientId.toString(), 'savedSearchMatch', {
+        savedSearchId: search._id,
+        job: {
+          _id: job._id,
+          title: job.title,
+          category: job.category,
+          budget: job.budget,
+          location: { city: job.location.city }
+        }
+      });
+    } catch (socketError) {
+      console.warn('Socket service not available:', socketError.message);
+    }
+
+    return notification;
+  }
+
+  // Match a newly posted job against saved searches: instant ones are notified now,
+  // daily/weekly ones queue the job for their next digest
+  static async processNewJob(job) {
+    const searches = await SavedSearchService.findMatchingSearches(job);
+    const now = new Date();
+
+    for (const search of searches) {
+      try {
+        if (search.frequency === 'instant') {
+          await SavedSearchService.notifyMatch(search, job);
+          await SavedSearch.updateOne(
+            { _id: search._id },
+            { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now } }
+          );
+        } else {
+          await SavedSearch.updateOne(
+            { _id: search._id },
+            {
+              $push: { pendingMatches: { $each: [{ job: job._id, matchedAt: now }], $slice: -MAX_PENDING_MATCHES } },
+              $inc: { matchCount: 1 },
+              $set: { lastMatchedAt: now }
+            }
+          );
+        }
+      } catch (error) {
+        console.error(`Error delivering saved search ${search._id}:`, error.message);
+      }
+    }
+
+    return searches.length;
+  }
+
+  // Send one digest per user for searches of the given frequency whose period has passed
+  static async sendDigests(frequency) {
+    const due = new Date(Date.now() - DIGEST_PERIODS[frequency]);
+    const searches = await SavedSearch.find({
+      frequency,
+      isActive: true,
+      'pendingMatches.0': { $exists: true },
+      $or: [{ lastDigestAt: null, createdAt: { $lte: due } }, { lastDigestAt: { $lte: due } }]
+    })
+      .populate('user', 'firstName email isActive isDeleted')
+      .populate('pendingMatches.job', 'title location.city budget status isActive');
+
+    const byUser = new Map();
+    searches.forEach(search => {
+      if (!search.user) return;
+      const userId = search.user._id.toString();
+      if (!byUser.has(userId)) byUser.set(userId, { user: search.user, searches: [] });
+      byUser.get(userId).searches.push(search);
+    });
+
+    let sent = 0;
+    for (const { user, searches: userSearches } of byUser.values()) {
+      // Jobs that were filled or taken down since they matched are left out
+      const sections = userSearches
+        .map(search => ({
+          name: search.name,
+          jobQuery: search.toJobQuery(),
+          jobs: search.pendingMatches
+            .map(match => match.job)
+            .filter(job => job && job.isActive && job.status === 'open')
+        }))
+        .filter(section => section.jobs.length > 0);
+
+      try {
+        if (sections.length > 0 && user.isActive && !user.isDeleted) {
+          const jobCount = sections.reduce((count, section) => count + section.jobs.length, 0);
+
+          await sendJobAlertDigestEmail(user.email, user.firstName, sections, frequency);
+          await Notification.create({
+            recipient: user._id,
+            type: 'job_alert',
+            title: 'Your job alert digest',
+            message: `${jobCount} new job${jobCount === 1 ? '' : 's'} matched your saved searches`,
+            data: { frequency, savedSearchIds: userSearches.map(search => search._id) },
+            actionUrl: '/saved-searches'
+          });
+          sent += 1;
+        }
+
+        // Only the matches read above are removed; jobs matched meanwhile wait for the next digest
+        const sentMatchIds = userSearches.flatMap(search => search.pendingMatches.map(match => match._id));
+        await SavedSearch.updateMany(
+          { _id: { $in: userSearches.map(search => search._id) } },
+          { $pull: { pendingMatches: { _id: { $in: sentMatchIds } } }, $set: { lastDigestAt: new Date() } }
+        );
+      } catch (error) {
+        console.error(`Error sending ${frequency} job alert digest to ${user._id}:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  static async processDigests() {
+    const daily = await SavedSearchService.sendDigests('daily');
+    const weekly = await SavedSearchService.sendDigests('weekly');
+    return { daily, weekly };
+  }
+}
+
+module.exports = SavedSearchService;
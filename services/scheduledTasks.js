@@ -0,0 +1,77 @@
+const Scheduler = require('./scheduler');
+const AccountDeletionService = require('./accountDeletionService');
+const SavedSearchService = require('./savedSearchService');
+const JobLifecycleService = require('./jobLifecycleService');
+const ReviewReminderService = require('./reviewReminderService');
+const JobOccurrenceService = require('./jobOccurrenceService');
+const ApplicationService = require('./applicationService');
+const AppointmentService = require('./appointmentService');
+const { markInactiveUsersOffline } = require('../middleware/activityTracker');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// The background tasks this server runs. Each runs on one instance at a time;
+// run state is kept in the scheduledtasks collection and shown at GET /api/admin/tasks.
+const registerScheduledTasks = () => {
+  Scheduler.register('mark-users-offline', {
+    description: 'Mark users inactive for 5 minutes as offline',
+    intervalMs: 2 * MINUTE_MS,
+    lockMs: MINUTE_MS,
+    handler: markInactiveUsersOffline
+  });
+
+  Scheduler.register('expire-stale-jobs', {
+    description: 'Expire open and paused jobs that reached their expiry date without a hire',
+    intervalMs: HOUR_MS,
+    handler: () => JobLifecycleService.expireStaleJobs()
+  });
+
+  Scheduler.register('generate-job-occurrences', {
+    description: 'Create the next four weeks of occurrences for recurring jobs in progress',
+    intervalMs: 6 * HOUR_MS,
+    handler: () => JobOccurrenceService.generateDue()
+  });
+
+  Scheduler.register('reconcile-application-counts', {
+    description: 'Repair jobs whose applications count does not match their active applications',
+    intervalMs: 24 * HOUR_MS,
+    lockMs: 30 * MINUTE_MS,
+    handler: () => ApplicationService.reconcileApplicationCounts()
+  });
+
+  Scheduler.register('send-review-reminders', {
+    description: 'Remind clients to review the worker a day after a job is completed',
+    intervalMs: 6 * HOUR_MS,
+    handler: () => ReviewReminderService.sendReminders()
+  });
+
+  Scheduler.register('send-appointment-reminders', {
+    description: 'Remind both sides of interviews and site visits a day and an hour before',
+    intervalMs: 15 * MINUTE_MS,
+    lockMs: 5 * MINUTE_MS,
+    handler: () => AppointmentService.sendReminders()
+  });
+
+  Scheduler.register('send-job-alert-digests', {
+    description: 'Send daily and weekly saved search digests that are due',
+    intervalMs: HOUR_MS,
+    handler: () => SavedSearchService.processDigests()
+  });
+
+  Scheduler.register('process-account-deletions', {
+    description: 'Delete accounts whose deletion grace period has ended',
+    intervalMs: HOUR_MS,
+    lockMs: 30 * MINUTE_MS,
+    handler: async () => ({ deleted: await AccountDeletionService.processDueDeletions() })
+  });
+
+  Scheduler.register('purge-unverified-accounts', {
+    description: 'Delete unused accounts that never verified an email or phone number',
+    intervalMs: 24 * HOUR_MS,
+    lockMs: 30 * MINUTE_MS,
+    handler: () => AccountDeletionService.purgeUnverifiedAccounts()
+  });
+};
+
+module.exports = { registerScheduledTasks };
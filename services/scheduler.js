@@ -0,0 +1,184 @@
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledTask = require('../models/ScheduledTask');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000; // 10 minutes
+
+// Identifies this server process in task locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Tasks registered in this process, by name
+const tasks = new Map();
+
+let pollTimer = null;
+let ticking = false;
+
+class Scheduler {
+  /**
+   * Register a background task.
+   * handler is an async function; what it returns is stored as the task's lastResult.
+   * lockMs is how long one run may take before another instance may take the task over.
+   */
+  static register(name, { description, intervalMs, lockMs = DEFAULT_LOCK_MS, handler }) {
+    tasks.set(name, { name, description, intervalMs, lockMs, handler });
+  }
+
+  static getInstanceId() {
+    return INSTANCE_ID;
+  }
+
+  static isRegistered(name) {
+    return tasks.has(name);
+  }
+
+  // Create a state document for every registered task and keep description and interval current
+  static async sync() {
+    for (const task of tasks.values()) {
+      try {
+        await ScheduledTask.updateOne(
+          { name: task.name },
+          {
+            $set: { description: task.description, intervalMs: task.intervalMs },
+            $setOnInsert: { nextRunAt: new Date() }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another instance created it at the same moment
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  // Take the lock on a task that is due. Returns null if it is not due, disabled or running elsewhere.
+  static async claim(task) {
+    const now = new Date();
+
+    return ScheduledTask.findOneAndUpdate(
+      {
+        name: task.name,
+        isEnabled: true,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + task.lockMs),
+          lastStartedAt: now,
+          lastStatus: 'running'
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Run a claimed task, record the outcome and release the lock
+  static async run(task) {
+    const startedAt = Date.now();
+    const outcome = {
+      $set: {},
+      $unset: { lockedBy: '', lockedUntil: '' },
+      $inc: { runCount: 1 }
+    };
+
+    try {
+      const result = await task.handler();
+      outcome.$set.lastStatus = 'succeeded';
+      outcome.$set.lastResult = result === undefined ? null : result;
+      outcome.$set.consecutiveFailures = 0;
+      outcome.$unset.lastError = '';
+    } catch (error) {
+      console.error(`Scheduled task ${task.name} failed:`, error.message);
+      outcome.$set.lastStatus = 'failed';
+      outcome.$set.lastError = error.message;
+      outcome.$inc.failureCount = 1;
+      outcome.$inc.consecutiveFailures = 1;
+    }
+
+    const finishedAt = new Date();
+    outcome.$set.lastFinishedAt = finishedAt;
+    outcome.$set.lastDurationMs = finishedAt.getTime() - startedAt;
+    outcome.$set.nextRunAt = new Date(finishedAt.getTime() + task.intervalMs);
+
+    // Only while we still hold the lock; if the run overran it, the instance that took over records its own run
+    const updated = await ScheduledTask.updateOne({ name: task.name, lockedBy: INSTANCE_ID }, outcome);
+    if (updated.matchedCount === 0) {
+      console.warn(`Scheduled task ${task.name} ran longer than its ${task.lockMs}ms lock`);
+    }
+  }
+
+  // Run every registered task that is due, one after another
+  static async tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      for (const task of tasks.values()) {
+        try {
+          const claimed = await Scheduler.claim(task);
+          if (claimed) {
+            await Scheduler.run(task);
+          }
+        } catch (error) {
+          console.error(`Error scheduling task ${task.name}:`, error.message);
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  static async start() {
+    if (pollTimer) return;
+
+    await Scheduler.sync();
+    pollTimer = setInterval(() => {
+      Scheduler.tick();
+    }, POLL_INTERVAL_MS);
+    Scheduler.tick();
+
+    console.log(`Task scheduler started with ${tasks.size} tasks (instance ${INSTANCE_ID})`);
+  }
+
+  static stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  // State of every task, with the ones registered in this process flagged
+  static async getStatus() {
+    const states = await ScheduledTask.find().sort({ name: 1 });
+
+    return states.map(state => ({
+      ...state.toJSON(),
+      isRegistered: tasks.has(state.name)
+    }));
+  }
+
+  // Make a task due now; the next poll on any instance runs it
+  static async runNow(name) {
+    const state = await ScheduledTask.findOneAndUpdate(
+      { name },
+      { $set: { nextRunAt: new Date() } },
+      { new: true }
+    );
+
+    if (state && tasks.has(name)) {
+      setImmediate(() => Scheduler.tick());
+    }
+
+    return state;
+  }
+
+  static async setEnabled(name, isEnabled) {
+    return ScheduledTask.findOneAndUpdate(
+      { name },
+      { $set: { isEnabled } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,10 @@
+// Error raised when an SMS gateway rejects a message or is not reachable
+class SmsError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'SmsError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = SmsError;
@@ -0,0 +1,20 @@
+const { maskPhone } = require('../../utils/phone');
+
+/**
+ * Local development gateway: messages are printed instead of sent.
+ * Never enabled automatically in production.
+ */
+const createConsoleProvider = () => ({
+  name: 'console',
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  },
+
+  async send(to, message) {
+    console.log(`📱 SMS to ${maskPhone(to)}: ${message}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+module.exports = { createConsoleProvider };
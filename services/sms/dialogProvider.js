@@ -0,0 +1,78 @@
+const SmsError = require('./SmsError');
+
+const TOKEN_TTL_MS = 50 * 60 * 1000; // Dialog tokens last an hour; refresh a little early
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Dialog eSMS (v2 API).
+ * A bearer token is obtained with the account username/password and reused until it expires.
+ * Numbers are sent without the country code (7XXXXXXXX).
+ */
+const createDialogProvider = ({
+  username = process.env.DIALOG_SMS_USERNAME,
+  password = process.env.DIALOG_SMS_PASSWORD,
+  sourceAddress = process.env.DIALOG_SMS_MASK,
+  apiUrl = process.env.DIALOG_SMS_API_URL || 'https://e-sms.dialog.lk/api/v2',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => {
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  const getToken = async () => {
+    if (token && Date.now() < tokenExpiresAt) {
+      return token;
+    }
+
+    const response = await fetch(`${apiUrl}/user/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.token) {
+      throw new SmsError('Dialog SMS login failed');
+    }
+
+    token = body.token;
+    tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+    return token;
+  };
+
+  return {
+    name: 'dialog',
+
+    isConfigured() {
+      return !!(username && password && sourceAddress);
+    },
+
+    async send(to, message) {
+      const transactionId = Date.now();
+      const response = await fetch(`${apiUrl}/sms`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          msisdn: [{ mobile: to.replace(/^\+94/, '') }],
+          sourceAddress,
+          message,
+          transaction_id: transactionId
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok || body.status !== 'success') {
+        // Force a fresh login next time in case the token was revoked
+        token = null;
+        throw new SmsError(`Dialog rejected the message: ${body.comment || response.status}`);
+      }
+      return { messageId: String(transactionId) };
+    }
+  };
+};
+
+module.exports = { createDialogProvider };
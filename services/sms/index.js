@@ -0,0 +1,64 @@
+const { createConsoleProvider } = require('./consoleProvider');
+const { createTwilioProvider } = require('./twilioProvider');
+const { createDialogProvider } = require('./dialogProvider');
+const { createMobitelProvider } = require('./mobitelProvider');
+const SmsError = require('./SmsError');
+const { normalizePhone } = require('../../utils/phone');
+
+/**
+ * Registry of SMS gateways.
+ * Every gateway exposes `name`, `isConfigured()` and `send(to, message)`, where `to` is an
+ * E.164 number. The active gateway is chosen with SMS_PROVIDER (defaults to console).
+ */
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Get the gateway selected by SMS_PROVIDER or throw
+const getActiveProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new SmsError(`Unknown SMS provider: ${name}`, 503);
+  }
+  if (!provider.isConfigured()) {
+    throw new SmsError(`${name} SMS provider is not configured`, 503);
+  }
+  return provider;
+};
+
+// Send a text message to a Sri Lankan mobile number
+const sendSms = async (to, message) => {
+  const phone = normalizePhone(to);
+  if (!phone) {
+    throw new SmsError('Invalid phone number', 400);
+  }
+
+  const provider = getActiveProvider();
+  let result;
+  try {
+    result = await provider.send(phone, message);
+  } catch (error) {
+    // Gateways give up after a few seconds (AbortSignal.timeout)
+    if (error.name === 'TimeoutError') {
+      throw new SmsError(`${provider.name} SMS gateway did not respond in time`, 504);
+    }
+    throw error;
+  }
+  return { provider: provider.name, ...result };
+};
+
+registerProvider(createConsoleProvider());
+registerProvider(createTwilioProvider());
+registerProvider(createDialogProvider());
+registerProvider(createMobitelProvider());
+
+module.exports = {
+  registerProvider,
+  getActiveProvider,
+  sendSms,
+  SmsError
+};
@@ -0,0 +1,46 @@
+const SmsError = require('./SmsError');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Mobitel Enterprise SMS (mSMS) REST API.
+ * Numbers are sent in local format (07XXXXXXXX).
+ */
+const createMobitelProvider = ({
+  username = process.env.MOBITEL_SMS_USERNAME,
+  password = process.env.MOBITEL_SMS_PASSWORD,
+  alias = process.env.MOBITEL_SMS_ALIAS,
+  apiUrl = process.env.MOBITEL_SMS_API_URL || 'https://msmsenterpriseapi.mobitel.lk/EnterpriseSMSV3/esmsproxyURL.php',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => ({
+  name: 'mobitel',
+
+  isConfigured() {
+    return !!(username && password && alias);
+  },
+
+  async send(to, message) {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username,
+        password,
+        from: alias,
+        to: to.replace(/^\+94/, '0'),
+        text: message,
+        mesageType: 0 // Non-promotional (sic, the API spells it this way)
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    // The API answers 200 for everything and reports the outcome in resultcode
+    if (!response.ok || String(body.resultcode) !== '200') {
+      throw new SmsError(`Mobitel rejected the message: ${body.response || body.resultcode || response.status}`);
+    }
+    return { messageId: body.messageid ? String(body.messageid) : undefined };
+  }
+});
+
+module.exports = { createMobitelProvider };
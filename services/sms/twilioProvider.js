@@ -0,0 +1,41 @@
+const SmsError = require('./SmsError');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Twilio Programmable Messaging.
+ * `apiUrl` can point at a mock server in tests.
+ */
+const createTwilioProvider = ({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_FROM_NUMBER,
+  apiUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01',
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => ({
+  name: 'twilio',
+
+  isConfigured() {
+    return !!(accountSid && authToken && from);
+  },
+
+  async send(to, message) {
+    const response = await fetch(`${apiUrl}/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: from, Body: message }).toString(),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new SmsError(`Twilio rejected the message: ${body.message || response.status}`);
+    }
+    return { messageId: body.sid };
+  }
+});
+
+module.exports = { createTwilioProvider };
@@ -0,0 +1,152 @@
+const Profile = require('../models/Profile');
+const Application = require('../models/Application');
+const JobInvitation = require('../models/JobInvitation');
+const { lookupCity } = require('./geocoding');
+const { distanceKm } = require('../utils/geo');
+const { phraseMatches } = require('../utils/searchText');
+
+const CANDIDATE_LIMIT = 1000;
+
+// Maximum points per factor; a perfect match scores 100
+const WEIGHTS = {
+  skills: 40,
+  rating: 25,
+  completedJobs: 15,
+  distance: 20
+};
+
+// Ratings count fully from this many reviews; fewer reviews count proportionally less
+const TRUSTED_REVIEW_COUNT = 5;
+// Completed jobs at which the experience factor is maxed out
+const EXPERIENCED_JOB_COUNT = 20;
+
+class WorkerSuggestionService {
+  /**
+   * Score one worker profile for a job.
+   * Returns null for workers with nothing relevant to offer or who would have to travel
+   * further than their own maximum distance.
+   */
+  static scoreWorker(profile, job, jobCoordinates) {
+    const breakdown = {};
+    const reasons = [];
+    let workerDistanceKm = null;
+
+    // Skills: share of the job's skills covered, or the job category among the worker's categories
+    const workerSkills = profile.skills || [];
+    const matchedSkills = (job.skills || []).filter(jobSkill =>
+      workerSkills.some(skill => phraseMatches(jobSkill, skill.name))
+    );
+    const categories = [
+      ...((profile.preferences && profile.preferences.jobTypes) || []),
+      ...(profile.workerCategories || [])
+    ];
+    const inCategory = categories.includes(job.category) ||
+      workerSkills.some(skill => phraseMatches(job.category.replace('-', ' '), skill.name));
+
+    const skillShare = job.skills && job.skills.length > 0 ? matchedSkills.length / job.skills.length : 0;
+    const skillScore = Math.max(skillShare, inCategory ? 0.5 : 0);
+    if (skillScore === 0) return null;
+
+    breakdown.skills = Math.round(WEIGHTS.skills * skillScore);
+    if (matchedSkills.length > 0) {
+      reasons.push(`Has ${matchedSkills.length} of ${job.skills.length} required skills: ${matchedSkills.join(', ')}`);
+    } else {
+      reasons.push(`Works in ${job.category}`);
+    }
+
+    // Rating, discounted for workers with only a few reviews
+    const ratings = profile.ratings || {};
+    const confidence = Math.min(ratings.count || 0, TRUSTED_REVIEW_COUNT) / TRUSTED_REVIEW_COUNT;
+    breakdown.rating = Math.round(WEIGHTS.rating * ((ratings.average || 0) / 5) * confidence);
+    if (ratings.count > 0) {
+      reasons.push(`Rated ${ratings.average.toFixed(1)} from ${ratings.count} review${ratings.count === 1 ? '' : 's'}`);
+    }
+
+    // Completed jobs, with diminishing returns
+    const completed = profile.completedJobs || 0;
+    breakdown.completedJobs = Math.round(WEIGHTS.completedJobs *
+      Math.min(1, Math.log10(1 + completed) / Math.log10(1 + EXPERIENCED_JOB_COUNT)));
+    if (completed > 0) {
+      reasons.push(`${completed} job${completed === 1 ? '' : 's'} completed`);
+    }
+
+    // Distance from the worker's city, within the distance they are willing to travel
+    const user = profile.user;
+    const workerPlace = lookupCity(profile.city || (user.address && user.address.city));
+    const maxDistance = (profile.preferences && profile.preferences.maxDistance) || 50;
+    if (job.isRemote) {
+      breakdown.distance = WEIGHTS.distance;
+    } else if (workerPlace && jobCoordinates) {
+      const distance = distanceKm([workerPlace.lng, workerPlace.lat], jobCoordinates);
+      if (distance > maxDistance) return null;
+      workerDistanceKm = Math.round(distance * 10) / 10;
+      breakdown.distance = Math.round(WEIGHTS.distance * (1 - distance / maxDistance));
+      reasons.push(`About ${workerDistanceKm} km away`);
+    } else {
+      // Unknown distance: neither rewarded nor excluded
+      breakdown.distance = Math.round(WEIGHTS.distance / 4);
+    }
+
+    const score = breakdown.skills + breakdown.rating + breakdown.completedJobs + breakdown.distance;
+
+    return { score, distanceKm: workerDistanceKm, breakdown, reasons };
+  }
+
+  // Verified, available workers ranked for a job, with their invitation status
+  static async suggestForJob(job, { page = 1, limit = 10 } = {}) {
+    const [profiles, applications, invitations] = await Promise.all([
+      Profile.find({
+        'availability.status': 'available',
+        $or: [{ isVerified: true }, { workerVerificationStatus: 'approved' }]
+      })
+        .populate('user', 'firstName lastName profilePicture userType roles address isActive isDeleted')
+        .select('user title skills ratings completedJobs preferences workerCategories city availability')
+        .limit(CANDIDATE_LIMIT),
+      Application.find({ job: job._id, isActive: true }).select('worker'),
+      JobInvitation.find({ job: job._id }).select('worker status expiresAt')
+    ]);
+
+    const appliedWorkers = new Set(applications.map(application => application.worker.toString()));
+    const invitationsByWorker = new Map(invitations.map(invitation => [invitation.worker.toString(), invitation]));
+    const jobCoordinates = job.location && job.location.coordinates && job.location.coordinates.length === 2
+      ? [...job.location.coordinates]
+      : null;
+
+    const ranked = profiles
+      .filter(profile => {
+        const user = profile.user;
+        return user && user.isActive && !user.isDeleted && user.hasRole('worker') &&
+          user._id.toString() !== job.client.toString() &&
+          !appliedWorkers.has(user._id.toString());
+      })
+      .map(profile => ({ profile, match: WorkerSuggestionService.scoreWorker(profile, job, jobCoordinates) }))
+      .filter(item => item.match)
+      .sort((a, b) => b.match.score - a.match.score);
+
+    const skip = (page - 1) * limit;
+
+    return {
+      workers: ranked.slice(skip, skip + limit).map(({ profile, match }) => {
+        const invitation = invitationsByWorker.get(profile.user._id.toString());
+        return {
+          user: {
+            _id: profile.user._id,
+            firstName: profile.user.firstName,
+            lastName: profile.user.lastName,
+            profilePicture: profile.user.profilePicture
+          },
+          title: profile.title,
+          skills: profile.skills,
+          ratings: profile.ratings,
+          completedJobs: profile.completedJobs,
+          city: profile.city,
+          invitation: invitation ? { _id: invitation._id, status: invitation.status, isExpired: invitation.isExpired } : null,
+          match
+        };
+      }),
+      total: ranked.length
+    };
+  }
+}
+
+module.exports = WorkerSuggestionService;
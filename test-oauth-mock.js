@@ -0,0 +1,86 @@
+// Signs in with each provider against the local mock issuer (services/oauth/mockIssuer.js),
+// without network access or provider credentials. Run with `npm run test:oauth`.
+const { startMockIssuer } = require('./services/oauth/mockIssuer');
+const { createGoogleProvider } = require('./services/oauth/googleProvider');
+const { createAppleProvider } = require('./services/oauth/appleProvider');
+const { createFacebookProvider } = require('./services/oauth/facebookProvider');
+
+const check = async (label, run) => {
+  try {
+    const result = await run();
+    console.log(`✅ ${label}`, result ? JSON.stringify(result) : '');
+    return true;
+  } catch (error) {
+    console.error(`❌ ${label}: ${error.message}`);
+    return false;
+  }
+};
+
+// Passes when run() fails with the expected status code
+const expectError = (statusCode, run) => async () => {
+  try {
+    await run();
+  } catch (error) {
+    if (error.statusCode === statusCode) return { statusCode };
+    throw new Error(`expected ${statusCode}, got ${error.statusCode || error.message}`);
+  }
+  throw new Error(`expected ${statusCode}, but it succeeded`);
+};
+
+const main = async () => {
+  const mock = await startMockIssuer();
+  const other = await startMockIssuer();
+
+  const google = createGoogleProvider({ clientIds: ['workie-web'], issuers: [mock.issuer], jwksUri: mock.jwksUri });
+  const apple = createAppleProvider({ clientIds: ['lk.workie.app'], issuer: mock.issuer, jwksUri: mock.jwksUri });
+  const facebook = createFacebookProvider({ appId: '1234', appSecret: 'secret', graphUrl: mock.graphUrl });
+
+  const results = [
+    await check('Google ID token', () => google.verify({
+      idToken: mock.signIdToken(
+        { sub: 'g-1', email: 'Nimal@example.lk', email_verified: true, given_name: 'Nimal' },
+        { audience: 'workie-web' }
+      )
+    })),
+    await check('Google token for another client is rejected', expectError(401, () => google.verify({
+      idToken: mock.signIdToken({ sub: 'g-1', email: 'nimal@example.lk', email_verified: true }, { audience: 'other-app' })
+    }))),
+    await check('Apple identity token', () => apple.verify({
+      idToken: mock.signIdToken({ sub: 'a-1', email: 'kamala@example.lk', email_verified: 'true' }, { audience: 'lk.workie.app' }),
+      user: { name: { firstName: 'Kamala', lastName: 'Perera' } }
+    })),
+    await check('Apple token signed by another issuer is rejected', expectError(401, () => apple.verify({
+      idToken: other.signIdToken({ sub: 'a-1' }, { audience: 'lk.workie.app' })
+    }))),
+    await check('Facebook access token', () => facebook.verify({
+      accessToken: mock.issueFacebookToken(
+        { id: 99, email: 'sunil@example.lk', firstName: 'Sunil', lastName: 'Silva' },
+        { appId: '1234' }
+      )
+    })),
+    await check('Facebook token for another app is rejected', expectError(401, () => facebook.verify({
+      accessToken: mock.issueFacebookToken({ id: 98 }, { appId: '5678' })
+    })))
+  ];
+
+  await mock.close();
+  await other.close();
+
+  // With the issuer gone, sign-in is unavailable rather than the token invalid
+  const offline = createAppleProvider({ clientIds: ['lk.workie.app'], issuer: mock.issuer, jwksUri: mock.jwksUri });
+  results.push(await check('Unreachable key set answers 503', expectError(503, () => offline.verify({
+    idToken: other.signIdToken({ sub: 'a-1' }, { audience: 'lk.workie.app' })
+  }))));
+  results.push(await check('Unreachable Graph API answers 503', expectError(503, () => facebook.verify({
+    accessToken: 'anything'
+  }))));
+
+  const failed = results.filter(passed => !passed).length;
+  console.log(failed ? `\n${failed} of ${results.length} checks failed` : `\nAll ${results.length} checks passed`);
+  process.exit(failed ? 1 : 0);
+};
+
+main().catch(error => {
+  console.error('OAuth mock check crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,196 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Create an error carrying an HTTP status code
+const tokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Hash a refresh token before it is stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Derive a readable device name from the User-Agent header
+const describeUserAgent = (userAgent = '') => {
+  let platform = 'Unknown device';
+  if (/android/i.test(userAgent)) platform = 'Android';
+  else if (/iphone|ipad|ios/i.test(userAgent)) platform = 'iOS';
+  else if (/windows/i.test(userAgent)) platform = 'Windows';
+  else if (/mac os x|macintosh/i.test(userAgent)) platform = 'macOS';
+  else if (/linux/i.test(userAgent)) platform = 'Linux';
+
+  let client = '';
+  if (/okhttp|dart|expo|reactnative/i.test(userAgent)) client = 'Workie app';
+  else if (/edg\//i.test(userAgent)) client = 'Edge';
+  else if (/chrome\//i.test(userAgent)) client = 'Chrome';
+  else if (/firefox\//i.test(userAgent)) client = 'Firefox';
+  else if (/safari\//i.test(userAgent)) client = 'Safari';
+
+  return client ? `${client} on ${platform}` : platform;
+};
+
+// Collect device details for a new session from the request
+const getDeviceInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  const body = req.body || {};
+
+  return {
+    deviceId: req.get('X-Device-Id') || body.deviceId || undefined,
+    name: body.deviceName || describeUserAgent(userAgent),
+    userAgent,
+    ip: req.ip || (req.connection && req.connection.remoteAddress)
+  };
+};
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// Start a new session for the user and return the token pair
+const issueAuthTokens = async (user, req, { secondFactorVerified = false } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: getDeviceInfo(req),
+    secondFactorVerifiedAt: secondFactorVerified ? new Date() : undefined,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    sessionId: session._id
+  };
+};
+
+// Exchange a refresh token for a new token pair (refresh token rotation)
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A rotated-out token being presented again means it was copied; kill the session
+    const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (reusedSession) {
+      await reusedSession.revoke('token-reuse');
+      throw tokenError('Refresh token has already been used. Please log in again.');
+    }
+    throw tokenError('Invalid refresh token');
+  }
+
+  if (session.revokedAt) {
+    throw tokenError('Session has been revoked. Please log in again.');
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw tokenError('Refresh token expired. Please log in again.');
+  }
+
+  // Swap the token only if it is still the current one, so two refreshes with the same token
+  // cannot both get a new pair
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        'device.ip': req.ip || (req.connection && req.connection.remoteAddress)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Another request used the same token first: one of the two holds a copy
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token-reuse' } }
+    );
+    throw tokenError('Refresh token has already been used. Please log in again.');
+  }
+
+  return {
+    session: rotated,
+    tokens: {
+      token: generateAccessToken(rotated.user, rotated._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+      sessionId: rotated._id
+    }
+  };
+};
+
+// Issue a short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a two-factor login challenge and return the user id it was issued for
+const verifyTwoFactorChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw tokenError('Login challenge is invalid or has expired. Please log in again.');
+  }
+
+  if (decoded.purpose !== '2fa-login') {
+    throw tokenError('Invalid login challenge');
+  }
+
+  return decoded.id;
+};
+
+// Look up the session an access token belongs to, if it is still usable
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  getDeviceInfo,
+  generateAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getActiveSession,
+  revokeUserSessions
+};
@@ -116,6 +116,13 @@ const sendEmail = async (options) => {
   }
 };
 
+// Job titles and search names come from users, so they are escaped before going into HTML
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Email templates
 const emailTemplates = {
   // Welcome email
@@ -268,6 +275,48 @@ const emailTemplates = {
         <p>Best regards,<br>The Workie.lk Team</p>
       </div>
     `
+  }),
+
+  // Account deletion scheduled
+  accountDeletionScheduled: (firstName, scheduledFor) => ({
+    subject: 'Your Workie.lk account will be deleted',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: auto;">
+        <h2 style="color: #dc2626;">Account Deletion Requested</h2>
+        <p>Hi ${firstName},</p>
+        <p>We received a request to delete your Workie.lk account. Your account and data will be permanently deleted on <strong>${scheduledFor.toDateString()}</strong>.</p>
+        <p>If you change your mind, log in and cancel the deletion before then.</p>
+        <p>If you did not make this request, log in and cancel it now, then change your password.</p>
+        <br>
+        <p>Best regards,<br>The Workie.lk Team</p>
+      </div>
+    `
+  }),
+
+  // Digest of new jobs matching saved searches
+  jobAlertDigest: (firstName, searches, frequency) => ({
+    subject: `New jobs matching your saved searches (${frequency} digest)`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Jobs For You</h2>
+        <p>Hi ${escapeHtml(firstName)},</p>
+        <p>These jobs were posted since your last ${frequency} digest:</p>
+        ${searches.map(search => `
+          <h3 style="color: #1f2937; margin-bottom: 8px;">${escapeHtml(search.name)}</h3>
+          <ul style="padding-left: 20px; margin-top: 0;">
+            ${search.jobs.map(job => `
+              <li style="margin-bottom: 6px;">
+                <a href="${process.env.CLIENT_URL}/jobs/${job._id}" style="color: #2563eb;">${escapeHtml(job.title)}</a>
+                <span style="color: #6b7280;"> - ${escapeHtml(job.location && job.location.city)}, ${job.budget.currency} ${job.budget.amount}</span>
+              </li>
+            `).join('')}
+          </ul>
+          <p style="margin-top: 0;"><a href="${process.env.CLIENT_URL}/jobs?${search.jobQuery}" style="color: #2563eb;">See all results</a></p>
+        `).join('')}
+        <p style="color: #6b7280; font-size: 12px;">You can change how often you get these emails, or turn them off, in your saved searches.</p>
+        <p>Best regards,<br>The Workie.lk Team</p>
+      </div>
+    `
   })
 };
 
@@ -346,6 +395,25 @@ const sendPasswordResetPin = async (email, firstName, pin) => {
   });
 };
 
+// Send account deletion confirmation
+const sendAccountDeletionScheduledEmail = async (email, firstName, scheduledFor) => {
+  const template = emailTemplates.accountDeletionScheduled(firstName, scheduledFor);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+const sendJobAlertDigestEmail = async (email, firstName, searches, frequency) => {
+  const template = emailTemplates.jobAlertDigest(firstName, searches, frequency);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
 // Send OTP Email
 const sendOtpEmail = async (email, otp, firstName) => {
   const template = {
@@ -399,5 +467,7 @@ module.exports = {
   sendReviewReceivedEmail,
   sendEmailVerificationCode,
   sendPasswordResetPin,
+  sendAccountDeletionScheduledEmail,
+  sendJobAlertDigestEmail,
   sendOtpEmail
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Errors for broken business rules. Routes answer with error.statusCode and error.message.
+
+// Applying to, inviting someone to, or negotiating the price of a job is not allowed
+class ApplicationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApplicationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A job status change that the lifecycle does not allow (see config/jobLifecycle.js)
+class JobTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Skipping, rescheduling or completing an occurrence of a recurring job is not allowed
+class OccurrenceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OccurrenceError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Adding, submitting or approving a job milestone is not allowed
+class MilestoneError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MilestoneError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Hiring a worker for a job, or completing a worker's part, is not allowed
+class AssignmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AssignmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Proposing, confirming or cancelling an interview or site visit is not allowed
+class AppointmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  ApplicationError,
+  JobTransitionError,
+  OccurrenceError,
+  MilestoneError,
+  AssignmentError,
+  AppointmentError
+};
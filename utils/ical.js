@@ -0,0 +1,68 @@
+// iCalendar (RFC 5545) export: enough of VCALENDAR/VEVENT for calendar apps to import
+// appointments. Times are written in UTC, so no VTIMEZONE is needed.
+
+const PRODUCT_ID = '-//Workie.lk//Appointments//EN';
+const MAX_LINE_OCTETS = 75;
+
+// 20260118T043000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Backslashes, separators and line breaks are escaped in text values
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+/**
+ * One VEVENT. `uid` must stay the same for the same event across exports, so calendar
+ * apps update it instead of adding a copy.
+ * status is CONFIRMED, TENTATIVE or CANCELLED.
+ */
+const buildEvent = ({ uid, start, end, summary, description, location, status = 'CONFIRMED', updatedAt }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatDate(updatedAt || new Date())}`,
+  `DTSTART:${formatDate(start)}`,
+  `DTEND:${formatDate(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+  `STATUS:${status}`,
+  'END:VEVENT'
+];
+
+// A whole calendar file from a list of events (see buildEvent), with CRLF line endings
+const buildCalendar = (events, { name } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ...events.flatMap(buildEvent),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = { buildCalendar, buildEvent, escapeText, formatDate };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const OTP_DIGITS = 5;
+const OTP_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
+
+// Codes only have 100,000 possible values, so a plain hash could be reversed by trying them
+// all. Keying the hash with a server-side secret means a database dump alone is not enough.
+const getPepper = () => process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+
+const digest = (salt, code) => {
+  return crypto
+    .createHmac('sha256', getPepper())
+    .update(`${salt}:${code}`)
+    .digest('hex');
+};
+
+// Generate a random numeric code (5 digits by default)
+const generateOtp = (digits = OTP_DIGITS) => {
+  const min = 10 ** (digits - 1);
+  return crypto.randomInt(min, min * 10).toString();
+};
+
+// Hash a code with a fresh salt for storage, as "salt:hash"
+const hashOtp = (code) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${digest(salt, String(code))}`;
+};
+
+// Compare a submitted code with a stored "salt:hash" in constant time
+const verifyOtp = (code, storedHash) => {
+  if (code === undefined || code === null || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [salt, hash] = storedHash.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(digest(salt, String(code).trim()), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  OTP_EXPIRY_MS,
+  generateOtp,
+  hashOtp,
+  verifyOtp
+};
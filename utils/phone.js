@@ -0,0 +1,37 @@
+// Sri Lankan mobile numbers are stored in E.164 form (+94XXXXXXXXX).
+// Users type them as +94771234567, 0771234567, 771234567 or 94771234567.
+const LOCAL_NUMBER_REGEX = /^(?:\+94|94|0)?([0-9]{9})$/;
+
+// Normalise a phone number to +94XXXXXXXXX, or null if it is not a valid Sri Lankan number
+const normalizePhone = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const cleanPhone = String(value).replace(/[\s\-()]/g, '');
+  const match = cleanPhone.match(LOCAL_NUMBER_REGEX);
+  if (!match) return null;
+
+  return `+94${match[1]}`;
+};
+
+// Every format an older account may have stored the number in, for lookups
+const getPhoneVariants = (value) => {
+  const normalized = normalizePhone(value);
+  if (!normalized) return [];
+
+  const localPart = normalized.slice(3);
+  return [normalized, `94${localPart}`, `0${localPart}`, localPart];
+};
+
+// Hide all but the last digits, e.g. +94*****4567
+const maskPhone = (value) => {
+  const normalized = normalizePhone(value) || String(value || '');
+  if (normalized.length <= 4) return normalized;
+
+  return `${normalized.slice(0, 3)}${'*'.repeat(normalized.length - 7)}${normalized.slice(-4)}`;
+};
+
+module.exports = {
+  normalizePhone,
+  getPhoneVariants,
+  maskPhone
+};
@@ -0,0 +1,255 @@
+// Recurrence rules: the part of iCalendar RRULE (RFC 5545) that repeated household jobs need.
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY   required
+//   INTERVAL=n                  every n days/weeks/months (default 1)
+//   BYDAY=MO,TH                 weekly: days of the week; monthly: e.g. 1MO (first Monday), -1FR (last Friday)
+//   BYMONTHDAY=1,15,-1          monthly: days of the month, negative counts from the end
+//   COUNT=n or UNTIL=YYYYMMDD[THHMMSSZ]
+//
+// Times are Sri Lankan local time (UTC+05:30, no daylight saving): occurrences keep the
+// time of day of the first one, and weekdays and month days are those of Colombo.
+
+const TIMEZONE_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 500;
+// Upper bound on periods walked when expanding, so a bad rule cannot loop for long
+const MAX_PERIODS = 5000;
+
+// Shift between UTC and local wall-clock time; local dates are read with the getUTC* methods
+const toLocal = (date) => new Date(date.getTime() + TIMEZONE_OFFSET_MS);
+const fromLocal = (date) => new Date(date.getTime() - TIMEZONE_OFFSET_MS);
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (!hour) {
+    // A date-only UNTIL includes the whole local day
+    return fromLocal(new Date(Date.UTC(+year, +month - 1, +day, 23, 59, 59)));
+  }
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+  return utc ? date : fromLocal(date);
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional) into
+ * { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, count, until }.
+ * Throws an Error describing the first problem found.
+ */
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(val, 10);
+        if (!/^\d+$/.test(val) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          throw new Error(`INTERVAL must be between 1 and ${MAX_INTERVAL}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(day => {
+          const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match) throw new Error(`Invalid BYDAY value: ${day}`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(day => {
+          const number = parseInt(day, 10);
+          if (!/^[+-]?\d{1,2}$/.test(day) || number === 0 || number < -31 || number > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val, 10);
+        if (!/^\d+$/.test(val) || rule.count < 1 || rule.count > MAX_COUNT) {
+          throw new Error(`COUNT must be between 1 and ${MAX_COUNT}`);
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        if (!rule.until) throw new Error('UNTIL must be a date like 20250131 or 20250131T000000Z');
+        break;
+      case 'WKST':
+        // Weeks always start on Monday
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule needs a FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Use either COUNT or UNTIL, not both');
+  }
+  if (rule.freq === 'DAILY' && (rule.byDay.length || rule.byMonthDay.length)) {
+    throw new Error('BYDAY and BYMONTHDAY are not supported with FREQ=DAILY');
+  }
+  if (rule.freq === 'WEEKLY') {
+    if (rule.byMonthDay.length) throw new Error('BYMONTHDAY needs FREQ=MONTHLY');
+    if (rule.byDay.some(day => day.ordinal !== null)) throw new Error('Numbered BYDAY values (like 1MO) need FREQ=MONTHLY');
+  }
+  if (rule.freq === 'MONTHLY' && rule.byDay.length && rule.byMonthDay.length) {
+    throw new Error('Use either BYDAY or BYMONTHDAY, not both');
+  }
+
+  return rule;
+};
+
+// Canonical RRULE string for a parsed rule
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Local midnights of the candidate days in one monthly period, in order
+const monthDays = (rule, year, month, startDay) => {
+  const length = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+  } else if (rule.byDay.length) {
+    days = [];
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const first = (weekday - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7 + 1;
+      const matches = [];
+      for (let day = first; day <= length; day += 7) matches.push(day);
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        days.push(ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal]);
+      }
+    });
+  } else {
+    days = [startDay];
+  }
+
+  // Days a month doesn't have (the 31st in April) are skipped, as in RFC 5545
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= length)
+    .sort((a, b) => a - b)
+    .map(day => Date.UTC(year, month, day));
+};
+
+/**
+ * Occurrences of a rule starting at dtstart (the first occurrence's date and time), oldest first.
+ * Only those between from and to (inclusive) are returned, at most `limit`; COUNT still
+ * counts from dtstart.
+ */
+const expandRRule = (rule, dtstart, { from = dtstart, to, limit = MAX_COUNT } = {}) => {
+  const start = toLocal(new Date(dtstart));
+  const timeOfDay = start.getTime() % DAY_MS;
+  const startDay = start.getTime() - timeOfDay;
+  const fromTime = new Date(from).getTime();
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const untilTime = rule.until ? rule.until.getTime() : Infinity;
+
+  const results = [];
+  let counted = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let days;
+    if (rule.freq === 'DAILY') {
+      days = [startDay + period * rule.interval * DAY_MS];
+    } else if (rule.freq === 'WEEKLY') {
+      // Monday of the period's week
+      const monday = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+      days = [...new Set(weekdays)]
+        .map(weekday => monday + ((weekday + 6) % 7) * DAY_MS)
+        .sort((a, b) => a - b);
+    } else {
+      const monthIndex = start.getUTCMonth() + period * rule.interval;
+      days = monthDays(rule, start.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12, start.getUTCDate());
+    }
+
+    for (const day of days) {
+      if (day < startDay) continue;
+
+      const occurrence = fromLocal(new Date(day + timeOfDay));
+      const time = occurrence.getTime();
+      if (time > untilTime || time > toTime) return results;
+
+      counted += 1;
+      if (time >= fromTime) {
+        results.push(occurrence);
+        if (results.length >= limit) return results;
+      }
+      if (rule.count && counted >= rule.count) return results;
+    }
+  }
+
+  return results;
+};
+
+// True when the rule has no end (no COUNT or UNTIL)
+const isEndless = (rule) => !rule.count && !rule.until;
+
+// Readable summary, e.g. "Every 2 weeks on Monday and Thursday, 10 times"
+const describeRRule = (rule) => {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+  const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+  const list = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : `Every ${units[rule.freq]}`;
+  if (rule.byDay.length) {
+    text += ` on ${list(rule.byDay.map(day => (day.ordinal ? `the ${ordinals[day.ordinal] || `${day.ordinal}th`} ` : '') + WEEKDAY_NAMES[day.weekday]))}`;
+  } else if (rule.byMonthDay.length) {
+    text += ` on ${list(rule.byMonthDay.map(day => {
+      if (day === -1) return 'the last day';
+      return day > 0 ? `day ${day}` : `day ${-day} from the end`;
+    }))}`;
+  }
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += `, until ${toLocal(rule.until).toISOString().slice(0, 10)}`;
+
+  return text;
+};
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  describeRRule,
+  isEndless
+};
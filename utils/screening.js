@@ -0,0 +1,209 @@
+// Screening questions a client asks everyone who applies to a job, and the answers to them.
+//
+//   yes-no            answered 'yes' or 'no'
+//   multiple-choice   answered with one of the question's options
+//   number            answered with a number
+//   text              answered in up to 1000 characters
+//
+// A knock-out rules an applicant out: listed answers for yes-no and multiple-choice
+// questions, or a number outside min..max. Text answers cannot knock anyone out.
+
+const { escapeRegex } = require('./searchText');
+
+const SCREENING_QUESTION_TYPES = ['yes-no', 'multiple-choice', 'number', 'text'];
+const MAX_SCREENING_QUESTIONS = 10;
+const MAX_OPTIONS = 10;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// The answers a yes-no or multiple-choice question can have
+const choicesOf = (question) => (question.type === 'yes-no' ? ['yes', 'no'] : question.options || []);
+
+// Check the screening questions of a job; throws an Error describing the first problem
+const checkQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    throw new Error('Screening questions must be a list');
+  }
+  if (questions.length > MAX_SCREENING_QUESTIONS) {
+    throw new Error(`A job can have up to ${MAX_SCREENING_QUESTIONS} screening questions`);
+  }
+
+  questions.forEach((question, index) => {
+    const label = `Screening question ${index + 1}`;
+
+    if (!question || typeof question.question !== 'string' || !question.question.trim()) {
+      throw new Error(`${label} needs a question`);
+    }
+    if (question.question.trim().length > 300) {
+      throw new Error(`${label} cannot exceed 300 characters`);
+    }
+    if (!SCREENING_QUESTION_TYPES.includes(question.type)) {
+      throw new Error(`${label} type must be one of ${SCREENING_QUESTION_TYPES.join(', ')}`);
+    }
+
+    const options = question.options || [];
+    if (question.type === 'multiple-choice') {
+      if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new Error(`${label} needs between 2 and ${MAX_OPTIONS} options`);
+      }
+      if (options.some(option => typeof option !== 'string' || !option.trim() || option.trim().length > 100)) {
+        throw new Error(`${label} options must be between 1 and 100 characters`);
+      }
+      if (new Set(options.map(option => option.trim().toLowerCase())).size !== options.length) {
+        throw new Error(`${label} has the same option twice`);
+      }
+    } else if (options.length > 0) {
+      throw new Error(`${label}: only multiple-choice questions have options`);
+    }
+
+    const knockout = question.knockout;
+    if (!knockout) return;
+
+    if (question.type === 'text') {
+      throw new Error(`${label}: text answers cannot knock applicants out`);
+    }
+
+    if (question.type === 'number') {
+      const { min, max } = knockout;
+      if ((!isBlank(min) && !Number.isFinite(Number(min))) || (!isBlank(max) && !Number.isFinite(Number(max)))) {
+        throw new Error(`${label} knock-out min and max must be numbers`);
+      }
+      if (!isBlank(min) && !isBlank(max) && Number(min) > Number(max)) {
+        throw new Error(`${label} knock-out min cannot be above max`);
+      }
+      return;
+    }
+
+    const answers = knockout.answers || [];
+    const choices = choicesOf(question);
+    if (!Array.isArray(answers) || answers.some(answer => !choices.some(choice => sameText(choice, answer)))) {
+      throw new Error(`${label} knock-out answers must be among: ${choices.join(', ')}`);
+    }
+    if (choices.every(choice => answers.some(answer => sameText(choice, answer)))) {
+      throw new Error(`${label} knock-out answers would rule out every applicant`);
+    }
+  });
+};
+
+// One answer in its stored form; throws an Error when it does not fit the question
+const normalizeAnswer = (question, value) => {
+  switch (question.type) {
+    case 'yes-no':
+      if (value === true || (typeof value === 'string' && sameText(value, 'yes'))) return 'yes';
+      if (value === false || (typeof value === 'string' && sameText(value, 'no'))) return 'no';
+      throw new Error(`Answer yes or no to "${question.question}"`);
+    case 'multiple-choice': {
+      const option = typeof value === 'string' && question.options.find(choice => sameText(choice, value));
+      if (!option) {
+        throw new Error(`Pick one of ${question.options.join(', ')} for "${question.question}"`);
+      }
+      return option;
+    }
+    case 'number': {
+      const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+      if (!Number.isFinite(number)) {
+        throw new Error(`Answer "${question.question}" with a number`);
+      }
+      return number;
+    }
+    default: {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text || text.length > MAX_TEXT_ANSWER_LENGTH) {
+        throw new Error(`Answer "${question.question}" in 1 to ${MAX_TEXT_ANSWER_LENGTH} characters`);
+      }
+      return text;
+    }
+  }
+};
+
+const isKnockedOut = (question, answer) => {
+  const knockout = question.knockout;
+  if (!knockout) return false;
+
+  if (question.type === 'number') {
+    return (!isBlank(knockout.min) && answer < knockout.min) || (!isBlank(knockout.max) && answer > knockout.max);
+  }
+  return (knockout.answers || []).some(choice => sameText(choice, answer));
+};
+
+/**
+ * Check an applicant's answers ([{ question, answer }]) against a job's questions, which must
+ * include their knock-outs. Throws an Error for a missing, unknown or invalid answer.
+ * Returns the answers in stored form and the ids of the questions that knocked them out.
+ */
+const evaluateAnswers = (questions, answers = []) => {
+  if (!Array.isArray(answers)) {
+    throw new Error('Screening answers must be a list');
+  }
+
+  const answersByQuestion = new Map();
+  for (const entry of answers) {
+    const questionId = entry && entry.question ? String(entry.question) : null;
+    if (!questionId || !questions.some(question => question._id.toString() === questionId)) {
+      throw new Error('Answer to an unknown screening question');
+    }
+    if (answersByQuestion.has(questionId)) {
+      throw new Error('A screening question was answered twice');
+    }
+    answersByQuestion.set(questionId, entry.answer);
+  }
+
+  const normalized = [];
+  const knockedOutBy = [];
+  for (const question of questions) {
+    const value = answersByQuestion.get(question._id.toString());
+    if (isBlank(value)) {
+      if (question.required) {
+        throw new Error(`Please answer "${question.question}"`);
+      }
+      continue;
+    }
+
+    const answer = normalizeAnswer(question, value);
+    normalized.push({ question: question._id, answer });
+    if (isKnockedOut(question, answer)) knockedOutBy.push(question._id);
+  }
+
+  return { answers: normalized, knockedOutBy };
+};
+
+/**
+ * Application filter conditions from `answers` query parameters, keyed by question id:
+ * answers[id]=yes, answers[id][]=A&answers[id][]=B (any of), answers[id][min]=2&answers[id][max]=5,
+ * or a word for text answers. Throws an Error for an unknown question or invalid value.
+ */
+const buildAnswerFilter = (questions, query) => {
+  if (!query || typeof query !== 'object') return [];
+
+  return Object.entries(query).map(([questionId, value]) => {
+    const question = questions.find(entry => entry._id.toString() === questionId);
+    if (!question) {
+      throw new Error('Filter on an unknown screening question');
+    }
+
+    let condition;
+    if (question.type === 'number' && value && typeof value === 'object' && !Array.isArray(value)) {
+      condition = {};
+      if (!isBlank(value.min)) condition.$gte = normalizeAnswer(question, value.min);
+      if (!isBlank(value.max)) condition.$lte = normalizeAnswer(question, value.max);
+    } else if (question.type === 'text') {
+      condition = new RegExp(escapeRegex(String(value).trim()), 'i');
+    } else if (Array.isArray(value)) {
+      condition = { $in: value.map(entry => normalizeAnswer(question, entry)) };
+    } else {
+      condition = normalizeAnswer(question, value);
+    }
+
+    return { screeningAnswers: { $elemMatch: { question: question._id, answer: condition } } };
+  });
+};
+
+module.exports = {
+  SCREENING_QUESTION_TYPES,
+  MAX_SCREENING_QUESTIONS,
+  checkQuestions,
+  evaluateAnswers,
+  buildAnswerFilter
+};
@@ -0,0 +1,51 @@
+const { JOB_SEARCH_TERMS } = require('../config/jobSearchTerms');
+const { transliterate, hasIndicScript, romanKey } = require('./transliterate');
+const { tokenize } = require('./searchText');
+
+// romanKey of a local word or phrase -> English search terms ("waduwa" -> carpentry, carpenter)
+const LOCAL_TERMS = new Map();
+Object.entries(JOB_SEARCH_TERMS).forEach(([english, localWords]) => {
+  const englishTerms = english.split('-');
+  localWords.forEach(word => {
+    const key = romanKey(word.toLowerCase());
+    LOCAL_TERMS.set(key, [...new Set([...(LOCAL_TERMS.get(key) || []), ...englishTerms])]);
+  });
+});
+
+const isLocalTerm = (token) => LOCAL_TERMS.has(romanKey(token));
+
+// English equivalents of local words in a token list, including two-word phrases
+const translateTokens = (tokens) => {
+  const terms = [];
+  tokens.forEach((token, index) => {
+    const phrases = [token];
+    if (index < tokens.length - 1) phrases.push(`${token} ${tokens[index + 1]}`);
+    phrases.forEach(phrase => {
+      terms.push(...(LOCAL_TERMS.get(romanKey(phrase)) || []));
+    });
+  });
+  return terms;
+};
+
+// Latin transliterations of Sinhala/Tamil tokens
+const transliterateTokens = (tokens) => tokens
+  .filter(hasIndicScript)
+  .map(token => transliterate(token));
+
+/**
+ * Extra search keywords for a job: Latin transliterations of Sinhala/Tamil words and
+ * English equivalents of local job words, so "වඩු වැඩ" is found by "carpenter"
+ * and "waduwa" finds jobs posted in English.
+ */
+const buildSearchKeywords = ({ title, description, skills = [], requirements = [] }) => {
+  const tokens = tokenize([title, description, ...skills, ...requirements].join(' '));
+  const keywords = new Set([...transliterateTokens(tokens), ...translateTokens(tokens)]);
+  return [...keywords].slice(0, 100);
+};
+
+module.exports = {
+  isLocalTerm,
+  translateTokens,
+  transliterateTokens,
+  buildSearchKeywords
+};
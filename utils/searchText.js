@@ -0,0 +1,133 @@
+// Text helpers shared by search: tokenizing, light stemming, fuzzy matching and highlighting
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'me',
+  'my', 'need', 'needed', 'of', 'on', 'or', 'required', 'the', 'to', 'urgent', 'urgently', 'with',
+  'we', 'who', 'want', 'wanted', 'looking'
+]);
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words; letters, combining marks (Sinhala/Tamil vowel signs) and digits
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(token => token && !STOP_WORDS.has(token) && (token.length > 1 || /[^a-z0-9]/.test(token)));
+
+// Light English suffix stripping, close enough to MongoDB's stemmer to line up highlights
+// ("plumbing", "plumbed" and "plumbs" -> "plumb"; "cleaners" -> "clean")
+const stem = (word) => {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+  const rules = [
+    [/ies$/, 'y'],
+    [/(ss)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+    [/ers?$/, ''],
+    [/ing$/, ''],
+    [/ed$/, ''],
+    [/ly$/, '']
+  ];
+  let result = word;
+  for (const [pattern, replacement] of rules) {
+    const next = result.replace(pattern, replacement);
+    if (next !== result && next.length >= 3) {
+      result = next;
+    }
+  }
+  return result;
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), capped at max + 1
+const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = current;
+  }
+
+  return row[b.length];
+};
+
+// True when every word of a phrase appears (stemmed) in the text: "pipe fitting" matches "Pipe fitting & repairs"
+const phraseMatches = (phrase, text) => {
+  const phraseStems = tokenize(phrase).map(stem);
+  const textStems = new Set(tokenize(text).map(stem));
+  return phraseStems.length > 0 && phraseStems.every(word => textStems.has(word));
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap words matching any of the terms in <mark>, HTML-escaping the rest.
+ * Long text is cut to a window of about maxLength characters around the first match.
+ * Returns null when nothing matches.
+ */
+const highlight = (text, terms, { maxLength = 160 } = {}) => {
+  if (!text || terms.length === 0) return null;
+
+  const stems = new Set(terms.map(stem));
+  const words = [];
+  const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    if (stems.has(stem(word)) || terms.includes(word)) {
+      words.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  if (words.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, words[0].start - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+    // Don't cut words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > start) end = lastSpace;
+  }
+
+  let snippet = '';
+  let position = start;
+  words
+    .filter(word => word.start >= start && word.end <= end)
+    .forEach(word => {
+      snippet += escapeHtml(text.slice(position, word.start));
+      snippet += `<mark>${escapeHtml(text.slice(word.start, word.end))}</mark>`;
+      position = word.end;
+    });
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  stem,
+  editDistance,
+  phraseMatches,
+  highlight
+};
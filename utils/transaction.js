@@ -0,0 +1,69 @@
+// MongoDB transactions for changes that span several documents. Transactions need
+// MongoDB to run as a replica set; a single-node replica set is enough.
+const mongoose = require('mongoose');
+
+// Side effects queued by each open transaction, run once it has committed
+const pendingEffects = new WeakMap();
+
+/**
+ * Run fn(session) in a transaction and return what it returns. Every read and write that
+ * belongs to the change must pass the session. The driver retries fn when it conflicts with
+ * a concurrent transaction, so fn must not change anything outside the database; queue
+ * notifications and similar work with afterCommit() instead.
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    let effects = [];
+
+    await session.withTransaction(async () => {
+      // A retry starts over with a fresh queue
+      effects = [];
+      pendingEffects.set(session, effects);
+      result = await fn(session);
+    });
+    pendingEffects.delete(session);
+
+    for (const effect of effects) {
+      try {
+        await effect();
+      } catch (error) {
+        // The change is committed; a failed side effect does not undo it
+        console.error('Error after transaction commit:', error.message);
+      }
+    }
+
+    return result;
+  } finally {
+    pendingEffects.delete(session);
+    await session.endSession();
+  }
+};
+
+// Run effect once the transaction of `session` has committed, or right away outside a transaction
+const afterCommit = async (session, effect) => {
+  const effects = session && pendingEffects.get(session);
+  if (effects) {
+    effects.push(effect);
+    return;
+  }
+  await effect();
+};
+
+// Throws unless the connected server can run transactions, so a standalone server is caught at
+// startup rather than by the first request that needs a transaction
+const assertReplicaSet = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+
+  // Replica set members report their set name; mongos routers support transactions too
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB must run as a replica set, since hiring, applying and withdrawing use transactions. ' +
+      'Start mongod with --replSet rs0, run rs.initiate() once, and add ?replicaSet=rs0 to MONGODB_URI.'
+    );
+  }
+};
+
+module.exports = { withTransaction, afterCommit, assertReplicaSet };
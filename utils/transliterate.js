@@ -0,0 +1,89 @@
+// Basic phonetic transliteration of Sinhala and Tamil script to Latin letters,
+// following the informal spellings people type in Sri Lanka ("kolamba", "waduwa", "samayal").
+// It is meant for search matching, not for display.
+
+const SINHALA = {
+  vowels: {
+    'අ': 'a', 'ආ': 'a', 'ඇ': 'ae', 'ඈ': 'ae', 'ඉ': 'i', 'ඊ': 'i', 'උ': 'u', 'ඌ': 'u',
+    'ඍ': 'ru', 'ඎ': 'ru', 'එ': 'e', 'ඒ': 'e', 'ඓ': 'ai', 'ඔ': 'o', 'ඕ': 'o', 'ඖ': 'au'
+  },
+  consonants: {
+    'ක': 'k', 'ඛ': 'kh', 'ග': 'g', 'ඝ': 'gh', 'ඞ': 'ng', 'ඟ': 'ng', 'ච': 'ch', 'ඡ': 'ch',
+    'ජ': 'j', 'ඣ': 'jh', 'ඤ': 'ny', 'ඥ': 'gn', 'ඦ': 'nj', 'ට': 't', 'ඨ': 't', 'ඩ': 'd',
+    'ඪ': 'd', 'ණ': 'n', 'ඬ': 'nd', 'ත': 'th', 'ථ': 'th', 'ද': 'd', 'ධ': 'dh', 'න': 'n',
+    'ඳ': 'nd', 'ප': 'p', 'ඵ': 'ph', 'බ': 'b', 'භ': 'bh', 'ම': 'm', 'ඹ': 'mb', 'ය': 'y',
+    'ර': 'r', 'ල': 'l', 'ව': 'w', 'ශ': 'sh', 'ෂ': 'sh', 'ස': 's', 'හ': 'h', 'ළ': 'l', 'ෆ': 'f'
+  },
+  signs: {
+    'ා': 'a', 'ැ': 'ae', 'ෑ': 'ae', 'ි': 'i', 'ී': 'i', 'ු': 'u', 'ූ': 'u', 'ෘ': 'ru',
+    'ෲ': 'ru', 'ෙ': 'e', 'ේ': 'e', 'ෛ': 'ai', 'ො': 'o', 'ෝ': 'o', 'ෞ': 'au'
+  },
+  virama: '්',
+  other: { 'ං': 'n', 'ඃ': 'h' }
+};
+
+const TAMIL = {
+  vowels: {
+    'அ': 'a', 'ஆ': 'a', 'இ': 'i', 'ஈ': 'i', 'உ': 'u', 'ஊ': 'u', 'எ': 'e', 'ஏ': 'e',
+    'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au'
+  },
+  consonants: {
+    'க': 'k', 'ங': 'ng', 'ச': 's', 'ஞ': 'nj', 'ட': 'd', 'ண': 'n', 'த': 'th', 'ந': 'n',
+    'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v', 'ழ': 'zh', 'ள': 'l',
+    'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+  },
+  signs: {
+    'ா': 'a', 'ி': 'i', 'ீ': 'i', 'ு': 'u', 'ூ': 'u', 'ெ': 'e', 'ே': 'e', 'ை': 'ai',
+    'ொ': 'o', 'ோ': 'o', 'ௌ': 'au'
+  },
+  virama: '்',
+  other: { 'ஃ': 'h' }
+};
+
+const SCRIPTS = [SINHALA, TAMIL];
+const INDIC_SCRIPT = /[஀-௿඀-෿]/;
+
+const scriptOf = (char) => SCRIPTS.find(script =>
+  script.vowels[char] || script.consonants[char] || script.signs[char] ||
+  script.other[char] || script.virama === char
+);
+
+const hasIndicScript = (text) => INDIC_SCRIPT.test(text || '');
+
+// Consonants carry an inherent "a" that a vowel sign replaces and the virama removes
+const transliterate = (text) => {
+  const chars = Array.from(String(text || ''));
+  let output = '';
+
+  chars.forEach((char, index) => {
+    const script = scriptOf(char);
+    if (!script) {
+      output += char;
+      return;
+    }
+
+    if (script.consonants[char]) {
+      const next = chars[index + 1];
+      const hasVowel = next !== script.virama && !script.signs[next];
+      output += script.consonants[char] + (hasVowel ? 'a' : '');
+    } else if (script.signs[char]) {
+      output += script.signs[char];
+    } else if (script.vowels[char]) {
+      output += script.vowels[char];
+    } else if (script.other[char]) {
+      output += script.other[char];
+    }
+  });
+
+  // Zero-width joiners are used in Sinhala conjuncts
+  return output.replace(/[‌‍]/g, '');
+};
+
+// Key for comparing informal spellings: "waduwaa", "wadhuwa" and "වඩුවා" all become "waduwa"
+const romanKey = (word) => transliterate(word)
+  .toLowerCase()
+  .replace(/([a-z])\1+/g, '$1')
+  .replace(/dh/g, 'd')
+  .replace(/v/g, 'w');
+
+module.exports = { transliterate, hasIndicScript, romanKey };